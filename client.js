@@ -1,234 +1,24 @@
 let regions = [];
-let currentFormat; // Will be initialized after class definitions
-
-// Format strategy classes
-class DefaultFormat {
-    getTitle() {
-        return "Memory Map Visualization";
-    }
-
-    getSubtitle() {
-        return "48-bit virtual address space (256 TiB) mapped to 1024x1024 using Hilbert curve";
-    }
-
-    getMaxZoomLevel() {
-        return 4; // Default for 48-bit address space
-    }
-
-    getSizeKeyLabels() {
-        return [
-            { bytes: 4 * 1024, name: '4 KiB' },
-            { bytes: 64 * 1024, name: '64 KiB' },
-            { bytes: 1024 * 1024, name: '1 MiB' },
-            { bytes: 64 * 1024 * 1024, name: '64 MiB' },
-            { bytes: 1024 * 1024 * 1024, name: '1 GiB' },
-            { bytes: 64 * 1024 * 1024 * 1024, name: '64 GiB' },
-            { bytes: 1024 * 1024 * 1024 * 1024, name: '1 TiB' },
-            { bytes: 64 * 1024 * 1024 * 1024 * 1024, name: '64 TiB' }
-        ];
-    }
-
-    formatPixelLabel(bytesPerPixel) {
-        return `Each pixel = ${formatBytes(bytesPerPixel)}`;
-    }
-
-    formatSquareLabel(bytesPerSquare) {
-        return `Each square = ${formatBytes(bytesPerSquare)}`;
-    }
-
-    formatZoomedViewLabel(currentRange) {
-        return `Zoomed view = ${formatBytes(currentRange)}`;
-    }
-
-    formatZoomedViewLabelMobile(currentRange) {
-        return `View = ${formatBytes(currentRange)}`;
-    }
-
-    formatRangeLabel(minAddr, maxAddr) {
-        return `0x${minAddr.toString(16)} - 0x${maxAddr.toString(16)}`;
-    }
-
-    formatTooltip(region) {
-        const size = region.end - region.start;
-        const sizeHex = '0x' + size.toString(16);
-        const sizeApprox = formatBytes(size);
-        const startAlignment = getAlignment(region.start);
-        const endAlignment = getAlignment(region.end);
-        const startAlignmentStr = formatBytes(startAlignment);
-        const endAlignmentStr = formatBytes(endAlignment);
-
-        return `
-            <div class="tooltip-address">0x${region.start.toString(16)} - 0x${region.end.toString(16)}</div>
-            <div class="tooltip-size">Size: ${sizeHex} (ca. ${sizeApprox})</div>
-            <div class="tooltip-alignment-start">Start alignment: ${startAlignmentStr}</div>
-            <div class="tooltip-alignment-end">End alignment: ${endAlignmentStr}</div>
-        `;
-    }
-}
-
-class ProcMapsFormat extends DefaultFormat {
-    // Inherits default behavior for now
-}
-
-class IPv4GeolocationFormat {
-    getTitle() {
-        return "IPv4 Geodata Visualization";
-    }
-
-    getSubtitle() {
-        return "32-bit IPv4 address space (4 billion IPs) mapped to 1024x1024 using Hilbert curve";
-    }
-
-    getMaxZoomLevel() {
-        return 3; // Reduced for 32-bit IPv4 address space
-    }
-
-    getSizeKeyLabels() {
-        // IPv4 address ranges - bytes divided by 65536 to get address count
-        return [
-            { bytes: 1 * 65536, name: '1 address' },           // /28 network
-            { bytes: 16 * 65536, name: '16 addresses' },           // /28 network
-            { bytes: 256 * 65536, name: '256 addresses' },           // /24 network
-            { bytes: 1024 * 65536, name: '1024 addresses' },         // /22 network
-            { bytes: 4096 * 65536, name: '4096 addresses' },         // /20 network
-            { bytes: 16384 * 65536, name: '16384 addresses' },       // /18 network
-            { bytes: 65536 * 65536, name: '65536 addresses' },       // /16 network
-            { bytes: 262144 * 65536, name: '262144 addresses' },     // /14 network
-            { bytes: 1048576 * 65536, name: '1048576 addresses' },   // /12 network
-            { bytes: 16777216 * 65536, name: '16777216 addresses' }  // /8 network
-        ];
-    }
-
-    formatPixelLabel(bytesPerPixel) {
-        const addressesPerPixel = Math.floor(bytesPerPixel / 65536);
-        return `Each pixel = ${addressesPerPixel} addresses`;
-    }
-
-    formatSquareLabel(bytesPerSquare) {
-        const addressesPerSquare = Math.floor(bytesPerSquare / 65536);
-        return `Each square = ${addressesPerSquare} addresses`;
-    }
-
-    formatZoomedViewLabel(currentRange) {
-        const addressRange = Math.floor(currentRange / 65536);
-        return `Zoomed view = ${addressRange} addresses`;
-    }
-
-    formatZoomedViewLabelMobile(currentRange) {
-        const addressRange = Math.floor(currentRange / 65536);
-        return `View = ${addressRange} addresses`;
-    }
-
-    formatRangeLabel(minAddr, maxAddr) {
-        const startIP = this.addressToIPv4(minAddr);
-        const cidrBits = this.calculateCIDRBits(minAddr, maxAddr);
-        return `${startIP}/${cidrBits}`;
-    }
-
-    formatTooltip(region) {
-        const startIP = this.addressToIPv4(region.start);
-        const cidrBits = this.calculateCIDRBits(region.start, region.end);
-        const size = region.end - region.start;
-        const sizeDecimal = Math.floor(size / 65536); // Convert back to number of IP addresses
-
-        return `
-            <div class="tooltip-address">${startIP}/${cidrBits}</div>
-            <div class="tooltip-size">Size: ${sizeDecimal}</div>
-        `;
-    }
-
-    addressToIPv4(addr48bit) {
-        const ipInt = Math.floor(addr48bit / 65536);
-        return [
-            (ipInt >>> 24) & 0xFF,
-            (ipInt >>> 16) & 0xFF,
-            (ipInt >>> 8) & 0xFF,
-            ipInt & 0xFF
-        ].join('.');
-    }
-
-    calculateCIDRBits(startAddr48bit, endAddr48bit) {
-        const startIP = Math.floor(startAddr48bit / 65536);
-        const endIP = Math.floor(endAddr48bit / 65536);
-        const range = endIP - startIP;
-
-        // Find the number of host bits needed to represent this range
-        const hostBits = Math.ceil(Math.log2(range));
-        return 32 - hostBits;
-    }
-}
-
-// Initialize with default format after class definitions
-currentFormat = new DefaultFormat();
+let currentFormat = new DefaultFormat();
 
 let originalTextContent = '';
-let colorMap = new Map();
-let colorIndex = 0;
 let highlightedRegion = null;
 let currentTooltipRegion = null;
 let currentTooltipX = null;
 let currentTooltipY = null;
 let originalCanvasData = null;
 let visibleCanvases = new Map(); // Map of canvas elements to their zoom states
-// Layout constants
-const MAP = {
-    WIDTH: 1024,              // Memory map canvas width
-    HEIGHT: 1024,             // Memory map canvas height
-    BORDER_TOP: 100,              // Top border/margin
-    BORDER_BOTTOM: 100,           // Bottom border/margin  
-    BORDER_LEFT: 100,             // Left border/margin
-    BORDER_RIGHT_DESKTOP: 450,    // Right border/margin on desktop
-    BORDER_RIGHT_MOBILE: 100,     // Right border/margin on mobile
-    KEY_OFFSET: 50,               // Offset for legend from map edge
-};
-
-class ZoomState {
-    constructor(level = 0, minAddr = 0, maxAddr = Math.pow(2, 48), x24 = 0, y24 = 0) {
-        this.level = level;         // Current zoom level (0 = full view)
-        this.minAddr = minAddr;     // Lowest address in current view
-        this.maxAddr = maxAddr;     // Highest address in current view (256 TiB)
-
-        // Calculate how wide the 1024x1024 canvas is in 2^24 space at this zoom level
-        const zoomFactor = this.getZoomFactor();
-        const canvas24Width = 1024 / zoomFactor;
-        
-        // Round down to align with the canvas-sized grid squares
-        const roundedX24 = Math.floor(x24 / canvas24Width) * canvas24Width;
-        const roundedY24 = Math.floor(y24 / canvas24Width) * canvas24Width;
-
-        this.offsetX = roundedX24;     // X offset in 2^24 coordinate system
-        this.offsetY = roundedY24;     // Y offset in 2^24 coordinate system
-    }
-
-    // Check if this zoom state equals another
-    equals(other) {
-        return this.level === other.level &&
-               this.minAddr === other.minAddr &&
-               this.maxAddr === other.maxAddr &&
-               this.offsetX === other.offsetX &&
-               this.offsetY === other.offsetY;
-    }
-
-    // Get the zoom factor for coordinate scaling
-    getZoomFactor() {
-        const baseZoomFactor = Math.pow(2, 24 - 10); // 2^14 = 16384
-        const levelZoomFactor = Math.pow(8, this.level);
-        return levelZoomFactor / baseZoomFactor;
-    }
-
-    // Reset to default state - returns new ZoomState object
-    reset() {
-        return new ZoomState(0, 0, Math.pow(2, 48), 0, 0);
-    }
-
-    toString() {
-        const minHex = '0x' + this.minAddr.toString(16);
-        const maxHex = '0x' + this.maxAddr.toString(16);
-        return `ZoomState(level=${this.level}, ${minHex}-${maxHex}, offset=${this.offsetX},${this.offsetY})`;
-    }
-
-    addressSize() { return this.maxAddr - this.minAddr; }
-}
+let colorMode = 'name'; // 'name' or 'resident' (heat map of resident fraction)
+let ipv6Window = null;  // Prefix window of IPv6 data, such as '2000::/3', or null for all
+let addressSpace = DEFAULT_ADDRESS_SPACE; // Part of the 64-bit address space shown, see ADDRESS_SPACES
+let addressBits = null;  // Width of the address space in bits, or null for the format's own
+let columnMapping = null; // Column mapping of a delimited file, see parseColumnMapping, or null to guess
+let columnMappingHeader = null; // Header of the file it is for, or null for the next one loaded
+let pagemap = null;      // PagemapData for the page residency overlay
+let pagemapPid = null;   // Process whose pagemap is fetched from the server
+let pagemapRequests = new Set(); // Views whose pagemap has been requested
+let allocationTrace = null; // AllocationTrace replayed over the regions
+let allocationTimer = null;
 
 class Highlighted {
     constructor(zoomState) {
@@ -238,21 +28,6 @@ class Highlighted {
     }
 }
 
-class Region {
-    constructor(start, end, name, color) {
-        this.start = start;
-        this.end = end;
-        this.name = name;
-        this.color = color;
-    }
-
-    toString() {
-      const from = '0x' + this.start.toString(16);
-      const to = '0x' + this.end.toString(16);
-      return `${from}-${to}`;
-    }
-}
-
 function finishCurrentAnimation() {
     if (!animationState.isAnimating) return;
     
@@ -331,106 +106,6 @@ let animationState = {
     toTransform: null             // Target transform state  
 };
 
-function generateColorForName(name) {
-    if (colorMap.has(name)) {
-        return colorMap.get(name);
-    }
-
-    // Check if this is an auto-generated region (prefixed with "Auto:")
-    if (name.startsWith('Auto:')) {
-        // Use distinct grey shades for auto regions
-        const hash = Array.from(name).reduce((hash, char) => {
-            return hash + char.charCodeAt(0);
-        }, 0);
-
-        // Create clearly visible grey shades - much darker range
-        const greyValues = [64, 96, 128, 160, 192, 224]; // Dark to light grey values
-        const greyIndex = hash % greyValues.length;
-        const greyValue = greyValues[greyIndex];
-
-        // Give each auto region a different hue but keep it very desaturated
-        const hue = (hash * 137.5) % 360; // Golden angle spacing for hue variety
-
-        const color = {
-            r: greyValue,
-            g: greyValue,
-            b: greyValue,
-            a: 255,
-            hue: hue,
-            saturation: 15, // Low saturation for grey appearance
-            lightness: Math.round(greyValue * 100 / 255)
-        };
-
-
-        colorMap.set(name, color);
-        return color;
-    }
-
-    // Extract base name and permissions
-    let baseName = name;
-    let permissions = '';
-    const curlyMatch = name.match(/^(.*?)\s*\{([^}]+)\}$/);
-    if (curlyMatch) {
-        baseName = curlyMatch[1];
-        permissions = curlyMatch[2];
-    }
-
-    // Generate hue based on base name
-    let hue;
-    if (colorMap.has(baseName)) {
-        // Use existing hue for this base name
-        const existingColor = colorMap.get(baseName);
-        hue = existingColor.hue;
-    } else {
-        // Generate new hue for base name
-        hue = (colorIndex * 137.5) % 360; // Golden angle spacing
-        colorIndex++;
-    }
-
-    // Calculate saturation based on permissions: start at 30%, add 10% for r, 20% for w, 40% for x
-    let saturation = 30;
-    if (permissions) {
-        if (permissions.includes('r')) saturation += 10;
-        if (permissions.includes('w')) saturation += 20;
-        if (permissions.includes('x')) saturation += 40;
-    } else {
-        // Default saturation for regions without permission suffix (original format)
-        saturation = 70;
-    }
-
-    const lightness = 50 + (colorIndex % 2) * 10;  // 50-60% lightness
-
-    // Convert HSL to RGB
-    const c = (1 - Math.abs(2 * lightness/100 - 1)) * saturation/100;
-    const x = c * (1 - Math.abs((hue/60) % 2 - 1));
-    const m = lightness/100 - c/2;
-
-    let r, g, b;
-    if (hue < 60) { r = c; g = x; b = 0; }
-    else if (hue < 120) { r = x; g = c; b = 0; }
-    else if (hue < 180) { r = 0; g = c; b = x; }
-    else if (hue < 240) { r = 0; g = x; b = c; }
-    else if (hue < 300) { r = x; g = 0; b = c; }
-    else { r = c; g = 0; b = x; }
-
-    const color = {
-        r: Math.round((r + m) * 255),
-        g: Math.round((g + m) * 255),
-        b: Math.round((b + m) * 255),
-        a: 255,
-        hue: hue  // Store hue for reuse with base name
-    };
-
-    colorMap.set(name, color);
-    
-    // Also store the base name color if it's new
-    if (!colorMap.has(baseName)) {
-        colorMap.set(baseName, color);
-    }
-    
-    return color;
-}
-
 function switchTab(tabName) {
     // Update tab buttons
     document.querySelectorAll('.tab').forEach(tab => tab.classList.remove('active'));
@@ -463,8 +138,17 @@ async function loadSelectedSample() {
         return false;
     }
 
-    const displayName = select.options[select.selectedIndex].text;
-    const success = await loadFileByName(filename, displayName);
+    if (filename === 'attach') {
+        select.value = '';
+        showProcessPicker();
+        return false;
+    }
+
+    const option = select.options[select.selectedIndex];
+    const displayName = option.dataset.label || option.text;
+    const success = option.dataset.tiled ?
+        await loadTiledFile(filename, displayName) :
+        await loadFileByName(filename, displayName, option.dataset.format || null);
 
     // Reset select to default after loading
     if (success) {
@@ -474,41 +158,91 @@ async function loadSelectedSample() {
     return success;
 }
 
-async function loadFileByName(filename, displayName = null) {
+// Fill the sample dropdown with the server's data files, between the
+// placeholder and the "Attach to process" entry.
+async function refreshFileList() {
+    const select = document.getElementById('sampleSelect');
+    let files;
+    try {
+        const response = await fetch('/api/files');
+        if (response.status === 404) {
+            // Served as static files, e.g. the demo site: no list to show.
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(await response.text());
+        }
+        files = await response.json();
+    } catch (error) {
+        setStatus(`Error listing data files: ${error.message}`, true);
+        return;
+    }
+
+    for (const option of Array.from(select.options)) {
+        if (option.value && option.value !== 'attach') {
+            option.remove();
+        }
+    }
+    const attachOption = select.querySelector('option[value="attach"]');
+    for (const file of files) {
+        const label = file.description || file.name;
+        // Binary files, such as core dumps, have no line count
+        const lines = file.lines === null ? null : `${file.lines} line${file.lines === 1 ? '' : 's'}`;
+        const details = [file.format, formatBytes(file.size), lines].filter(Boolean).join(', ');
+        const option = new Option(`${label} (${details})`, file.name);
+        option.dataset.label = label;
+        if (file.forced) {
+            // Started with --format, so parse it the same way as the server.
+            option.dataset.format = file.format;
+        }
+        if (file.tiled) {
+            option.dataset.tiled = '1';
+        }
+        select.add(option, attachOption);
+    }
+}
+
+// Format id that the editor text is parsed as, or null to detect it.
+let editorFormatId = null;
+
+async function loadFileByName(filename, displayName = null, formatId = null) {
     if (!filename) {
         return false;
     }
 
     try {
-        const response = await fetch(`${filename}`);
-        const text = await response.text();
+        // Of a core dump only the headers are read, so only they are asked for.
+        const KnownFormat = formatId && BINARY_FORMATS.find(formatClass => formatClass.id === formatId);
+        const headers = KnownFormat && KnownFormat.maxReadBytes ?
+            { Range: `bytes=0-${KnownFormat.maxReadBytes - 1}` } : {};
+        const response = await fetch(`${filename}`, { headers });
+        if (!response.ok) {
+            // The server explains what went wrong, e.g. a permission problem.
+            setStatus(await response.text(), true);
+            return false;
+        }
+        const bytes = await readResponseBytes(response);
+        const { text, bytes: binary } = decodeFileContent(bytes, formatId);
         const lineCount = (text.match(/\n/g) || []).length + 1;
-        const fileSizeMB = (text.length / (1024 * 1024)).toFixed(2);
-
-        // Store full content for processing
-        fullFileContent = text;
-        isContentTruncated = false;
+        const fileSizeMB = (bytes.length / (1024 * 1024)).toFixed(2);
 
         const finalDisplayName = displayName || filename;
 
-        // If file is large, truncate display but keep full content for parsing
-        if (lineCount > 10000) {
-            const lines = text.split('\n');
-            const truncatedContent = lines.slice(0, 1000).join('\n') +
-                `\n\n... [${lineCount - 1000} more lines truncated for display performance]\n` +
-                `[Full content will be used when applying changes]`;
-
-            document.getElementById('textEditor').value = truncatedContent;
-            isContentTruncated = true;
-            document.getElementById('toggleFullContent').style.display = 'inline-block';
+        if (setEditorContent(text)) {
             setStatus(`${finalDisplayName} loaded (${fileSizeMB} MB, ${lineCount} lines) - Display truncated for performance`);
+        } else if (binary) {
+            setStatus(`${finalDisplayName} loaded (${fileSizeMB} MB) - regions shown as a read-only listing`);
         } else {
-            document.getElementById('textEditor').value = text;
-            document.getElementById('toggleFullContent').style.display = 'none';
             setStatus(`${finalDisplayName} loaded (${fileSizeMB} MB, ${lineCount} lines)`);
         }
+        setEditorBinary(binary);
 
         originalTextContent = text;
+        editorFormatId = formatId;
+
+        // Maps of local processes get a live page overlay
+        const procMatch = filename.match(/^proc\/(\d+)\/s?maps$/);
+        setPagemapSource(procMatch ? procMatch[1] : null);
 
         // Update URL parameter to reflect loaded file
         const url = new URL(window.location);
@@ -517,9 +251,7 @@ async function loadFileByName(filename, displayName = null) {
 
         // Auto-apply changes after loading file
         setTimeout(() => {
-            applyChanges();
-            // Reset zoom when new file is loaded
-            resetZoom();
+            finishLoad(finalDisplayName, text);
         }, 100); // Small delay to ensure UI updates complete
 
         return true;
@@ -529,6 +261,155 @@ async function loadFileByName(filename, displayName = null) {
     }
 }
 
+// Large file rendered by the server in tiles, as { name, count }, or null
+// while the regions are parsed here.
+let tiledFile = null;
+let tiles = new Map();        // Tile pixels by view, most recently used last
+let tileRequests = new Set(); // Views whose tile has been requested
+const MAX_CACHED_TILES = 16;
+
+// Show a large file from tiles rendered by the server instead of parsing it
+// in the browser. The editor only describes the file.
+async function loadTiledFile(filename, displayName = null) {
+    let info;
+    try {
+        info = await fetchTiledFileInfo(filename);
+    } catch (error) {
+        setStatus(`Error loading ${filename}: ${error.message}`, true);
+        return false;
+    }
+
+    const finalDisplayName = displayName || filename;
+    const text = `# ${finalDisplayName}: ${info.count} regions in ${info.format} format, ` +
+        'rendered by the server in tiles\n';
+
+    setEditorContent(text);
+    document.getElementById('textEditor').readOnly = true;
+    originalTextContent = text;
+    editorFormatId = null;
+    setPagemapSource(null);
+
+    tiledFile = { name: filename, count: info.count };
+    tiles.clear();
+    tileRequests.clear();
+    regions = [];
+
+    const url = new URL(window.location);
+    url.searchParams.set('file', filename);
+    window.history.pushState(null, '', url.toString());
+
+    setStatus(`${finalDisplayName} loaded (${info.count} regions) - rendered by the server`);
+    showTiledFile(info);
+    resetZoom();
+    return true;
+}
+
+// The region count, format and first region of a tiled file as the server
+// parses it with the current options.
+async function fetchTiledFileInfo(filename) {
+    const response = await fetch(`/api/regions?${tiledFileQuery(filename)}&index=0`);
+    if (!response.ok) {
+        throw new Error(await response.text());
+    }
+    return response.json();
+}
+
+// Show the tiled file with the format the server parsed it in. The file can
+// choose its own address space, such as 32 bits for IPv4 ranges, so that
+// comes from the server rather than the options, as do JSON annotations.
+function showTiledFile(info) {
+    const FormatClass = FORMATS.concat(BINARY_FORMATS).find(formatClass => formatClass.id === info.format) ||
+        DefaultFormat;
+    const options = parseOptions();
+    if (info.addressSpace) {
+        options.addressSpace = info.addressSpace.space;
+        options.addressBits = info.addressSpace.bits;
+    }
+    tiledFile.count = info.count;
+    currentFormat = new FormatClass(options);
+    if (info.annotations) {
+        currentFormat.sourceFormat = info.sourceFormat;
+        currentFormat.annotations = info.annotations.map(annotation =>
+            ({ start: BigInt(annotation.start), end: BigInt(annotation.end), text: annotation.text }));
+    }
+
+    hideDiffSummary();
+    updatePageTitles();
+    updateCanvas(zoomState);
+    switchTab('map');
+}
+
+// Query parameters naming a tiled file and how the server parses it.
+function tiledFileQuery(filename) {
+    const query = new URLSearchParams({ file: filename });
+    if (ipv6Window) {
+        query.set('window', ipv6Window);
+    }
+    if (addressSpace !== DEFAULT_ADDRESS_SPACE) {
+        query.set('space', addressSpace);
+    }
+    if (addressBits) {
+        query.set('bits', addressBits);
+    }
+    if (columnMapping) {
+        query.set('columns', columnMapping);
+    }
+    return query.toString();
+}
+
+function tileKey(zoomStateParam) {
+    return `${zoomStateParam.level}:${zoomStateParam.minAddr}:${colorMode}`;
+}
+
+// Fetch the pixels of a view of the tiled file unless we already asked for
+// them. Every canvas showing the view is redrawn when they arrive.
+async function requestTile(zoomStateParam) {
+    const key = tileKey(zoomStateParam);
+    const file = tiledFile;
+    if (tileRequests.has(key)) {
+        return;
+    }
+    // Remember failed requests too, so we don't retry on every redraw.
+    tileRequests.add(key);
+
+    try {
+        const response = await fetch(`/api/tiles?${tiledFileQuery(file.name)}` +
+            `&level=${zoomStateParam.level}&minAddr=${zoomStateParam.minAddr.toString(16)}&color=${colorMode}`);
+        if (!response.ok) {
+            throw new Error(await response.text());
+        }
+        const pixels = new Uint8ClampedArray(await response.arrayBuffer());
+        if (tiledFile !== file) {
+            return; // Another file was loaded while we were waiting.
+        }
+
+        tiles.set(key, pixels);
+        if (tiles.size > MAX_CACHED_TILES) {
+            const oldest = tiles.keys().next().value;
+            tiles.delete(oldest);
+            tileRequests.delete(oldest);
+        }
+
+        visibleCanvases.forEach((highlighted, canvas) => {
+            if (tileKey(highlighted.zoomState) === key) {
+                drawMemoryData(canvas, highlighted.zoomState);
+            }
+        });
+    } catch (error) {
+        setStatus(`Error loading map tile: ${error.message}`, true);
+    }
+}
+
+// Regions of the tiled file from the server, each with its index, for a
+// query such as "index=5" or "start=1000&end=2000".
+async function fetchTiledRegions(query) {
+    const response = await fetch(`/api/regions?${tiledFileQuery(tiledFile.name)}&${query}`);
+    if (!response.ok) {
+        throw new Error(await response.text());
+    }
+    return (await response.json()).regions;
+}
+
 // Keep the old function for backward compatibility and initial load
 async function loadSampleFile() {
     try {
@@ -544,18 +425,82 @@ async function loadSampleFile() {
     }
 }
 
-function resetToOriginal() {
-    document.getElementById('textEditor').value = originalTextContent;
-    setStatus('Reset to original content');
+let processList = [];
+
+async function showProcessPicker() {
+    const dialog = document.getElementById('processDialog');
+    document.getElementById('processFilter').value = '';
+    document.getElementById('processTableBody').innerHTML = '<tr><td colspan="4">Loading...</td></tr>';
+    dialog.showModal();
+
+    try {
+        const response = await fetch('/api/processes');
+        if (!response.ok) {
+            throw new Error(await response.text());
+        }
+        processList = await response.json();
+        renderProcessList();
+    } catch (error) {
+        processList = [];
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 4;
+        cell.className = 'process-error';
+        cell.textContent = `Error listing processes: ${error.message}`;
+        row.appendChild(cell);
+        const tbody = document.getElementById('processTableBody');
+        tbody.innerHTML = '';
+        tbody.appendChild(row);
+    }
 }
 
-function getAlignment(address) {
-    // Calculate alignment: start with 128TB and divide by 2 until aligned
-    let alignment = 128 * 1024 * 1024 * 1024 * 1024; // 128TB in bytes
-    while (alignment > 1 && (address % alignment) !== 0) {
-        alignment = Math.floor(alignment / 2);
+function closeProcessPicker() {
+    document.getElementById('processDialog').close();
+}
+
+function renderProcessList() {
+    const filter = document.getElementById('processFilter').value.trim().toLowerCase();
+    const tbody = document.getElementById('processTableBody');
+    tbody.innerHTML = '';
+
+    for (const proc of processList) {
+        const haystack = `${proc.pid} ${proc.comm} ${proc.cmdline}`.toLowerCase();
+        if (filter && !haystack.includes(filter)) {
+            continue;
+        }
+
+        const row = document.createElement('tr');
+        const cells = [
+            proc.pid,
+            proc.comm,
+            proc.vmSize === null ? '' : formatBytes(proc.vmSize),
+            proc.readable ? proc.cmdline : `${proc.error} - ${proc.cmdline}`
+        ];
+        for (const value of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+
+        if (proc.readable) {
+            row.className = 'process-readable';
+            row.onclick = async function() {
+                const useSmaps = document.getElementById('processSmaps').checked;
+                closeProcessPicker();
+                await loadFileByName(`proc/${proc.pid}/${useSmaps ? 'smaps' : 'maps'}`, `${proc.comm} (${proc.pid})`);
+            };
+        } else {
+            row.className = 'process-unreadable';
+            row.title = `Cannot read /proc/${proc.pid}/maps: ${proc.error}`;
+        }
+
+        tbody.appendChild(row);
     }
-    return alignment;
+}
+
+function resetToOriginal() {
+    document.getElementById('textEditor').value = originalTextContent;
+    setStatus('Reset to original content');
 }
 
 function applyShading(region, canvas, highlighted) {
@@ -613,207 +558,205 @@ function removeShading(canvas, highlighted) {
     }
 }
 
-function parseMemoryData(textContent) {
-    const lines = textContent.split('\n').filter(line => line.trim());
-    const tempMemoryRanges = [];
-
-    // Detect format
-    const isProcMapsFormat = lines.length > 0 && lines[0].includes('-') && lines[0].includes(' ');
-    const isIPv4GeolocationFormat = lines.length > 0 && (
-        lines[0].includes('network,') ||
-        (lines.length > 1 && lines[1].includes('/') && lines[1].includes(','))
-    );
-
-    // Set current format
-    if (isIPv4GeolocationFormat) {
-        currentFormat = new IPv4GeolocationFormat();
-    } else if (isProcMapsFormat) {
-        currentFormat = new ProcMapsFormat();
-    } else {
-        currentFormat = new DefaultFormat();
-    }
-    
-    for (const line of lines) {
-        if (isIPv4GeolocationFormat) {
-            // Skip CSV header line
-            if (line.startsWith('network,') || line.includes('geoname_id')) {
-                continue;
-            }
+function updatePageTitles() {
+    const titleElement = document.querySelector('.map-view h1');
+    const subtitleElement = document.querySelector('.map-view p');
 
-            // Parse IPv4 geolocation CSV format using helper function
-            const region = parseIPv4CIDRLine(line);
-            if (region) {
-                tempMemoryRanges.push(region);
-            }
-        } else if (isProcMapsFormat) {
-            // Skip vsyscall lines
-            if (line.includes('[vsyscall]')) {
-                continue;
-            }
-            
-            // Parse /proc/self/maps format: address-range perms offset dev inode [pathname]
-            // Example: 7ffff7dd2000-7ffff7dd4000 rw-p 00000000 00:00 0 [stack]
-            const match = line.match(/^([0-9a-f]+)-([0-9a-f]+)\s+(\S+)\s+(\S+)\s+(\S+)\s+(\S+)(?:\s+(.*))?/);
-            if (match) {
-                const startAddr = parseInt(match[1], 16);
-                const endAddr = parseInt(match[2], 16);
-                const permissions = match[3];
-                let regionName = match[7] ? match[7].trim() : '';
-                
-                // Generate name for unnamed regions using bits 32-48 of start address
-                if (regionName === '') {
-                    const upperBits = Math.floor(startAddr / Math.pow(2, 32));
-                    regionName = `unnamed-${upperBits.toString(16)}`;
-                }
-                
-                // Add permission suffix in curly braces based on first 3 characters (ignore p flag)
-                const rwx = permissions.substring(0, 3);
-                regionName += ' {' + rwx + '}';
-                
-                if (!isNaN(startAddr) && !isNaN(endAddr) && endAddr > startAddr) {
-                    const maxAddress = Math.pow(2, 48);
-                    if (startAddr < maxAddress) {
-                        const clampedEnd = Math.min(endAddr, maxAddress);
-                        const color = generateColorForName(regionName);
-                        
-                        tempMemoryRanges.push(new Region(startAddr, clampedEnd, regionName, color));
-                    }
-                }
-            }
-        } else {
-            // Parse original format: startAddr endAddr regionName
-            const parts = line.trim().split(/\s+/);
-            if (parts.length >= 3) {
-                const startAddr = parseInt(parts[0], 16);
-                const endAddr = parseInt(parts[1], 16);
-                const regionName = parts.slice(2).join(' ');
-                
-                if (!isNaN(startAddr) && !isNaN(endAddr) && endAddr > startAddr) {
-                    const maxAddress = Math.pow(2, 48);
-                    if (startAddr < maxAddress) {
-                        const clampedEnd = Math.min(endAddr, maxAddress);
-                        const color = generateColorForName(regionName);
-                        
-                        tempMemoryRanges.push(new Region(startAddr, clampedEnd, regionName, color));
-                    }
-                }
-            }
-        }
+    if (titleElement) {
+        titleElement.textContent = currentFormat.getTitle();
     }
-    
-    // Add auto regions for IPv4 mode
-    if (isIPv4GeolocationFormat) {
-        const autoRegions = getIPv4AutoRegions();
-        for (const autoLine of autoRegions) {
-            const region = parseIPv4CIDRLine(autoLine);
-            if (region) {
-                tempMemoryRanges.push(region);
-            }
-        }
+    if (subtitleElement) {
+        subtitleElement.textContent = currentFormat.getSubtitle();
     }
 
-    return tempMemoryRanges.sort((a, b) => a.start - b.start);
+    // The prefix window only applies to IPv6 data
+    document.getElementById('ipv6WindowSelect').style.display =
+        currentFormat instanceof IPv6GeolocationFormat ? '' : 'none';
+    // and the address space to memory maps
+    const isMemoryMap = currentFormat instanceof DefaultFormat;
+    document.getElementById('addressSpaceSelect').style.display = isMemoryMap ? '' : 'none';
+    document.getElementById('addressBitsSelect').style.display = isMemoryMap ? '' : 'none';
+    document.getElementById('columnsButton').style.display =
+        currentFormat instanceof DelimitedFormat && !tiledFile ? '' : 'none';
+    if (isMemoryMap) {
+        document.getElementById('addressBitsSelect').value = currentFormat.addressSpace.bits;
+    }
 }
 
-function parseIPv4CIDRLine(line) {
-    const parts = line.split(',');
-    if (parts.length >= 6) {
-        const cidr = parts[0];
-        const countryName = parts[5];
-
-        // Parse CIDR notation
-        const [ipStr, prefixLenStr] = cidr.split('/');
-        const prefixLen = parseInt(prefixLenStr);
+let fullFileContent = '';
+let isContentTruncated = false;
 
-        if (!isNaN(prefixLen) && prefixLen <= 32) {
-            const ipParts = ipStr.split('.').map(x => parseInt(x));
-            if (ipParts.length === 4 && ipParts.every(x => x >= 0 && x <= 255)) {
-                const ipInt = ((ipParts[0] << 24) | (ipParts[1] << 16) | (ipParts[2] << 8) | ipParts[3]) >>> 0;
+// Bytes of a binary file, such as an ELF core dump, whose regions the editor
+// shows as a read-only listing. Null while the editor holds ordinary text.
+let editorBinary = null;
 
-                const hostBits = 32 - prefixLen;
-                const networkMask = (0xFFFFFFFF << hostBits) >>> 0;
-                const networkStart = (ipInt & networkMask) >>> 0;
-                const networkEnd = (networkStart | ((1 << hostBits) - 1)) >>> 0;
+function setEditorBinary(bytes) {
+    editorBinary = bytes;
+    document.getElementById('textEditor').readOnly = bytes !== null;
+}
 
-                const startAddr = networkStart * 65536;
-                const endAddr = (networkEnd + 1) * 65536;
+// Read an uploaded file. Some binary files are only read as far as their
+// headers go, as core dumps can be much larger than memory.
+async function readUploadedFile(file) {
+    const head = new Uint8Array(await file.slice(0, 64).arrayBuffer());
+    const BinaryFormat = detectBinaryFormat(head);
+    const limit = BinaryFormat && BinaryFormat.maxReadBytes ? BinaryFormat.maxReadBytes : file.size;
+    return new Uint8Array(await file.slice(0, limit).arrayBuffer());
+}
 
-                const maxAddress = Math.pow(2, 48);
-                if (startAddr < maxAddress) {
-                    const clampedEnd = Math.min(endAddr, maxAddress);
-                    const color = generateColorForName(countryName);
-                    return new Region(startAddr, clampedEnd, countryName, color);
-                }
+// Read a downloaded file. As with uploads, some binary files are only read
+// as far as their headers go, so the download stops once the start of the
+// file shows it is one of them.
+async function readResponseBytes(response) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let length = 0;
+    let limit = Infinity;
+    let detected = false;
+    while (length < limit) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        chunks.push(value);
+        length += value.length;
+        if (!detected && length >= 64) {
+            detected = true;
+            const BinaryFormat = detectBinaryFormat(joinChunks(chunks, 64));
+            if (BinaryFormat && BinaryFormat.maxReadBytes) {
+                limit = BinaryFormat.maxReadBytes;
             }
         }
     }
-    return null;
+    if (length >= limit) {
+        reader.cancel();
+    }
+    return joinChunks(chunks, Math.min(length, limit));
 }
 
-function getIPv4AutoRegions() {
-    return [
-        '127.0.0.0/8,0,,,,Auto: Localhost/Loopback,0,0',
-        '10.0.0.0/8,0,,,,Auto: Private Use Class A,0,0',
-        '172.16.0.0/12,0,,,,Auto: Private Use Class B,0,0',
-        '192.168.0.0/16,0,,,,Auto: Private Use Class C,0,0',
-        '224.0.0.0/4,0,,,,Auto: Multicast,0,0',
-        '240.0.0.0/4,0,,,,Auto: Reserved for Future Use,0,0',
-        '0.0.0.0/8,0,,,,Auto: This Network,0,0',
-        '169.254.0.0/16,0,,,,Auto: Link-Local,0,0',
-        '192.0.0.0/24,0,,,,Auto: IETF Protocol Assignments,0,0',
-        '192.0.2.0/24,0,,,,Auto: Documentation (TEST-NET-1),0,0',
-        '198.51.100.0/24,0,,,,Auto: Documentation (TEST-NET-2),0,0',
-        '203.0.113.0/24,0,,,,Auto: Documentation (TEST-NET-3),0,0',
-        '198.18.0.0/15,0,,,,Auto: Benchmark Testing,0,0',
-        '100.64.0.0/10,0,,,,Auto: Carrier-grade NAT,0,0'
-    ];
+// The first length bytes of a list of Uint8Arrays, as one.
+function joinChunks(chunks, length) {
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+        if (offset >= length) {
+            break;
+        }
+        bytes.set(chunk.subarray(0, length - offset), offset);
+        offset += chunk.length;
+    }
+    return bytes;
 }
 
-function updatePageTitles() {
-    const titleElement = document.querySelector('.map-view h1');
-    const subtitleElement = document.querySelector('.map-view p');
+// Turn file contents into editor text. Binary formats become a listing of
+// their regions and keep their bytes for parsing.
+function decodeFileContent(bytes, formatId = null) {
+    const BinaryFormat = formatId ?
+        BINARY_FORMATS.find(formatClass => formatClass.id === formatId) :
+        detectBinaryFormat(bytes);
+    if (!BinaryFormat) {
+        return { text: new TextDecoder().decode(bytes), bytes: null };
+    }
+    const parsed = parseMemoryBuffer(bytes, BinaryFormat.id, parseOptions());
+    return { text: parsed.format.formatListing(parsed.regions), bytes: bytes };
+}
 
-    if (titleElement) {
-        titleElement.textContent = currentFormat.getTitle();
+// Parse decoded file contents, from the bytes for binary formats.
+function parseContent(content, formatId = null) {
+    return content.bytes ?
+        parseMemoryBuffer(content.bytes, formatId, parseOptions()) :
+        parseMemoryData(content.text, formatId, textParseOptions(content.text));
+}
+
+// Options for the formats, chosen in the map view.
+function parseOptions() {
+    const options = { addressSpace };
+    if (addressBits) {
+        options.addressBits = addressBits;
     }
-    if (subtitleElement) {
-        subtitleElement.textContent = currentFormat.getSubtitle();
+    if (ipv6Window) {
+        options.ipv6Window = ipv6Window;
     }
+    if (columnMapping) {
+        options.columns = columnMapping;
+    }
+    return options;
 }
 
-let fullFileContent = '';
-let isContentTruncated = false;
+// Prefix of the localStorage keys under which column mappings are remembered
+// for the header of a delimited file.
+const COLUMN_MAPPING_KEY = 'columns:';
+
+// Options for parsing a text. The column mapping chosen for a delimited file
+// only applies to files with the same header. Others use the mapping
+// remembered for their header, or a guessed one.
+function textParseOptions(text) {
+    const options = parseOptions();
+    const header = (text.match(/^.*\S.*$/m) || [''])[0].trim();
+    if (columnMappingHeader !== null && header !== columnMappingHeader) {
+        delete options.columns;
+    }
+    if (!options.columns && localStorage.getItem(COLUMN_MAPPING_KEY + header)) {
+        options.columns = localStorage.getItem(COLUMN_MAPPING_KEY + header);
+    }
+    return options;
+}
+
+// Put text into the editor, truncating the display of large files but keeping
+// the full content for parsing. Returns true if the display was truncated.
+function setEditorContent(text) {
+    const lineCount = (text.match(/\n/g) || []).length + 1;
+
+    fullFileContent = text;
+    isContentTruncated = false;
+    setEditorBinary(null);
+    tiledFile = null;
+
+    if (lineCount > 10000) {
+        const lines = text.split('\n');
+        const truncatedContent = lines.slice(0, 1000).join('\n') +
+            `\n\n... [${lineCount - 1000} more lines truncated for display performance]\n` +
+            `[Full content will be used when applying changes]`;
+
+        document.getElementById('textEditor').value = truncatedContent;
+        isContentTruncated = true;
+        document.getElementById('toggleFullContent').style.display = 'inline-block';
+        return true;
+    }
+
+    document.getElementById('textEditor').value = text;
+    document.getElementById('toggleFullContent').style.display = 'none';
+    return false;
+}
 
 function handleFileUpload(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+    const files = Array.from(event.target.files).filter(file => !file.name.startsWith('.'));
+    event.target.value = '';
 
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        const content = e.target.result;
-        const lineCount = (content.match(/\n/g) || []).length + 1;
-        const fileSizeMB = (file.size / (1024 * 1024)).toFixed(2);
+    // Several files, or a directory, are recorded as a timeline
+    if (files.length > 1) {
+        handleMultipleFileUpload(files);
+        return;
+    }
 
-        // Store full content for processing
-        fullFileContent = content;
-        isContentTruncated = false;
+    const file = files[0];
+    if (!file) return;
 
-        // If file is large, truncate display but keep full content for parsing
-        if (lineCount > 10000) {
-            const lines = content.split('\n');
-            const truncatedContent = lines.slice(0, 1000).join('\n') +
-                `\n\n... [${lineCount - 1000} more lines truncated for display performance]\n` +
-                `[Full content will be used when applying changes]`;
+    readUploadedFile(file).then(bytes => {
+        const { text, bytes: binary } = decodeFileContent(bytes);
+        const lineCount = (text.match(/\n/g) || []).length + 1;
+        const fileSizeMB = (file.size / (1024 * 1024)).toFixed(2);
 
-            document.getElementById('textEditor').value = truncatedContent;
-            isContentTruncated = true;
-            document.getElementById('toggleFullContent').style.display = 'inline-block';
+        if (setEditorContent(text)) {
             setStatus(`Loaded file: ${file.name} (${fileSizeMB} MB, ${lineCount} lines) - Display truncated for performance`);
+        } else if (binary) {
+            setStatus(`Loaded file: ${file.name} (${fileSizeMB} MB) - regions shown as a read-only listing`);
         } else {
-            document.getElementById('textEditor').value = content;
-            document.getElementById('toggleFullContent').style.display = 'none';
             setStatus(`Loaded file: ${file.name} (${fileSizeMB} MB, ${lineCount} lines)`);
         }
+        setEditorBinary(binary);
+
+        editorFormatId = null;
 
         // Clear URL file parameter since user uploaded their own file
         const url = new URL(window.location);
@@ -822,15 +765,40 @@ function handleFileUpload(event) {
 
         // Auto-apply changes after loading file
         setTimeout(() => {
-            applyChanges();
-            // Reset zoom when new file is loaded
-            resetZoom();
+            finishLoad(file.name, text);
         }, 100); // Small delay to ensure UI updates complete
-    };
-    reader.onerror = function() {
+    }, () => {
         setStatus('Error reading file', true);
-    };
-    reader.readAsText(file);
+    });
+}
+
+// Add each file as a snapshot, in natural name order so that numbered
+// snapshots play back in sequence.
+async function handleMultipleFileUpload(files) {
+    const sorted = files.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    const previousFormat = currentFormat;
+
+    try {
+        for (const file of sorted) {
+            const content = decodeFileContent(await readUploadedFile(file));
+            addSnapshot(file.name, content.text, parseContent(content), content.bytes);
+        }
+    } catch (error) {
+        setStatus('Error reading files', true);
+        return;
+    }
+
+    // Clear URL file parameter since user uploaded their own files
+    const url = new URL(window.location);
+    url.searchParams.delete('file');
+    window.history.pushState(null, '', url.toString());
+
+    showSnapshot(snapshots.length - 1);
+    if (currentFormat.constructor !== previousFormat.constructor) {
+        resetZoom();
+    }
+    switchTab('map');
+    setStatus(`Loaded ${sorted.length} files into the timeline`);
 }
 
 function toggleFullContent() {
@@ -858,37 +826,540 @@ function toggleFullContent() {
     }
 }
 
-async function applyChanges() {
-    // Use full content if available (for large files), otherwise use textarea content
-    const textContent = isContentTruncated ? fullFileContent : document.getElementById('textEditor').value;
-
-    try {
-        // Parse the text content using the unified parser
-        regions = parseMemoryData(textContent);
-        updatePageTitles();
-        updateCanvas(zoomState);
+// Use full content if available (for large files), otherwise use textarea content
+function getEditorText() {
+    return isContentTruncated ? fullFileContent : document.getElementById('textEditor').value;
+}
+
+async function applyChanges() {
+    if (tiledFile) {
+        // Nothing to parse, the server has the regions, but the options it
+        // parses them with may have changed
+        const file = tiledFile;
+        let info;
+        try {
+            info = await fetchTiledFileInfo(file.name);
+        } catch (error) {
+            setStatus(`Error loading ${file.name}: ${error.message}`, true);
+            return;
+        }
+        if (tiledFile === file) {
+            showTiledFile(info);
+        }
+        return;
+    }
+
+    const textContent = getEditorText();
+
+    try {
+        // Parse the text content using the unified parser
+        const parsed = parseContent({ text: textContent, bytes: editorBinary }, editorFormatId);
+        regions = parsed.regions;
+        currentFormat = parsed.format;
+        if (currentFormat instanceof DelimitedFormat) {
+            useColumnMapping(currentFormat);
+        }
+        hideDiffSummary();
+        updatePageTitles();
+        updateCanvas(zoomState);
+
+        const lineCount = (textContent.match(/\n/g) || []).length + 1;
+        if (isContentTruncated) {
+            setStatus(`Changes applied - processed ${lineCount} lines from full file content`);
+        } else {
+            setStatus('Changes applied to visualization');
+        }
+
+        // Auto-switch to map tab to show results
+        switchTab('map');
+
+    } catch (error) {
+        console.error('Error parsing changes:', error);
+        // Range errors explain a bad option, such as an invalid IPv6 window
+        setStatus(error instanceof RangeError ? error.message : 'Error parsing text content', true);
+    }
+}
+
+// Save the editor text as a file in the server's data directory, asking
+// before replacing an existing file.
+async function saveEditorAs() {
+    const current = new URLSearchParams(window.location.search).get('file');
+    const suggestion = current && /^[\w-]+\.\w+$/.test(current) && current !== 'default.txt' ?
+        current : 'annotated.txt';
+    let name = prompt('Save as (letters, digits, - and _ with a .txt, .csv, .tsv or .json extension):',
+        suggestion);
+    if (!name) {
+        return;
+    }
+    name = name.trim();
+    if (!name.includes('.')) {
+        name += '.txt';
+    }
+
+    const text = getEditorText();
+    try {
+        let response = await postFile(name, text, false);
+        if (response.status === 409) {
+            if (!confirm(`${name} already exists. Overwrite it?`)) {
+                return;
+            }
+            response = await postFile(name, text, true);
+        }
+        if (!response.ok) {
+            throw new Error(await response.text());
+        }
+    } catch (error) {
+        setStatus(`Error saving ${name}: ${error.message}`, true);
+        return;
+    }
+
+    setStatus(`Saved ${name}`);
+    await refreshFileList();
+
+    // The saved file can now be reloaded from the URL
+    const url = new URL(window.location);
+    url.searchParams.set('file', name);
+    window.history.pushState(null, '', url.toString());
+}
+
+// Download the regions of the editor text, edits included, in the JSON
+// format, for other tools.
+function exportJson() {
+    if (tiledFile) {
+        setStatus('Files rendered by the server can\'t be exported', true);
+        return;
+    }
+
+    let json;
+    try {
+        const parsed = parseContent({ text: getEditorText(), bytes: editorBinary }, editorFormatId);
+        json = formatRegionsJson(parsed.regions, parsed.format);
+    } catch (error) {
+        setStatus(error instanceof RangeError ? error.message : 'Error parsing text content', true);
+        return;
+    }
+
+    const current = new URLSearchParams(window.location.search).get('file');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = (current ? current.replace(/\.\w+$/, '') : 'regions') + '.json';
+    link.click();
+    // Revoked once the download has started
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    setStatus(`Exported ${link.download}`);
+}
+
+function postFile(name, text, overwrite) {
+    const params = new URLSearchParams({ name: name });
+    if (overwrite) {
+        params.set('overwrite', '1');
+    }
+    return fetch(`/api/files?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body: text
+    });
+}
+
+let snapshots = [];      // Timeline of { label, text, regions, format }
+let timelineIndex = -1;  // Snapshot currently shown
+let playbackTimer = null;
+
+// Snapshots kept on the timeline. A long live session would otherwise keep
+// every update in memory, so the oldest are forgotten beyond this.
+const MAX_SNAPSHOTS = 200;
+
+// Parse newly loaded content and add it to the timeline. The zoom is only
+// reset when the kind of data changes, so a series of maps of the same
+// process can be compared in place.
+function finishLoad(label, text) {
+    const previousFormat = currentFormat;
+    applyChanges();
+    addSnapshot(label, text, { regions: regions, format: currentFormat }, editorBinary);
+
+    if (snapshots.length === 1 || currentFormat.constructor !== previousFormat.constructor) {
+        resetZoom();
+    }
+}
+
+// Bytes are kept for snapshots of binary files, so that they can be parsed
+// again when shown in the editor.
+function addSnapshot(label, text, parsed, bytes = null) {
+    // Loading the same data again, e.g. the first live update after the
+    // initial load, doesn't make a new snapshot.
+    const last = snapshots[snapshots.length - 1];
+    if (last && last.text === text) {
+        timelineIndex = snapshots.length - 1;
+        updateTimeline();
+        return;
+    }
+
+    snapshots.push({ label: label, text: text, regions: parsed.regions, format: parsed.format, bytes: bytes });
+    if (snapshots.length > MAX_SNAPSHOTS) {
+        // Keep the one being looked at, as a live update doesn't switch to
+        // the new snapshot when an older one is shown.
+        snapshots.splice(timelineIndex === 0 ? 1 : 0, 1);
+    }
+    timelineIndex = snapshots.length - 1;
+    updateTimeline();
+}
+
+function updateTimeline() {
+    const timeline = document.getElementById('timeline');
+    const slider = document.getElementById('timelineSlider');
+
+    timeline.style.display = snapshots.length > 1 ? 'flex' : 'none';
+    slider.max = Math.max(snapshots.length - 1, 0);
+    slider.value = timelineIndex;
+
+    const snapshot = snapshots[timelineIndex];
+    document.getElementById('timelineLabel').textContent = snapshot ?
+        `${timelineIndex + 1}/${snapshots.length}: ${snapshot.label}` : '';
+}
+
+// Swap in the regions of a snapshot and redraw without changing the zoom.
+function showSnapshot(index) {
+    const snapshot = snapshots[index];
+    if (!snapshot) return;
+
+    timelineIndex = index;
+    setEditorContent(snapshot.text);
+    setEditorBinary(snapshot.bytes);
+    originalTextContent = snapshot.text;
+    regions = snapshot.regions;
+    currentFormat = snapshot.format;
+    hideDiffSummary();
+    updatePageTitles();
+
+    let tooltipRegion = null;
+    if (highlightedRegion) {
+        tooltipRegion = findMatchingRegion(highlightedRegion);
+        highlightedRegion = tooltipRegion;
+    }
+
+    if (animationState.isAnimating) {
+        if (animationState.animationId) {
+            cancelAnimationFrame(animationState.animationId);
+        }
+        finishCurrentAnimation();
+    }
+    updateCanvas(zoomState);
+
+    if (tooltipRegion) {
+        updateTooltipContent(tooltipRegion, regions.indexOf(tooltipRegion));
+    } else if (isTooltipVisible()) {
+        hideTooltip();
+    }
+
+    updateTimeline();
+}
+
+function scrubTimeline(value) {
+    stopPlayback();
+    showSnapshot(parseInt(value));
+}
+
+function togglePlayback() {
+    if (playbackTimer) {
+        stopPlayback();
+        return;
+    }
+
+    // Start from the beginning when the end has been reached
+    if (timelineIndex >= snapshots.length - 1) {
+        showSnapshot(0);
+    }
+    document.getElementById('playButton').textContent = 'Pause';
+    playbackTimer = setInterval(() => {
+        if (timelineIndex >= snapshots.length - 1) {
+            stopPlayback();
+        } else {
+            showSnapshot(timelineIndex + 1);
+        }
+    }, 700);
+}
+
+function stopPlayback() {
+    if (playbackTimer) {
+        clearInterval(playbackTimer);
+        playbackTimer = null;
+    }
+    document.getElementById('playButton').textContent = 'Play';
+}
+
+// Forget all snapshots except the one currently shown.
+function clearTimeline() {
+    stopPlayback();
+    snapshots = timelineIndex >= 0 ? [snapshots[timelineIndex]] : [];
+    timelineIndex = snapshots.length - 1;
+    updateTimeline();
+}
+
+// Fill the compare dialog's selects with the editor text, the timeline
+// snapshots and the sample files.
+function showCompareDialog() {
+    const choices = [{ value: 'editor', text: 'Editor text' }];
+    snapshots.forEach((snapshot, index) => {
+        choices.push({ value: `snapshot:${index}`, text: `Snapshot ${index + 1}: ${snapshot.label}` });
+    });
+    for (const option of document.getElementById('sampleSelect').options) {
+        if (option.value && option.value !== 'attach') {
+            choices.push({ value: option.value, text: option.text });
+        }
+    }
+
+    for (const side of ['compareBefore', 'compareAfter']) {
+        const select = document.getElementById(side);
+        select.innerHTML = '';
+        for (const choice of choices) {
+            select.add(new Option(choice.text, choice.value));
+        }
+        document.getElementById(`${side}File`).value = '';
+    }
+
+    // Default to comparing the previous snapshot with the editor text
+    if (snapshots.length > 1) {
+        document.getElementById('compareBefore').value = `snapshot:${snapshots.length - 2}`;
+    }
+
+    document.getElementById('compareDialog').showModal();
+}
+
+// Keep the column mapping a delimited file was parsed with, and put it in
+// the URL so that links show the file the same way.
+function useColumnMapping(format) {
+    columnMapping = formatColumnMapping(format.columns);
+    columnMappingHeader = format.header;
+
+    const url = new URL(window.location);
+    url.searchParams.set('columns', columnMapping);
+    window.history.replaceState(null, '', url.toString());
+}
+
+// Fill the column dialog with the columns of the delimited file shown and
+// the roles they have now.
+function showColumnsDialog() {
+    const columns = currentFormat.columns;
+    for (const role of ['start', 'end', 'size', 'label', 'color']) {
+        const select = document.getElementById(`column-${role}`);
+        select.innerHTML = '';
+        if (role !== 'start') {
+            select.add(new Option('(none)', ''));
+        }
+        currentFormat.columnNames.forEach((name, i) => select.add(new Option(name, i)));
+        select.value = columns[role] === null ? '' : columns[role];
+    }
+    document.getElementById('columnType').value = columns.type;
+
+    const fields = document.getElementById('columnFields');
+    fields.innerHTML = '';
+    currentFormat.columnNames.forEach((name, i) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = i;
+        checkbox.checked = columns.fields.includes(i);
+        label.append(checkbox, ` ${name}`);
+        fields.appendChild(label);
+    });
+
+    document.getElementById('columnsDialog').showModal();
+}
+
+// Parse the file again with the chosen columns, and remember them for files
+// with the same header.
+function applyColumnsDialog() {
+    const mapping = { fields: [], type: document.getElementById('columnType').value };
+    for (const role of ['start', 'end', 'size', 'label', 'color']) {
+        const value = document.getElementById(`column-${role}`).value;
+        mapping[role] = value === '' ? null : parseInt(value);
+    }
+    for (const checkbox of document.querySelectorAll('#columnFields input:checked')) {
+        mapping.fields.push(parseInt(checkbox.value));
+    }
+
+    columnMapping = formatColumnMapping(mapping);
+    columnMappingHeader = currentFormat.header;
+    localStorage.setItem(COLUMN_MAPPING_KEY + currentFormat.header, columnMapping);
+    closeColumnsDialog();
+
+    tiles.clear();
+    tileRequests.clear();
+    applyChanges();
+    resetZoom();
+}
+
+function closeColumnsDialog() {
+    document.getElementById('columnsDialog').close();
+}
+
+function closeCompareDialog() {
+    document.getElementById('compareDialog').close();
+}
+
+// Contents of one side of the comparison, as from decodeFileContent. An
+// uploaded file takes precedence over the selection.
+async function getCompareInput(side) {
+    const file = document.getElementById(`${side}File`).files[0];
+    if (file) {
+        return { label: file.name, ...decodeFileContent(await readUploadedFile(file)) };
+    }
+
+    const select = document.getElementById(side);
+    const value = select.value;
+    const label = select.options[select.selectedIndex].text;
+
+    if (value === 'editor') {
+        const text = isContentTruncated ? fullFileContent : document.getElementById('textEditor').value;
+        return { label: label, text: text, bytes: editorBinary };
+    }
+    if (value.startsWith('snapshot:')) {
+        const snapshot = snapshots[parseInt(value.substring(9))];
+        return { label: label, text: snapshot.text, bytes: snapshot.bytes };
+    }
+
+    const response = await fetch(value);
+    if (!response.ok) {
+        throw new Error(await response.text());
+    }
+    return { label: label, ...decodeFileContent(new Uint8Array(await response.arrayBuffer())) };
+}
+
+async function runCompare() {
+    try {
+        const before = await getCompareInput('compareBefore');
+        const after = await getCompareInput('compareAfter');
+        closeCompareDialog();
+
+        const beforeParsed = parseContent(before);
+        const afterParsed = parseContent(after);
+        const diff = diffRegions(beforeParsed.regions, afterParsed.regions);
+
+        regions = diff.regions;
+        currentFormat = new DiffFormat(afterParsed.format);
+        updatePageTitles();
+        showDiffSummary(diff.summary, before.label, after.label);
+        hideTooltip();
+        updateCanvas(zoomState);
+        switchTab('map');
+        setStatus(`Compared ${before.label} with ${after.label}`);
+    } catch (error) {
+        setStatus(`Error comparing: ${error.message}`, true);
+    }
+}
+
+function showDiffSummary(summary, beforeLabel, afterLabel) {
+    const div = document.getElementById('diffSummary');
+    const legend = Object.keys(DIFF_COLORS).map(status => {
+        const { r, g, b } = DIFF_COLORS[status];
+        return `<span><i style="background: rgb(${r}, ${g}, ${b})"></i>${DIFF_STATUS_LABELS[status]}</span>`;
+    }).join('');
+
+    let totalGained = 0;
+    let totalLost = 0;
+    const rows = summary.map(entry => {
+        totalGained += entry.gained;
+        totalLost += entry.lost;
+        return `<tr><td>${escapeHtml(entry.name)}</td>` +
+            `<td class="diff-gained">${entry.gained ? '+' + currentFormat.formatSize(entry.gained) : ''}</td>` +
+            `<td class="diff-lost">${entry.lost ? '-' + currentFormat.formatSize(entry.lost) : ''}</td></tr>`;
+    }).join('');
+
+    div.innerHTML = `
+        <div><strong>${escapeHtml(beforeLabel)}</strong> &rarr; <strong>${escapeHtml(afterLabel)}</strong></div>
+        <div class="diff-legend">${legend}</div>
+        <table>
+            <tr><th>Region</th><th>Gained</th><th>Lost</th></tr>
+            ${rows}
+            <tr><th>Total</th><th class="diff-gained">+${currentFormat.formatSize(totalGained)}</th><th class="diff-lost">-${currentFormat.formatSize(totalLost)}</th></tr>
+        </table>
+    `;
+    div.style.display = 'inline-block';
+}
+
+function hideDiffSummary() {
+    document.getElementById('diffSummary').style.display = 'none';
+}
+
+let liveEventSource = null;
+let pendingLiveText = null;
+
+// Subscribe to the server's live updates of the loaded command line file
+// (started with --pid or --watch).
+function startLiveUpdates() {
+    const file = new URLSearchParams(window.location.search).get('file') || 'default.txt';
+    liveEventSource = new EventSource(`/events?file=${encodeURIComponent(file)}`);
+
+    liveEventSource.addEventListener('maps', function(e) {
+        applyLiveUpdate(JSON.parse(e.data));
+    });
+
+    liveEventSource.addEventListener('gone', function(e) {
+        setStatus(JSON.parse(e.data), true);
+        liveEventSource.close();
+        liveEventSource = null;
+    });
+}
+
+// Find the region in the current regions that corresponds to one from an
+// earlier parse, so the highlight survives a reload of the data.
+function findMatchingRegion(region) {
+    return regions.find(r => r.start === region.start && r.name === region.name) ||
+           regions.find(r => r.start === region.start) ||
+           null;
+}
 
-        const lineCount = (textContent.match(/\n/g) || []).length + 1;
-        if (isContentTruncated) {
-            setStatus(`Changes applied - processed ${lineCount} lines from full file content`);
-        } else {
-            setStatus('Changes applied to visualization');
+// Re-parse and redraw in place, keeping the zoom state and highlighted region.
+function applyLiveUpdate(text) {
+    if (animationState.isAnimating) {
+        // Don't redraw under a running animation, try again when it is done.
+        if (pendingLiveText === null) {
+            setTimeout(() => {
+                const latest = pendingLiveText;
+                pendingLiveText = null;
+                applyLiveUpdate(latest);
+            }, 200);
         }
+        pendingLiveText = text;
+        return;
+    }
 
-        // Auto-switch to map tab to show results
-        switchTab('map');
-
+    // A bad update, such as a file caught half written, keeps the snapshot
+    // shown and the stream open for the next one.
+    let parsed;
+    try {
+        parsed = parseContent({ text }, editorFormatId);
     } catch (error) {
-        console.error('Error parsing changes:', error);
-        setStatus('Error parsing text content', true);
+        setStatus(`Error parsing live update: ${error.message}`, true);
+        return;
+    }
+
+    // Pages may have come and gone along with the mappings
+    if (pagemapPid !== null) {
+        setPagemapSource(pagemapPid);
     }
+
+    // Follow the live data unless the user is looking at an older snapshot
+    const shown = snapshots[timelineIndex];
+    const atLatest = timelineIndex === snapshots.length - 1;
+    addSnapshot(`live ${new Date().toLocaleTimeString()}`, text, parsed);
+    if (atLatest) {
+        showSnapshot(snapshots.length - 1);
+    } else {
+        timelineIndex = snapshots.indexOf(shown);
+        updateTimeline();
+    }
+
+    setStatus(`Live update: ${snapshots[snapshots.length - 1].regions.length} regions`);
 }
 
 async function loadMemoryMap() {
     const response = await fetch('/chrome-maps.txt');
     const textContent = await response.text();
 
-    regions = parseMemoryData(textContent);
+    const parsed = parseMemoryData(textContent);
+    regions = parsed.regions;
+    currentFormat = parsed.format;
     updatePageTitles();
     updateCanvas(zoomState);
 }
@@ -911,70 +1382,12 @@ function updateCanvas(zoomStateParam) {
         drawBackgroundMobile(backgroundCtx);
         updateMobileScaleInfo();
     } else {
-        drawBackground(backgroundCtx);
+        drawBackground(backgroundCtx, currentFormat, zoomState);
     }
     
     drawMemoryData(memoryCanvas, zoomState);
 }
 
-function xyToHilbertIndex(x, y) {
-    const n = 0x1000000; // 2^24 = 16777216
-    let index = 0;
-
-    for (let s = n >>> 1; s > 0; s = Math.floor(s / 2)) {
-        let rx = (x & s) > 0 ? 1 : 0;
-        let ry = (y & s) > 0 ? 1 : 0;
-        index += s * s * ((3 * rx) ^ ry);
-
-        if (ry === 0) {
-            if (rx === 1) {
-                x = n - 1 - x;
-                y = n - 1 - y;
-            }
-            [x, y] = [y, x];
-        }
-    }
-
-    return index;
-}
-
-function hilbertIndexToXY(index, order = 24) {
-    const n = 1 << order;
-    let x = 0, y = 0;
-    let t = index;
-
-    for (let s = 1; s < n; s <<= 1) {
-        const rx = 1 & (t >>> 1);
-        const ry = 1 & (t ^ rx);
-
-        if (ry === 0) {
-            if (rx === 1) {
-                x = s - 1 - x;
-                y = s - 1 - y;
-            }
-            [x, y] = [y, x];
-        }
-
-        x += s * rx;
-        y += s * ry;
-        t = Math.floor(t / 4);
-    }
-
-    return [x, y];
-}
-
-function addressToCanvasCoordinates(address, zoomStateParam) {
-    // Get coordinates in 2^24 coordinate system
-    const [x24, y24] = hilbertIndexToXY(address);
-    
-    // Scale from 2^24 to 1024 and apply zoom offset
-    const zoomFactor = zoomStateParam.getZoomFactor();
-    const scaledX = Math.floor((x24 - zoomStateParam.offsetX) * zoomFactor);
-    const scaledY = Math.floor((y24 - zoomStateParam.offsetY) * zoomFactor);
-    
-    return { x: scaledX, y: scaledY, toString: function() { return "(" + this.x + "," + this.y + ")"; } }
-}
-
 function getMapCoordinates(e, memoryCanvas) {
     const rect = memoryCanvas.getBoundingClientRect();
     const scaleX = memoryCanvas.width / rect.width;
@@ -985,24 +1398,6 @@ function getMapCoordinates(e, memoryCanvas) {
     return { canvasX: mapX, canvasY: mapY, mapX, mapY };
 }
 
-function findAddressAtPixel(mapX, mapY) {
-    // Convert 1024x1024 coordinates to 2^24 coordinate system and apply zoom offsets
-    const zoomFactor = zoomState.getZoomFactor();
-
-    const x24 = zoomState.offsetX + mapX / zoomFactor;
-    const y24 = zoomState.offsetY + mapY / zoomFactor;
-
-    // Check bounds in the 2^24 coordinate system
-    const maxCoord24 = Math.pow(2, 24) - 1;
-    if (x24 < 0 || x24 > maxCoord24 || y24 < 0 || y24 > maxCoord24) return null;
-
-    // Calculate address using 2^24 Hilbert mapping
-    const hilbertIndex24 = xyToHilbertIndex(x24, y24);
-    const address = hilbertIndex24; // Each Hilbert index maps to 1 byte in 48-bit space
-
-    return address;
-}
-
 function findRegionFromAddress(address) {
     if (address === null) return null;
 
@@ -1015,42 +1410,6 @@ function findRegionFromAddress(address) {
     return null;
 }
 
-function formatBytes(bytes) {
-    if (bytes >= 1024 * 1024 * 1024 * 1024) {
-        return Math.round(bytes / (1024 * 1024 * 1024 * 1024)) + ' TiB';
-    } else if (bytes >= 1024 * 1024 * 1024) {
-        return Math.round(bytes / (1024 * 1024 * 1024)) + ' GiB';
-    } else if (bytes >= 1024 * 1024) {
-        return Math.round(bytes / (1024 * 1024)) + ' MiB';
-    } else if (bytes >= 1024) {
-        return Math.round(bytes / 1024) + ' KiB';
-    } else {
-        return Math.round(bytes) + ' bytes';
-    }
-}
-
-function drawBackground(ctx) {
-    const minAddr = zoomState.minAddr;
-    const maxAddr = zoomState.maxAddr;
-    const addressRange = maxAddr - minAddr;
-    const bytesPerPixel = addressRange / (MAP.WIDTH * MAP.HEIGHT);
-
-    // Light gray background for entire canvas
-    ctx.fillStyle = '#F0B060';
-    ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-
-    // Create transparent hole for the map area using composite operation
-    ctx.globalCompositeOperation = 'destination-out';
-    ctx.fillRect(MAP.BORDER_LEFT, MAP.BORDER_TOP, MAP.WIDTH, MAP.HEIGHT);
-    ctx.globalCompositeOperation = 'source-over';
-
-    // Draw grid lines on background canvas with margin offsets
-    drawGridLines(ctx, zoomState.level, MAP.BORDER_LEFT, MAP.BORDER_TOP);
-    
-    // Draw scale key
-    drawScaleKey(ctx, zoomState.level, bytesPerPixel, minAddr, maxAddr);
-}
-
 function drawBackgroundMobile(ctx) {
     // Light gray background for entire canvas
     ctx.fillStyle = '#C0C0C0';
@@ -1062,7 +1421,7 @@ function drawBackgroundMobile(ctx) {
     ctx.globalCompositeOperation = 'source-over';
     
     // Draw grid lines on background canvas with margin offsets
-    drawGridLines(ctx, zoomState.level, MAP.BORDER_LEFT, MAP.BORDER_TOP);
+    drawGridLines(ctx, zoomState, MAP.BORDER_LEFT, MAP.BORDER_TOP);
     
     // No scale key drawn on mobile - it goes in the HTML div below
 }
@@ -1081,7 +1440,7 @@ function updateMobileScaleInfo() {
     let html = `
         <div style="margin-bottom: 10px;">
             <strong>Memory Range:</strong><br>
-            0x${minAddr.toString(16)} - 0x${maxAddr.toString(16)}
+            ${currentFormat.formatRangeLabel(minAddr, maxAddr)}
         </div>
         <div style="margin-bottom: 10px;">
             <strong>Scale:</strong><br>
@@ -1107,65 +1466,32 @@ function updateMobileScaleInfo() {
 }
 
 function drawMemoryData(canvas, zoomStateParam) {
-    const ctx = canvas.getContext('2d');
-    const totalPixels = MAP.WIDTH * MAP.HEIGHT;
-    const minAddr = zoomStateParam.minAddr;
-    const maxAddr = zoomStateParam.maxAddr;
-    const addressRange = maxAddr - minAddr;
-    const bytesPerPixel = addressRange / totalPixels;
-
-    // Create image data for the memory canvas and initialize with opaque black pixels
-    const imageData = ctx.createImageData(MAP.WIDTH, MAP.HEIGHT);
-    const data = imageData.data;
-    
-    // Initialize all pixels to opaque black (R=0, G=0, B=0, A=255)
-    for (let i = 3; i < data.length; i += 4) {
-        data[i] = 255; // Set alpha channel to opaque
+    const overlays = [];
+    // Page dumps are of user addresses, which only the default address space
+    // shows as is
+    const space = currentFormat.addressSpace;
+    const showsUserAddresses = !space || (space.id === DEFAULT_ADDRESS_SPACE && space.bits === DEFAULT_ADDRESS_BITS);
+    if (showsUserAddresses && isPagemapVisible(zoomStateParam)) {
+        requestPagemap(zoomStateParam);
+        if (pagemap) {
+            overlays.push(data => drawPagemapOverlay(data, zoomStateParam, pagemap));
+        }
     }
-
-    if (regions.length === 0) {
-        // Put the empty (black) image data and return
-        ctx.putImageData(imageData, 0, 0);
-        return;
+    // Allocations are placed in whatever part of the address space is shown
+    if (allocationTrace && space) {
+        const allocations = allocationTrace.liveRanges(space);
+        overlays.push(data => drawAllocationOverlay(data, zoomStateParam, allocations));
     }
 
-    // Filter ranges to only those that overlap with current view
-    const visibleRanges = regions.filter(range =>
-        range.end > minAddr && range.start < maxAddr
-    );
-
-    // Get zoom factor once outside of loops
-    const zoomFactor = zoomStateParam.getZoomFactor();
-
-    // Process each visible memory range
-    visibleRanges.forEach(range => {
-        const { r, g, b, a } = range.color;
-
-        // Calculate pixel range for this memory range in current view
-        const startAddr = Math.max(range.start, minAddr);
-        const endAddr = Math.min(range.end, maxAddr);
-
-        // Fill pixels for this memory range
-        for (let address = startAddr; address < endAddr; address += bytesPerPixel) {
-            const coords = addressToCanvasCoordinates(address, zoomStateParam);
-
-            if (coords.x >= 0 && coords.x < MAP.WIDTH &&
-                coords.y >= 0 && coords.y < MAP.HEIGHT) {
-                const dataIndex = (coords.y * MAP.WIDTH + coords.x) * 4;
-                
-                data[dataIndex] = r;     // Red
-                data[dataIndex + 1] = g; // Green
-                data[dataIndex + 2] = b; // Blue
-                data[dataIndex + 3] = a; // Alpha
-            }
-        }
-    });
-
-    // Apply the image data to canvas
-    ctx.putImageData(imageData, 0, 0);
-    
-    // Draw grid lines on top of the memory data
-    drawGridLines(ctx, zoomStateParam.level);
+    if (!tiledFile) {
+        renderMemoryData(canvas.getContext('2d'), regions, zoomStateParam, { colorMode, overlays });
+    } else if (tiles.has(tileKey(zoomStateParam))) {
+        renderMapTile(canvas.getContext('2d'), tiles.get(tileKey(zoomStateParam)), zoomStateParam, { overlays });
+    } else {
+        // Black until the tile arrives
+        renderMemoryData(canvas.getContext('2d'), [], zoomStateParam);
+        requestTile(zoomStateParam);
+    }
 
     const highlighted = new Highlighted(zoomStateParam);
     visibleCanvases.set(canvas, highlighted);
@@ -1176,158 +1502,171 @@ function drawMemoryData(canvas, zoomStateParam) {
     }
 }
 
-function drawGridLines(ctx, zoomLevel, offsetX = 0, offsetY = 0) {
-    const tbSize = 128; // 128x128 pixel squares
-    const subSize = 16; // 16x16 pixel sub-squares (128/8 = 16)
-    
-    // Helper function to draw a single line segment with appropriate style
-    function drawLineSegment(startX, startY, endX, endY, isSubGrid) {
-        // Set up style based on connectivity and grid level
-        if (isSubGrid) {
-          ctx.lineWidth = 1;
-          ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)'; // Lighter color for sub-grid
-        } else {
-          ctx.lineWidth = 3;
-          ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
-        }
-        
-        // Draw the segment with optional offset
-        ctx.beginPath();
-        ctx.moveTo(startX + offsetX, startY + offsetY);
-        ctx.lineTo(endX + offsetX, endY + offsetY);
-        ctx.stroke();
+// Use the live pagemap of a local process for the page overlay, or none.
+function setPagemapSource(pid) {
+    pagemapPid = pid;
+    pagemap = null;
+    pagemapRequests.clear();
+}
+
+// Fetch the pagemap for a view from the server unless we already have it.
+// The view is redrawn when it arrives.
+async function requestPagemap(zoomStateParam) {
+    const { minAddr, maxAddr } = zoomStateParam;
+    const key = `${pagemapPid}:${minAddr}`;
+
+    if (pagemapPid === null || pagemapRequests.has(key) ||
+        (pagemap && pagemap.covers(minAddr, maxAddr))) {
+        return;
     }
-    
-    // Helper function to check if two adjacent squares are adjacent in memory
-    function areSquaresAdjacentInMemory(x1, y1, x2, y2, squareSize) {
-        
-        // Find addresses in each square.
-        const addr1 = findAddressAtPixel(x1, y1);
-        const addr2 = findAddressAtPixel(x2, y2);
-        
-        if (addr1 === null || addr2 === null) {
-            return true; // Default to light if we can't determine
+    // Remember failed requests too, so we don't retry on every redraw.
+    pagemapRequests.add(key);
+
+    try {
+        const response = await fetch(`/api/pagemap?pid=${pagemapPid}` +
+            `&start=${minAddr.toString(16)}&end=${maxAddr.toString(16)}`);
+        if (!response.ok) {
+            throw new Error(await response.text());
+        }
+        const fetched = PagemapData.parse(await response.arrayBuffer());
+        if (!pagemapRequests.has(key)) {
+            return; // The source changed while we were waiting.
         }
-        
-        // Calculate the memory size of one square of the given size
-        const { minAddr, maxAddr } = zoomState;
-        const bytesPerPixel = (maxAddr - minAddr) / (MAP.WIDTH * MAP.HEIGHT);
-        const bytesPerSquare = bytesPerPixel * squareSize * squareSize;
-        
-        // Round addresses down to square boundaries
-        const roundedAddr1 = Math.floor(addr1 / bytesPerSquare) * bytesPerSquare;
-        const roundedAddr2 = Math.floor(addr2 / bytesPerSquare) * bytesPerSquare;
-        
-        // Check if the rounded addresses are exactly one square apart
-        const addressDiff = Math.abs(roundedAddr1 - roundedAddr2);
-        const isAdjacent = addressDiff === bytesPerSquare;
 
-        return isAdjacent;
-    }
-    
-    // Draw vertical sub-grid lines
-    for (let i = 0; i <= MAP.WIDTH; i += subSize) {
-        // Check each segment of the vertical sub-grid line
-        for (let j = 0; j < MAP.HEIGHT; j += subSize) {
-            let isSubGrid = i % tbSize !== 0;
-            const leftSquareX = i - subSize;
-            const rightSquareX = i;
-            const squareY = j;
-            
-            const isAdjacent   = areSquaresAdjacentInMemory(leftSquareX, squareY, rightSquareX, squareY, subSize);
-            if (!isSubGrid) {
-                const isAdjacentHi = areSquaresAdjacentInMemory(leftSquareX, squareY, rightSquareX, squareY, tbSize);
-                if (isAdjacentHi) isSubGrid = true;
-            }
-            
-            if (!isAdjacent) drawLineSegment(i, j, i, j + subSize, isSubGrid);
+        if (pagemap) {
+            pagemap.merge(fetched);
+        } else {
+            pagemap = fetched;
         }
-    }
-    
-    // Draw horizontal sub-grid lines
-    for (let i = 0; i <= MAP.HEIGHT; i += subSize) {
-        // Check each segment of the horizontal sub-grid line
-        for (let j = 0; j < MAP.WIDTH; j += subSize) {
-            let isSubGrid = i % tbSize !== 0;
-            const squareX = j;
-            const topSquareY = i - subSize;
-            const bottomSquareY = i;
-            
-            // Check if sub-squares above and below this line are adjacent in memory
-            const isAdjacent   = areSquaresAdjacentInMemory(squareX, topSquareY, squareX, bottomSquareY, subSize);
-            if (!isSubGrid) {
-                const isAdjacentHi = areSquaresAdjacentInMemory(squareX, topSquareY, squareX, bottomSquareY, tbSize);
-                if (isAdjacentHi) isSubGrid = true;
-            }
-            
-            // Draw this segment using the helper function (isSubGrid = true)
-            if (!isAdjacent) drawLineSegment(j, i, j + subSize, i, isSubGrid);
+
+        if (zoomState.equals(zoomStateParam) && !animationState.isAnimating) {
+            drawMemoryData(memoryCanvas, zoomState);
         }
-    }
-    
-    // Reset line dash for other drawing
-    ctx.setLineDash([]);
-    
-    // If we have offsets, this is being drawn on the background canvas, so punch out the hole again
-    if (offsetX > 0 || offsetY > 0) {
-        ctx.globalCompositeOperation = 'destination-out';
-        ctx.fillStyle = 'black';
-        ctx.fillRect(offsetX, offsetY, MAP.WIDTH, MAP.HEIGHT);
-        ctx.globalCompositeOperation = 'source-over';
+    } catch (error) {
+        setStatus(`Page overlay unavailable: ${error.message}`, true);
     }
 }
 
-function drawScaleKey(ctx, level, bytesPerPixel, minAddr, maxAddr) {
-    const keyX = MAP.BORDER_LEFT + MAP.WIDTH + MAP.KEY_OFFSET;
-    const keyY = MAP.BORDER_TOP + 100;
+function handlePagemapUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
 
-    // Set text style
-    ctx.fillStyle = '#000000';
-    ctx.font = '16px Arial';
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        try {
+            setPagemapSource(null);
+            pagemap = PagemapData.parse(e.target.result);
+            drawMemoryData(memoryCanvas, zoomState);
+            setStatus(`Loaded page dump: ${file.name} (${pagemap.records.length} ranges)`);
+        } catch (error) {
+            setStatus(`Error reading page dump: ${error.message}`, true);
+        }
+    };
+    reader.onerror = function() {
+        setStatus('Error reading file', true);
+    };
+    reader.readAsArrayBuffer(file);
+    event.target.value = '';
+}
 
-    // Memory range above Scale
-    ctx.fillText(currentFormat.formatRangeLabel(minAddr, maxAddr), keyX, keyY - 20);
+function handleAllocationTraceUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
 
-    // Title
-    ctx.fillText('Scale:', keyX, keyY);
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        const trace = AllocationTrace.parse(e.target.result);
+        if (trace.events.length === 0) {
+            setStatus(`No allocations found in ${file.name}`, true);
+            return;
+        }
+        stopAllocationPlayback();
+        allocationTrace = trace;
+        // Start at the end of the trace, with everything still allocated
+        showAllocationEvents(trace.events.length);
+        const skipped = trace.warnings.length > 0 ? `, ${trace.warnings.length} lines skipped` : '';
+        setStatus(`Loaded allocation trace: ${file.name} (${trace.events.length} events${skipped})`);
+    };
+    reader.onerror = function() {
+        setStatus('Error reading file', true);
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+}
 
-    // Get format-specific size labels
-    const sizes = currentFormat.getSizeKeyLabels();
+// Replay the first count events of the allocation trace and redraw.
+function showAllocationEvents(count) {
+    allocationTrace.seek(count);
+    updateAllocationTimeline();
+    if (!animationState.isAnimating) {
+        drawMemoryData(memoryCanvas, zoomState);
+    }
+}
 
-    let yOffset = 30;
-    ctx.font = '14px Arial';
+function updateAllocationTimeline() {
+    document.getElementById('allocationTimeline').style.display = allocationTrace ? 'flex' : 'none';
+    if (!allocationTrace) return;
 
-    for (const size of sizes) {
-        const pixels = size.bytes / bytesPerPixel;
-        const squareSize = Math.sqrt(pixels);
+    const slider = document.getElementById('allocationSlider');
+    slider.max = allocationTrace.events.length;
+    slider.value = allocationTrace.replayed;
+    const time = allocationTrace.time === null ? 'start' : `time ${allocationTrace.time}`;
+    document.getElementById('allocationLabel').textContent =
+        `${time}: ${allocationTrace.live.size} live, ${formatBytes(Number(allocationTrace.liveBytes))}`;
+}
 
-        if (squareSize >= 4 && pixels <= 16384) {
-            ctx.fillStyle = '#808080';
-            ctx.fillRect(keyX, keyY + yOffset, squareSize, squareSize);
-            ctx.fillStyle = '#000000';
-            ctx.fillText(`${size.name} (${Math.round(pixels)} px)`, keyX + squareSize + 10, keyY + yOffset + squareSize/2 + 5);
+function scrubAllocations(value) {
+    stopAllocationPlayback();
+    showAllocationEvents(parseInt(value));
+}
 
-            yOffset += squareSize + 10;
-        }
+// Replay the trace in about ten seconds, however many events it has.
+function toggleAllocationPlayback() {
+    if (allocationTimer) {
+        stopAllocationPlayback();
+        return;
     }
 
-    // Additional info
-    ctx.font = '12px Arial';
+    const count = allocationTrace.events.length;
+    if (allocationTrace.replayed >= count) {
+        showAllocationEvents(0);
+    }
+    const step = Math.max(1, Math.ceil(count / 200));
+    document.getElementById('allocationPlayButton').textContent = 'Pause';
+    allocationTimer = setInterval(() => {
+        if (allocationTrace.replayed >= count) {
+            stopAllocationPlayback();
+        } else {
+            showAllocationEvents(allocationTrace.replayed + step);
+        }
+    }, 50);
+}
 
-    // Each dotted square is 128x128 pixels
-    const squareSize = 128;
-    const bytesPerSquare = bytesPerPixel * squareSize * squareSize;
+function stopAllocationPlayback() {
+    if (allocationTimer) {
+        clearInterval(allocationTimer);
+        allocationTimer = null;
+    }
+    document.getElementById('allocationPlayButton').textContent = 'Play';
+}
 
-    ctx.fillText(currentFormat.formatPixelLabel(bytesPerPixel), keyX, keyY + yOffset + 20);
-    ctx.fillText(currentFormat.formatSquareLabel(bytesPerSquare), keyX, keyY + yOffset + 40);
+function clearAllocationTrace() {
+    stopAllocationPlayback();
+    allocationTrace = null;
+    updateAllocationTimeline();
+    drawMemoryData(memoryCanvas, zoomState);
+}
 
-    if (level > 0) {
-        const currentRange = maxAddr - minAddr;
-        ctx.fillText(currentFormat.formatZoomedViewLabel(currentRange), keyX, keyY + yOffset + 60);
-        ctx.fillText(`Zoom level: ${level}`, keyX, keyY + yOffset + 80);
-    } else {
-        ctx.fillText(`Zoom level: ${level}`, keyX, keyY + yOffset + 60);
+// Tooltip lines for a live allocation in the pixel at a map address, if
+// the allocation trace has one.
+function formatAllocationAt(address) {
+    const space = currentFormat.addressSpace;
+    if (!allocationTrace || !space || address === null) {
+        return '';
     }
+    const pixelEnd = address + zoomState.addressSize() / (MAP.WIDTH * MAP.HEIGHT);
+    const range = allocationTrace.liveRanges(space).find(range => range.start < pixelEnd && range.end > address);
+    return range ? formatAllocationInfo(range.allocation) : '';
 }
 
 function hideTooltip() {
@@ -1336,28 +1675,96 @@ function hideTooltip() {
     redrawAllVisibleCanvases();
 }
 
+// Buttons under the tooltip. Mappings of a file in a maps view can be
+// replaced by the sections of that file, unless the server has the regions.
+function formatTooltipActions(region, regionIndex) {
+    const { baseName } = splitRegionName(region.name);
+    if (!tiledFile && currentFormat instanceof ProcMapsFormat && baseName.startsWith('/')) {
+        return `<button onclick="chooseElfForRegion(${regionIndex})">Show sections&hellip;</button>`;
+    }
+    return '';
+}
+
+let elfDrillName = null;  // Base name of the mappings to replace with sections
+
+function chooseElfForRegion(regionIndex) {
+    elfDrillName = splitRegionName(regions[regionIndex].name).baseName;
+    document.getElementById('elfInput').click();
+}
+
+// Replace the mappings of the chosen file with the sections of the uploaded
+// ELF file, moved to the lowest address the file is mapped at.
+async function handleElfUpload(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file || elfDrillName === null) {
+        return;
+    }
+
+    try {
+        const mapped = regions.filter(region => splitRegionName(region.name).baseName === elfDrillName);
+        const base = Math.min(...mapped.map(region => region.start));
+        // In the address space of the maps, whatever the ELF class
+        const layout = new ElfLayoutFormat({ ...parseOptions(), addressBits: currentFormat.addressSpace.bits });
+        const sections = layout.parseBuffer(await readUploadedFile(file), base);
+        if (sections.length === 0) {
+            throw new Error('no loadable segments');
+        }
+
+        regions = regions.filter(region => !mapped.includes(region))
+            .concat(sections)
+            .sort((a, b) => a.start - b.start);
+        hideTooltip();
+        updateCanvas(zoomState);
+        const baseAddress = layout.addressSpace.addressAt(base);
+        setStatus(`Showing sections of ${file.name} at 0x${baseAddress.toString(16)} - Apply Changes to go back`);
+    } catch (error) {
+        setStatus(`Error reading sections of ${file.name}: ${error.message}`, true);
+    }
+}
+
 function isTooltipVisible() {
     const tooltip = document.getElementById('tooltip');
     return tooltip && tooltip.style.display === 'block';
 }
 
 function showTooltipForCoords(coords, clientX, clientY) {
-    const address = findAddressAtPixel(coords.mapX, coords.mapY);
+    const address = findAddressAtPixel(coords.mapX, coords.mapY, zoomState);
+    if (tiledFile) {
+        showTooltipForTiledAddress(address, clientX, clientY);
+        return;
+    }
     const region = findRegionFromAddress(address);
     const tooltip = document.getElementById('tooltip');
     
     if (region) {
-        showTooltipForRegion(region, clientX, clientY);
+        showTooltipForRegion(region, clientX, clientY, address);
     } else {
         hideTooltip();
     }
 }
 
-function showTooltipForRegion(region, clientX, clientY) {
+// Ask the server which region of the tiled file is at an address.
+async function showTooltipForTiledAddress(address, clientX, clientY) {
+    try {
+        const [region] = address === null ? [] :
+            await fetchTiledRegions(`start=${address.toString(16)}&end=${(address + 1).toString(16)}`);
+        if (region) {
+            showTooltipForRegion(region, clientX, clientY, address);
+        } else {
+            hideTooltip();
+        }
+    } catch (error) {
+        setStatus(`Error looking up region: ${error.message}`, true);
+    }
+}
+
+// The address, if given, is where the pointer is, for the allocation there.
+function showTooltipForRegion(region, clientX, clientY, address = null) {
     const tooltip = document.getElementById('tooltip');
 
-    // Find current region index
-    const currentIndex = regions.indexOf(region);
+    // Find current region index, which the server sends for tiled files
+    const currentIndex = tiledFile ? region.index : regions.indexOf(region);
 
     // Use format strategy to generate tooltip content
     const tooltipContent = currentFormat.formatTooltip(region);
@@ -1366,12 +1773,14 @@ function showTooltipForRegion(region, clientX, clientY) {
         <span class="tooltip-close" onclick="hideTooltip()">&times;</span>
         <div style="display: flex; align-items: center; margin-bottom: 5px;">
             <button class="tooltip-nav" onclick="showPreviousRegion()" style="margin-right: 10px;">&#9664;</button>
-            <div class="tooltip-region-name" style="flex: 1; text-align: center; font-weight: bold;">${region.name}</div>
+            <div class="tooltip-region-name" style="flex: 1; text-align: center; font-weight: bold;">${escapeHtml(region.name)}</div>
             <button class="tooltip-nav" onclick="showNextRegion()" style="margin-left: 10px;">&#9654;</button>
         </div>
         <div class="tooltip-content">
             ${tooltipContent}
+            ${formatAllocationAt(address)}
         </div>
+        <div class="tooltip-actions">${formatTooltipActions(region, currentIndex)}</div>
     `;
     
     tooltip.style.display = 'block';
@@ -1414,23 +1823,41 @@ function perhapsPan(region) {
     }
 }
 
-function showPreviousRegion() {
-    const tooltip = document.getElementById('tooltip');
+// Region at an index of the regions shown, fetched from the server for a
+// tiled file. Returns null if it can't be had.
+async function regionAtIndex(index) {
+    if (!tiledFile) {
+        return regions[index];
+    }
+    try {
+        const [region] = await fetchTiledRegions(`index=${index}`);
+        return region || null;
+    } catch (error) {
+        setStatus(`Error looking up region: ${error.message}`, true);
+        return null;
+    }
+}
+
+async function showPreviousRegion() {
     const currentIndex = currentTooltipRegion;
-    const prevIndex = currentIndex > 0 ? currentIndex - 1 : regions.length - 1;
-    
-    updateTooltipContent(regions[prevIndex], prevIndex);
+    const count = tiledFile ? tiledFile.count : regions.length;
+    const prevIndex = currentIndex > 0 ? currentIndex - 1 : count - 1;
+    const region = await regionAtIndex(prevIndex);
+    if (!region) return;
 
-    perhapsPan(regions[prevIndex]);
+    updateTooltipContent(region, prevIndex);
+    perhapsPan(region);
 }
 
-function showNextRegion() {
-    const tooltip = document.getElementById('tooltip');
+async function showNextRegion() {
     const currentIndex = currentTooltipRegion;
-    const nextIndex = currentIndex < regions.length - 1 ? currentIndex + 1 : 0;
-    
-    updateTooltipContent(regions[nextIndex], nextIndex);
-    perhapsPan(regions[nextIndex]);
+    const count = tiledFile ? tiledFile.count : regions.length;
+    const nextIndex = currentIndex < count - 1 ? currentIndex + 1 : 0;
+    const region = await regionAtIndex(nextIndex);
+    if (!region) return;
+
+    updateTooltipContent(region, nextIndex);
+    perhapsPan(region);
 }
 
 function updateTooltipContent(region, regionIndex) {
@@ -1443,8 +1870,11 @@ function updateTooltipContent(region, regionIndex) {
     const regionNameEl = tooltip.querySelector('.tooltip-region-name');
     const contentEl = tooltip.querySelector('.tooltip-content');
 
+    const actionsEl = tooltip.querySelector('.tooltip-actions');
+
     if (regionNameEl) regionNameEl.textContent = region.name;
     if (contentEl) contentEl.innerHTML = tooltipContent;
+    if (actionsEl) actionsEl.innerHTML = formatTooltipActions(region, regionIndex);
 
     // Update stored region index
     currentTooltipRegion = regionIndex;
@@ -1465,7 +1895,7 @@ function maybePerformZoom(coords) {
     }
     
     // Find what address was clicked.
-    const clickedAddress = findAddressAtPixel(coords.mapX, coords.mapY);
+    const clickedAddress = findAddressAtPixel(coords.mapX, coords.mapY, zoomState);
     // Round to nearest 64th boundaries.
     const currentRange = zoomState.addressSize();
     const gridAddressSize = currentRange / 64; // 8x8 = 64 squares.
@@ -1516,7 +1946,7 @@ function zoomOut() {
     
     // Calculate the address range for the new zoom level
     const zoomFactor = Math.pow(8, newLevel);
-    const totalAddressSpace = Math.pow(2, 48);
+    const totalAddressSpace = MAP.ADDRESS_SIZE;
     const newAddressRange = totalAddressSpace / (zoomFactor * zoomFactor);
     
     // Round the current minAddr to align with the new zoom level grid
@@ -1532,6 +1962,84 @@ function zoomOut() {
     animateZoomOut(oldZoomState, zoomState);
 }
 
+function setColorMode(mode) {
+    colorMode = mode;
+    document.getElementById('colorModeSelect').value = mode;
+
+    const url = new URL(window.location);
+    if (mode === 'name') {
+        url.searchParams.delete('color');
+    } else {
+        url.searchParams.set('color', mode);
+    }
+    window.history.replaceState(null, '', url.toString());
+
+    updateCanvas(zoomState);
+}
+
+// Show another prefix window of IPv6 data, which is parsed again for it.
+function setIPv6Window(value) {
+    ipv6Window = value === IPV6_DEFAULT_WINDOW ? null : value;
+    selectIPv6Window(value);
+
+    const url = new URL(window.location);
+    if (ipv6Window) {
+        url.searchParams.set('window', ipv6Window);
+    } else {
+        url.searchParams.delete('window');
+    }
+    window.history.replaceState(null, '', url.toString());
+
+    tiles.clear();
+    tileRequests.clear();
+    applyChanges();
+    resetZoom();
+}
+
+// Show another part of the 64-bit address space, such as the kernel half.
+// Memory maps are parsed again for it.
+function setAddressSpace(value) {
+    addressSpace = value;
+    document.getElementById('addressSpaceSelect').value = value;
+
+    const url = new URL(window.location);
+    if (addressSpace !== DEFAULT_ADDRESS_SPACE) {
+        url.searchParams.set('space', addressSpace);
+    } else {
+        url.searchParams.delete('space');
+    }
+    window.history.replaceState(null, '', url.toString());
+
+    tiles.clear();
+    tileRequests.clear();
+    applyChanges();
+    resetZoom();
+}
+
+// Show the address space with another width, such as 32 bits. Memory maps
+// are parsed again for it.
+function setAddressBits(value) {
+    addressBits = parseInt(value);
+
+    const url = new URL(window.location);
+    url.searchParams.set('bits', addressBits);
+    window.history.replaceState(null, '', url.toString());
+
+    tiles.clear();
+    tileRequests.clear();
+    applyChanges();
+    resetZoom();
+}
+
+// Show a window in the select, adding it if it isn't one of the choices.
+function selectIPv6Window(value) {
+    const select = document.getElementById('ipv6WindowSelect');
+    if (!Array.from(select.options).some(option => option.value === value)) {
+        select.add(new Option(value, value));
+    }
+    select.value = value;
+}
+
 function resetZoom() {
     zoomState = zoomState.reset();
     hideTooltip();
@@ -1575,10 +2083,11 @@ function parseURLState() {
         const offsetX = parseFloat(params.get('offsetX'));
         const offsetY = parseFloat(params.get('offsetY'));
         
-        // Validate the parameters
+        // Validate the parameters. How deep the map zooms depends on the
+        // width of the address space of the loaded data.
         if (!isNaN(level) && !isNaN(minAddr) && !isNaN(maxAddr) && 
             !isNaN(offsetX) && !isNaN(offsetY) && 
-            level >= 0 && level <= 4) {
+            level >= 0 && level <= currentFormat.getMaxZoomLevel()) {
 
             zoomState = new ZoomState(level, minAddr, maxAddr, offsetX, offsetY);
             return true; // State was restored from URL
@@ -1663,7 +2172,7 @@ function animateZoomIn(oldZoomState, newZoomState, skipURLUpdate = false) {
                 drawBackgroundMobile(backgroundCtx);
                 updateMobileScaleInfo();
             } else {
-                drawBackground(backgroundCtx);
+                drawBackground(backgroundCtx, currentFormat, zoomState);
             }
             
             // Clean up
@@ -1758,7 +2267,7 @@ function animateZoomOut(oldZoomState, newZoomState, skipURLUpdate = false) {
                 drawBackgroundMobile(backgroundCtx);
                 updateMobileScaleInfo();
             } else {
-                drawBackground(backgroundCtx);
+                drawBackground(backgroundCtx, currentFormat, zoomState);
             }
             
             // Clean up
@@ -1786,8 +2295,8 @@ function getZoomStateOfAddress(currentZoomState, newMinAddr) {
         return null; // Can't pan at zoom level 0
     }
 
-    if (newMinAddr < 0) newMinAddr += Math.pow(2, 48);
-    if (newMinAddr >= Math.pow(2, 48)) newMinAddr -= Math.pow(2, 48);
+    if (newMinAddr < 0) newMinAddr += MAP.ADDRESS_SIZE;
+    if (newMinAddr >= MAP.ADDRESS_SIZE) newMinAddr -= MAP.ADDRESS_SIZE;
     if (newMinAddr == currentZoomState.minAddr) return null;
     const newMaxAddr = newMinAddr + currentZoomState.addressSize();
     
@@ -1914,7 +2423,7 @@ function animatePan(oldZoomState, newZoomState, skipURLUpdate = false) {
                 drawBackgroundMobile(backgroundCtx);
                 updateMobileScaleInfo();
             } else {
-                drawBackground(backgroundCtx);
+                drawBackground(backgroundCtx, currentFormat, zoomState);
             }
             
             // Clean up
@@ -1966,9 +2475,29 @@ document.addEventListener('DOMContentLoaded', async function() {
     
     // Check URL for file parameter
     const urlParams = new URLSearchParams(window.location.search);
+    if (urlParams.get('color') === 'resident') {
+        colorMode = 'resident';
+        document.getElementById('colorModeSelect').value = colorMode;
+    }
+    if (urlParams.has('window')) {
+        ipv6Window = urlParams.get('window');
+        selectIPv6Window(ipv6Window);
+    }
+    if (Object.hasOwn(ADDRESS_SPACES, urlParams.get('space'))) {
+        addressSpace = urlParams.get('space');
+        document.getElementById('addressSpaceSelect').value = addressSpace;
+    }
+    if (ADDRESS_WIDTHS.includes(parseInt(urlParams.get('bits')))) {
+        addressBits = parseInt(urlParams.get('bits'));
+    }
+    if (urlParams.has('columns')) {
+        columnMapping = urlParams.get('columns');
+    }
     const fileParam = urlParams.get('file');
     let sampleLoaded = false;
 
+    await refreshFileList();
+
     // Try to load file specified in URL parameter, otherwise stay on text editor
     if (fileParam) {
         // Try to load from dropdown first, otherwise load directly by name
@@ -2004,6 +2533,15 @@ document.addEventListener('DOMContentLoaded', async function() {
         switchTab('editor');
     }
 
+    if (urlParams.has('live')) {
+        startLiveUpdates();
+    }
+
+    // Page overlay for the live process started with --pid
+    if (urlParams.has('pid')) {
+        setPagemapSource(urlParams.get('pid'));
+    }
+
     const tooltip = document.getElementById('tooltip');
 
     let clickTimeout;
@@ -0,0 +1,2788 @@
+/*
+ * Hilbert Curve Memory Map Generator - input formats and parsing
+ *
+ * Copyright (c) 2025 Cloudflare, Inc.
+ *
+ * Licensed under the MIT License - see LICENSE file for details
+ */
+
+/*
+Format detection and parsing of the supported inputs into Region objects.
+Loaded as a plain script by the browser and with require() by the server.
+*/
+
+let colorMap = new Map();
+let colorIndex = 0;
+
+// Format strategy classes
+class DefaultFormat {
+    static id = 'ranges';
+
+    // Lines of "startAddr endAddr regionName". This is also the fallback for
+    // input that no other format recognizes.
+    static detect(lines) {
+        return lines.length > 0 && /^(0x)?[0-9a-f]+\s+(0x)?[0-9a-f]+\s+\S/i.test(lines[0].trim());
+    }
+
+    // Options: addressSpace, the id of the part of the 64-bit address space
+    // that is shown, such as 'kernel' (see ADDRESS_SPACES), and addressBits,
+    // its width such as 39 (see ADDRESS_WIDTHS)
+    constructor(options = {}) {
+        this.options = options;
+        this.addressSpace = new AddressSpace(options.addressSpace, options.addressBits);
+    }
+
+    // Make a region from real addresses given as BigInts, which may be null
+    // if they didn't parse. Returns null unless part of the range is in the
+    // address space shown.
+    createRegion(startAddr, endAddr, regionName) {
+        const range = startAddr === null || endAddr === null ? null :
+            this.addressSpace.mapRange(startAddr, endAddr);
+        return range && createRegion(range.start, range.end, regionName);
+    }
+
+    // Parse original format: startAddr endAddr regionName. Lines that can't
+    // be parsed are skipped and reported in warnings as { index, message },
+    // where index is into lines.
+    parseLines(lines, warnings = []) {
+        const regions = [];
+        for (const [index, line] of lines.entries()) {
+            const parts = line.trim().split(/\s+/);
+            if (parts.length < 3) {
+                warnings.push({ index, message: 'expected startAddr endAddr regionName' });
+                continue;
+            }
+            const startAddr = parseHexAddress(parts[0]);
+            const endAddr = parseHexAddress(parts[1]);
+            const region = this.createRegion(startAddr, endAddr, parts.slice(2).join(' '));
+            if (region) {
+                regions.push(region);
+            } else {
+                warnings.push({ index, message: INVALID_RANGE_WARNING });
+            }
+        }
+        return regions;
+    }
+
+    getTitle() {
+        return "Memory Map Visualization";
+    }
+
+    getSubtitle() {
+        return `${this.addressSpace.description} mapped to 1024x1024 using Hilbert curve`;
+    }
+
+    getMaxZoomLevel() {
+        return this.addressSpace.maxZoomLevel();
+    }
+
+    getSizeKeyLabels() {
+        // Labels are in bytes, sizes on the map in map addresses
+        return [
+            { bytes: 16, name: '16 bytes' },
+            { bytes: 256, name: '256 bytes' },
+            { bytes: 4 * 1024, name: '4 KiB' },
+            { bytes: 64 * 1024, name: '64 KiB' },
+            { bytes: 1024 * 1024, name: '1 MiB' },
+            { bytes: 64 * 1024 * 1024, name: '64 MiB' },
+            { bytes: 1024 * 1024 * 1024, name: '1 GiB' },
+            { bytes: 64 * 1024 * 1024 * 1024, name: '64 GiB' },
+            { bytes: 1024 * 1024 * 1024 * 1024, name: '1 TiB' },
+            { bytes: 64 * 1024 * 1024 * 1024 * 1024, name: '64 TiB' },
+            { bytes: 1024 * 1024 * 1024 * 1024 * 1024, name: '1 PiB' },
+            { bytes: 64 * 1024 * 1024 * 1024 * 1024 * 1024, name: '64 PiB' }
+        ].map(label => ({ bytes: label.bytes * this.addressSpace.scale, name: label.name }));
+    }
+
+    formatPixelLabel(bytesPerPixel) {
+        return `Each pixel = ${formatBytes(this.addressSpace.bytesIn(bytesPerPixel))}`;
+    }
+
+    formatSquareLabel(bytesPerSquare) {
+        return `Each square = ${formatBytes(this.addressSpace.bytesIn(bytesPerSquare))}`;
+    }
+
+    formatZoomedViewLabel(currentRange) {
+        return `Zoomed view = ${formatBytes(this.addressSpace.bytesIn(currentRange))}`;
+    }
+
+    formatZoomedViewLabelMobile(currentRange) {
+        return `View = ${formatBytes(this.addressSpace.bytesIn(currentRange))}`;
+    }
+
+    // Size in bytes of a number of map addresses, such as a region's.
+    formatSize(mapSize) {
+        return formatBytes(this.addressSpace.bytesIn(mapSize));
+    }
+
+    formatRangeLabel(minAddr, maxAddr) {
+        return this.addressSpace.formatRange(minAddr, maxAddr);
+    }
+
+    formatTooltip(region) {
+        const space = this.addressSpace;
+        const size = space.sizeOf(region.start, region.end);
+        const sizeHex = '0x' + size.toString(16);
+        const sizeApprox = formatBytes(Number(size));
+        const startAlignment = getAlignment(space.addressAt(region.start), space.bits);
+        const endAlignment = getAlignment(space.endAddressAt(region.end), space.bits);
+        const startAlignmentStr = formatBytes(startAlignment);
+        const endAlignmentStr = formatBytes(endAlignment);
+
+        return `
+            <div class="tooltip-address">${this.addressSpace.formatRange(region.start, region.end)}</div>
+            <div class="tooltip-size">Size: ${sizeHex} (ca. ${sizeApprox})</div>
+            <div class="tooltip-alignment-start">Start alignment: ${startAlignmentStr}</div>
+            <div class="tooltip-alignment-end">End alignment: ${endAlignmentStr}</div>
+            ${formatMemoryStats(region)}
+            ${formatSectionInfo(region)}
+            ${formatWindowsInfo(region)}
+            ${formatMacOSInfo(region)}
+        `;
+    }
+}
+
+class ProcMapsFormat extends DefaultFormat {
+    static id = 'maps';
+
+    static detect(lines) {
+        return lines.length > 0 && /^[0-9a-f]+-[0-9a-f]+\s/i.test(lines[0]);
+    }
+
+    parseLines(lines, warnings = []) {
+        const regions = [];
+        for (const [index, line] of lines.entries()) {
+            const region = this.parseMapsLine(line);
+            if (region) {
+                regions.push(region);
+            } else if (!isVsyscallLine(line)) {
+                warnings.push({ index, message: mapsLineWarning(line) });
+            }
+        }
+        return regions;
+    }
+
+    // Parse /proc/self/maps format: address-range perms offset dev inode [pathname]
+    // Example: 7ffff7dd2000-7ffff7dd4000 rw-p 00000000 00:00 0 [stack]
+    parseMapsLine(line) {
+        const match = line.match(/^([0-9a-f]+)-([0-9a-f]+)\s+(\S+)\s+(\S+)\s+(\S+)\s+(\S+)(?:\s+(.*))?/);
+        if (!match) {
+            return null;
+        }
+
+        const startAddr = parseHexAddress(match[1]);
+        const endAddr = parseHexAddress(match[2]);
+        const permissions = match[3];
+        const path = match[7] ? match[7].trim() : '';
+
+        // Add permission suffix based on first 3 characters (ignore p flag)
+        return this.createRegion(startAddr, endAddr, mapsRegionName(startAddr, path, permissions.substring(0, 3)));
+    }
+}
+
+// Field names in /proc/pid/smaps and the memory statistics they are stored as.
+const SMAPS_FIELDS = {
+    Rss: 'rss',
+    Pss: 'pss',
+    Private_Dirty: 'privateDirty',
+    Pss_Dirty: 'pssDirty',
+    Swap: 'swap',
+    AnonHugePages: 'anonHugePages'
+};
+
+// /proc/pid/smaps: each maps line is followed by lines of per-mapping memory
+// statistics, such as "Rss:  1024 kB".
+class SmapsFormat extends ProcMapsFormat {
+    static id = 'smaps';
+
+    static detect(lines) {
+        return lines.length > 1 && ProcMapsFormat.detect(lines) &&
+            /^\w+:\s+\d+ kB$/.test(lines[1].trim());
+    }
+
+    parseLines(lines, warnings = []) {
+        const regions = [];
+        let current = null;
+
+        for (const [index, line] of lines.entries()) {
+            const field = line.match(/^(\w+):\s+(.*)$/);
+            if (field) {
+                // Statistics line belonging to the most recent mapping
+                const key = SMAPS_FIELDS[field[1]];
+                const kilobytes = field[2].match(/^(\d+) kB$/);
+                if (current && key && kilobytes) {
+                    current.memory[key] = parseInt(kilobytes[1]) * 1024;
+                }
+                continue;
+            }
+
+            current = this.parseMapsLine(line);
+            if (current) {
+                // The size in bytes too, as the map may be scaled
+                current.memory = { size: Number(this.addressSpace.sizeOf(current.start, current.end)) };
+                regions.push(current);
+            } else if (!isVsyscallLine(line)) {
+                warnings.push({ index, message: mapsLineWarning(line) });
+            }
+        }
+
+        return regions;
+    }
+}
+
+// Header of the WinDbg !address table.
+const WINDBG_ADDRESS_HEADER = /^\s*BaseAddress\s+EndAddress\+1\s+RegionSize/i;
+
+// A region in the WinDbg !address table, with addresses like 7ff6`e1a50000:
+// "+ BaseAddress EndAddress+1 RegionSize [Type] State [Protect] Usage [details]"
+// where Type and Protect are missing for free and reserved regions. Details
+// are in brackets, except for the quoted path of mapped files.
+const WINDBG_ADDRESS_LINE = /^\+?\s*([0-9a-f`]+)\s+([0-9a-f`]+)\s+[0-9a-f`]+\s+(?:(MEM_(?:PRIVATE|MAPPED|IMAGE))\s+)?(MEM_(?:COMMIT|RESERVE|FREE))\b\s*(PAGE_\w+(?:\s*\|\s*PAGE_\w+)*)?\s*([^\s[]*)\s*(.*?)\s*$/i;
+
+// Output of the WinDbg !address command for a Windows process. Free regions
+// are left out and reserved ones are drawn checkered. Images and mapped files
+// are named after their paths and other regions after their usage, such as
+// Heap or Stack, with permissions from the page protection.
+class WinDbgAddressFormat extends DefaultFormat {
+    static id = 'windbg';
+
+    static detect(lines) {
+        return lines.length > 0 && (lines.slice(0, 20).some(line => WINDBG_ADDRESS_HEADER.test(line)) ||
+            WINDBG_ADDRESS_LINE.test(lines[0]));
+    }
+
+    parseLines(lines, warnings = []) {
+        const regions = [];
+        // WinDbg reports its progress before the table
+        const headerIndex = lines.findIndex(line => WINDBG_ADDRESS_HEADER.test(line));
+
+        for (const [index, line] of lines.entries()) {
+            if (index <= headerIndex || /^-+$/.test(line.trim())) {
+                continue;
+            }
+            if (line.trim().startsWith('---')) {
+                break; // Usage, type and state summaries follow the table
+            }
+
+            const match = line.match(WINDBG_ADDRESS_LINE);
+            if (!match) {
+                warnings.push({ index, message: 'expected BaseAddress EndAddress+1 RegionSize Type State Protect Usage' });
+                continue;
+            }
+            const [, start, end, type, state, protect = '', usage] = match;
+            const details = match[7].replace(/^\[(.*)\]$/, '$1');
+            if (state.toUpperCase() === 'MEM_FREE') {
+                continue;
+            }
+
+            // Details of images and mapped files hold the quoted path
+            const path = details.match(/"([^"]+)"/);
+            const rwx = rwxFromWindowsProtect(protect);
+            const region = this.createRegion(parseHexAddress(start.replace(/`/g, '')),
+                parseHexAddress(end.replace(/`/g, '')), `${path ? path[1] : usage.replace(/^<(.*)>$/, '$1') || 'unknown'} {${rwx}}`);
+            if (region) {
+                region.windows = {
+                    type: type ? WINDOWS_TYPE_NAMES[type.toUpperCase()] : '',
+                    state: state.toUpperCase() === 'MEM_COMMIT' ? 'Commit' : 'Reserve',
+                    protect: protect,
+                    usage: usage,
+                    details: details
+                };
+                region.reserved = region.windows.state === 'Reserve';
+                regions.push(region);
+            } else {
+                warnings.push({ index, message: INVALID_RANGE_WARNING });
+            }
+        }
+        return regions;
+    }
+}
+
+const WINDOWS_TYPE_NAMES = {
+    MEM_IMAGE: 'Image',
+    MEM_MAPPED: 'Mapped',
+    MEM_PRIVATE: 'Private'
+};
+
+// Header of the address table in a VMMap export, after the summary table.
+const VMMAP_HEADER = /^"?Address"?[\t,]"?Type"?[\t,]"?Size"?[\t,]/;
+
+// Sysinternals VMMap exports of a Windows process, saved as text (tab
+// separated) or CSV. Each allocation is followed by its blocks, indented,
+// which are shown instead of it when there are any. Free regions are left
+// out and reserved ones are drawn checkered.
+class VMMapFormat extends DefaultFormat {
+    static id = 'vmmap';
+
+    static detect(lines) {
+        return lines.slice(0, 40).some(line => VMMAP_HEADER.test(line));
+    }
+
+    parseLines(lines, warnings = []) {
+        const regions = [];
+        // Process details and the summary by type come before the table
+        const headerIndex = lines.findIndex(line => VMMAP_HEADER.test(line));
+        const separator = lines[headerIndex].includes('\t') ? '\t' : ',';
+        const columns = splitDelimitedLine(lines[headerIndex], separator).map(name => name.trim());
+        const column = (fields, name) => (fields[columns.indexOf(name)] || '').trim();
+        let allocation = null;
+
+        for (const [index, line] of lines.entries()) {
+            if (index <= headerIndex) {
+                continue;
+            }
+            const fields = splitDelimitedLine(line, separator);
+            const address = parseHexAddress(column(fields, 'Address'));
+            const size = parseVMMapSize(column(fields, 'Size'));
+            if (address === null || size === null) {
+                warnings.push({ index, message: 'expected Address, Type, Size, ..., Protection, Details columns' });
+                continue;
+            }
+
+            const type = column(fields, 'Type');
+            const isBlock = /^\s/.test(fields[columns.indexOf('Address')]);
+            if (!isBlock) {
+                allocation = null;
+            }
+            if (type === 'Free') {
+                continue;
+            }
+
+            // Blocks are named like their allocation, e.g. after the image file
+            const inherited = isBlock && allocation;
+            const details = column(fields, 'Details') || (inherited ? allocation.details : '');
+            const isFile = /^(Image|Mapped File)/.test(type);
+            const name = inherited ? allocation.baseName : isFile && details ? details : type || 'unknown';
+            const protection = column(fields, 'Protection');
+            const committed = parseVMMapSize(column(fields, 'Committed'));
+            const region = this.createRegion(address, address + size,
+                `${name} {${rwxFromWindowsProtect(protection)}}`);
+            if (!region) {
+                warnings.push({ index, message: INVALID_RANGE_WARNING });
+                continue;
+            }
+
+            region.windows = {
+                type: type,
+                state: committed ? 'Commit' : 'Reserve',
+                protect: protection,
+                usage: '',
+                details: details
+            };
+            region.reserved = !committed;
+            if (isBlock && allocation && allocation.region) {
+                // Show the blocks rather than their allocation
+                regions.splice(regions.indexOf(allocation.region), 1);
+                allocation.region = null;
+            }
+            if (!isBlock) {
+                allocation = { region: region, baseName: name, details: details };
+            }
+            regions.push(region);
+        }
+        return regions;
+    }
+}
+
+// Split a CSV or tab separated line into fields, removing the quotes around
+// quoted fields.
+function splitDelimitedLine(line, separator) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"' && quoted && line[i + 1] === '"') {
+            field += '"';
+            i++;
+        } else if (char === '"') {
+            quoted = !quoted;
+        } else if (char === separator && !quoted) {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+// Parse a VMMap size such as "1,024 K" into bytes as a BigInt, or return null
+// for an empty or zero size.
+function parseVMMapSize(text) {
+    const match = text.replace(/[,\s]/g, '').match(/^(\d+)K?$/i);
+    return match && BigInt(match[1]) > 0n ? BigInt(match[1]) * 1024n : null;
+}
+
+// Permissions like "r-x" from a Windows page protection, either a constant
+// such as PAGE_EXECUTE_READ from WinDbg or a description such as
+// "Execute/Read" from VMMap. Guard and caching modifiers are ignored.
+function rwxFromWindowsProtect(protect) {
+    const text = protect.toUpperCase().replace(/[\s/_]/g, '');
+    const write = text.includes('WRITE');
+    const read = text.includes('READ') || text.includes('WRITECOPY');
+    const execute = text.includes('EXECUTE');
+    return (read ? 'r' : '-') + (write ? 'w' : '-') + (execute ? 'x' : '-');
+}
+
+// A region line of the macOS vmmap tool, such as
+// "__TEXT  102a4c000-102a50000  [ 16K 16K 0K 0K] r-x/r-x SM=COW  /usr/lib/dyld"
+// with the region type, range, sizes, current and maximum protection, sharing
+// mode and region detail. Purgeable regions have "PURGE=..." before the detail.
+const MACOS_VMMAP_LINE = /^(.*?\S)\s+([0-9a-f]+)-([0-9a-f]+)\s+\[\s*([^\]]*?)\s*\]\s+([-rwx]{3})\/([-rwx]{3})\s+SM=(\S+)\s*(?:PURGE=\S+\s*)?(.*?)\s*$/i;
+
+// Sections of the macOS vmmap output that list regions, as opposed to the
+// legend and summaries.
+const MACOS_VMMAP_REGIONS = /^==== (Non-writable|Writable) regions for process/i;
+
+// The sizes in brackets on each line, in the order older versions of vmmap
+// leave out from the end.
+const MACOS_VMMAP_COLUMNS = ['VSIZE', 'RSDNT', 'DIRTY', 'SWAP'];
+
+// Output of the macOS vmmap tool. Regions are named after their path if they
+// map a file and after their type otherwise, such as MALLOC_TINY or STACK
+// GUARD, with the current protection. Resident, dirty and swapped sizes are
+// kept as memory statistics, and reserved regions are drawn checkered.
+class MacOSVmmapFormat extends DefaultFormat {
+    static id = 'macos';
+
+    static detect(lines) {
+        return lines.length > 0 && (lines.slice(0, 60).some(line => MACOS_VMMAP_REGIONS.test(line)) ||
+            MACOS_VMMAP_LINE.test(lines[0]));
+    }
+
+    parseLines(lines, warnings = []) {
+        const regions = [];
+        let columns = MACOS_VMMAP_COLUMNS;
+        // Process details come first and the legend and summaries last, all
+        // in their own sections. Rows pasted on their own have no sections.
+        let inRegions = !lines.some(line => line.startsWith('===='));
+
+        for (const [index, line] of lines.entries()) {
+            if (line.startsWith('====')) {
+                inRegions = MACOS_VMMAP_REGIONS.test(line);
+                continue;
+            }
+            const header = line.match(/^REGION TYPE\s+START - END\s+\[([^\]]*)\]/);
+            if (header) {
+                columns = header[1].trim().split(/\s+/).map(name => name.toUpperCase());
+                continue;
+            }
+            if (!inRegions) {
+                continue;
+            }
+
+            const match = line.match(MACOS_VMMAP_LINE);
+            if (!match) {
+                warnings.push({ index, message: 'expected REGION TYPE START-END [VSIZE RSDNT DIRTY SWAP] PRT/MAX SM=SHRMOD DETAIL' });
+                continue;
+            }
+            const [, type, start, end, sizes, protection, maxProtection, sharing, detail] = match;
+            const name = detail.startsWith('/') ? detail : type.replace(/\s*\(\w+\)$/, '');
+            const region = this.createRegion(parseHexAddress(start), parseHexAddress(end), `${name} {${protection}}`);
+            if (!region) {
+                warnings.push({ index, message: INVALID_RANGE_WARNING });
+                continue;
+            }
+
+            region.memory = { size: Number(this.addressSpace.sizeOf(region.start, region.end)) };
+            sizes.split(/\s+/).forEach((text, i) => {
+                const key = { RSDNT: 'rss', DIRTY: 'dirty', SWAP: 'swap' }[columns[i]];
+                const bytes = parseMacOSVmmapSize(text);
+                if (key && bytes !== null) {
+                    region.memory[key] = bytes;
+                }
+            });
+            region.macos = { type, maxProtection, sharing, detail };
+            region.reserved = /\(reserved\)$/.test(type);
+            regions.push(region);
+        }
+        return regions;
+    }
+}
+
+// Parse a macOS vmmap size such as "16K" or "56.0M" into bytes, or return
+// null.
+function parseMacOSVmmapSize(text) {
+    const match = text.match(/^(\d+(?:\.\d+)?)([KMGTP]?)$/i);
+    if (!match) {
+        return null;
+    }
+    return Math.round(parseFloat(match[1]) * Math.pow(1024, ' KMGTP'.indexOf(match[2].toUpperCase() || ' ')));
+}
+
+// Header of the table printed by "pmap -X" and "pmap -XX".
+const PMAP_HEADER = /^\s*Address\s+Perm\s+Offset\s+Device\s+Inode\s+Size\b/;
+
+// Extended output of the Linux pmap tool, "pmap -X" or "pmap -XX": a maps
+// line per mapping with its smaps statistics in columns, in kB. Mappings are
+// named as in /proc/pid/maps, so the two look the same on the map.
+class PmapFormat extends DefaultFormat {
+    static id = 'pmap';
+
+    static detect(lines) {
+        return lines.slice(0, 3).some(line => PMAP_HEADER.test(line));
+    }
+
+    parseLines(lines, warnings = []) {
+        const regions = [];
+        // The first line is the pid and command line
+        const headerIndex = lines.findIndex(line => PMAP_HEADER.test(line));
+        const columns = lines[headerIndex].trim().split(/\s+/);
+        // pmap -XX lists VmFlags, such as "rd ex mr", before the mapping
+        const flagsIndex = columns.indexOf('VmFlags');
+        const fixedColumns = flagsIndex === -1 ? columns.indexOf('Mapping') : flagsIndex;
+
+        for (const [index, line] of lines.entries()) {
+            if (index <= headerIndex) {
+                continue;
+            }
+            if (line.trim().startsWith('=')) {
+                break; // The totals follow the table
+            }
+
+            const fields = line.trim().split(/\s+/);
+            const start = parseHexAddress(fields[0]);
+            const values = fields.slice(0, fixedColumns);
+            if (start === null || values.length < fixedColumns || !values.slice(5).every(value => /^\d+$/.test(value))) {
+                warnings.push({ index, message: `expected ${columns.join(' ')}` });
+                continue;
+            }
+            let rest = fields.slice(fixedColumns);
+            if (flagsIndex !== -1) {
+                const mappingIndex = rest.findIndex(flag => !/^[a-z0-9]{2}$/.test(flag));
+                rest = mappingIndex === -1 ? [] : rest.slice(mappingIndex);
+            }
+
+            const size = BigInt(values[columns.indexOf('Size')]) * 1024n;
+            const rwx = values[1].substring(0, 3);
+            const region = this.createRegion(start, start + size, mapsRegionName(start, rest.join(' '), rwx));
+            if (!region) {
+                warnings.push({ index, message: INVALID_RANGE_WARNING });
+                continue;
+            }
+            region.memory = { size: Number(size) };
+            for (const [i, column] of columns.slice(0, fixedColumns).entries()) {
+                if (SMAPS_FIELDS[column]) {
+                    region.memory[SMAPS_FIELDS[column]] = parseInt(values[i]) * 1024;
+                }
+            }
+            regions.push(region);
+        }
+        return regions;
+    }
+}
+
+// Header of the GDB "info proc mappings" table. GDB 12 and later add a Perms
+// column before the objfile.
+const GDB_MAPPINGS_HEADER = /^\s*Start Addr\s+End Addr\s+Size\s+Offset\b/i;
+
+// A row of the GDB "info proc mappings" table, such as
+// "0x7ffff7dd3000 0x7ffff7dfc000 0x29000 0x0 r-xp /usr/lib/ld-linux.so.2"
+// with optional permissions and objfile.
+const GDB_MAPPINGS_LINE = /^\s*(0x[0-9a-f]+)\s+(0x[0-9a-f]+)\s+0x[0-9a-f]+\s+0x[0-9a-f]+(?:\s+([-r][-w][-x][-psc]))?(?:\s+(.*?))?\s*$/i;
+
+// The GDB "info proc mappings" table, pasted from a debugger session. The
+// process line and headers before the table are skipped and the table ends
+// at the next prompt. Mappings are named after their objfile as in
+// /proc/pid/maps, with permissions if GDB shows them.
+class GdbMappingsFormat extends DefaultFormat {
+    static id = 'gdb';
+
+    static detect(lines) {
+        return lines.length > 0 && (lines.slice(0, 10).some(line => GDB_MAPPINGS_HEADER.test(line)) ||
+            GDB_MAPPINGS_LINE.test(lines[0]));
+    }
+
+    parseLines(lines, warnings = []) {
+        const regions = [];
+        const headerIndex = lines.findIndex(line => GDB_MAPPINGS_HEADER.test(line));
+
+        for (const [index, line] of lines.entries()) {
+            if (index <= headerIndex) {
+                continue;
+            }
+            if (line.startsWith('(gdb)')) {
+                break;
+            }
+
+            const match = line.match(GDB_MAPPINGS_LINE);
+            if (!match) {
+                warnings.push({ index, message: 'expected Start Addr, End Addr, Size, Offset, [Perms], objfile' });
+                continue;
+            }
+            const [, start, end, perms, objfile = ''] = match;
+            const startAddr = parseHexAddress(start);
+            const name = perms ? mapsRegionName(startAddr, objfile, perms.substring(0, 3)) :
+                objfile || `unnamed-${(startAddr >> 32n).toString(16)}`;
+            const region = this.createRegion(startAddr, parseHexAddress(end), name);
+            if (region) {
+                regions.push(region);
+            } else if (!isVsyscallLine(line)) {
+                warnings.push({ index, message: INVALID_RANGE_WARNING });
+            }
+        }
+        return regions;
+    }
+}
+
+// A region printed by the LLDB "memory region" command, such as
+// "[0x00007ffff7dd3000-0x00007ffff7dfc000) r-x /usr/lib/ld-linux.so.2 PT_LOAD[1]"
+// with the permissions and an optional name.
+const LLDB_REGION_LINE = /^\[(0x[0-9a-f]+)-(0x[0-9a-f]+)\)\s+([-r][-w][-x])(?:\s+(.*?))?\s*$/i;
+
+// Output of LLDB "memory region --all", pasted from a debugger session. The
+// unmapped gaps between regions are left out. Regions are named after their
+// file, without the segment LLDB adds on Linux, with their permissions. Lines
+// LLDB adds about a region, such as its dirty pages, are skipped.
+class LldbRegionsFormat extends DefaultFormat {
+    static id = 'lldb';
+
+    static detect(lines) {
+        return lines.slice(0, 5).some(line => LLDB_REGION_LINE.test(line));
+    }
+
+    parseLines(lines, warnings = []) {
+        const regions = [];
+        for (const [index, line] of lines.entries()) {
+            if (!line.startsWith('[')) {
+                continue;
+            }
+
+            const match = line.match(LLDB_REGION_LINE);
+            if (!match) {
+                warnings.push({ index, message: 'expected [start-end) permissions [name]' });
+                continue;
+            }
+            const [, start, end, rwx, name = ''] = match;
+            if (rwx === '---' && !name) {
+                continue;
+            }
+            const startAddr = parseHexAddress(start);
+            const path = name.replace(/\s+PT_LOAD\[\d+\]$/, '');
+            const region = this.createRegion(startAddr, parseHexAddress(end), mapsRegionName(startAddr, path, rwx));
+            if (region) {
+                regions.push(region);
+            } else if (!isVsyscallLine(line)) {
+                warnings.push({ index, message: INVALID_RANGE_WARNING });
+            }
+        }
+        return regions;
+    }
+}
+
+// Ways of writing addresses in the columns of a delimited file. IPv4
+// addresses and CIDR networks are shown 32 bits wide unless a width is
+// chosen.
+const COLUMN_ADDRESS_TYPES = ['hex', 'decimal', 'ipv4', 'cidr'];
+
+// Columns that can be given a role in a column mapping.
+const COLUMN_ROLES = ['start', 'end', 'size', 'label', 'color'];
+
+// Words in a header that suggest the role of a column, in the order roles
+// are given out, so that "end_address" is the end rather than the start.
+const COLUMN_ROLE_WORDS = [
+    ['color', ['color', 'colour']],
+    ['cidr', ['cidr', 'network', 'prefix', 'subnet']],
+    ['size', ['size', 'length', 'len', 'bytes']],
+    ['end', ['end', 'stop', 'to', 'high', 'last', 'limit']],
+    ['start', ['start', 'begin', 'from', 'low', 'first', 'base', 'address', 'addr']],
+    ['label', ['name', 'label', 'region', 'description', 'desc', 'title']]
+];
+
+// Parse a column mapping such as "start:0;size:1;label:2;fields:3.4;type:hex",
+// with columns counted from 0, into { start, end, size, label, color, fields,
+// type } where unused roles are null. Throws a RangeError if it is invalid.
+function parseColumnMapping(text) {
+    const mapping = { start: null, end: null, size: null, label: null, color: null, fields: [], type: 'hex' };
+    for (const part of text.split(';').filter(Boolean)) {
+        const [key, value = ''] = part.split(':');
+        if (key === 'type' && COLUMN_ADDRESS_TYPES.includes(value)) {
+            mapping.type = value;
+        } else if (key === 'fields' && /^(\d+(\.\d+)*)?$/.test(value)) {
+            mapping.fields = value ? value.split('.').map(Number) : [];
+        } else if (COLUMN_ROLES.includes(key) && /^\d+$/.test(value)) {
+            mapping[key] = Number(value);
+        } else {
+            throw new RangeError(`Invalid column mapping "${part}"`);
+        }
+    }
+    if (mapping.start === null) {
+        throw new RangeError('The column mapping needs a start column');
+    }
+    return mapping;
+}
+
+// The text form of a column mapping, as read by parseColumnMapping.
+function formatColumnMapping(mapping) {
+    const parts = COLUMN_ROLES.filter(role => mapping[role] !== null).map(role => `${role}:${mapping[role]}`);
+    if (mapping.fields.length > 0) {
+        parts.push(`fields:${mapping.fields.join('.')}`);
+    }
+    parts.push(`type:${mapping.type}`);
+    return parts.join(';');
+}
+
+// Parse an address of a column address type into a BigInt, or return null.
+// CIDR networks give their first address.
+function parseColumnAddress(text, type) {
+    if (type === 'decimal') {
+        return /^\d+$/.test(text) ? BigInt(text) : null;
+    }
+    if (type === 'ipv4' || type === 'cidr') {
+        const match = text.match(type === 'ipv4' ? /^(\d+)\.(\d+)\.(\d+)\.(\d+)$/ : /^(\d+)\.(\d+)\.(\d+)\.(\d+)\/\d+$/);
+        const octets = match ? match.slice(1, 5).map(Number) : [];
+        return match && octets.every(octet => octet <= 255) ?
+            octets.reduce((value, octet) => value * 256n + BigInt(octet), 0n) : null;
+    }
+    return parseHexAddress(text);
+}
+
+// Comma or tab separated files of any layout, with the columns given roles by
+// a column mapping (see parseColumnMapping): start, and end or size, or a
+// CIDR network as start; label, color as #rrggbb and other fields for the
+// tooltip. Ends are exclusive, except for IPv4 addresses where they are the
+// last address as in IP ranges. Sizes are read like addresses, except for
+// IPv4 where they are decimal, and 0x always means hex. Without a mapping,
+// one is guessed from the header, or the columns are taken as start, end
+// and label.
+class DelimitedFormat extends DefaultFormat {
+    static id = 'csv';
+
+    // Anything comma or tab separated that isn't in a more specific format
+    static detect(lines) {
+        return lines.length > 0 && /[,\t]/.test(lines[0]) && !DefaultFormat.detect(lines);
+    }
+
+    // Options: columns, a column mapping in its text form, as well as the
+    // options of DefaultFormat
+    constructor(options = {}) {
+        super(options);
+        this.header = '';      // First line, which the mapping is remembered for
+        this.columnNames = []; // From the header, or "Column 1" and so on
+        this.columns = options.columns ? parseColumnMapping(options.columns) : null;
+    }
+
+    parseLines(lines, warnings = []) {
+        const regions = [];
+        if (lines.length === 0) {
+            return regions;
+        }
+        this.header = lines[0].trim();
+        const separator = lines[0].includes('\t') ? '\t' : ',';
+        const first = splitDelimitedLine(lines[0], separator).map(field => field.trim());
+
+        // A header is a first line that doesn't start with an address
+        const hasHeader = this.columns ?
+            parseColumnAddress(first[this.columns.start] || '', this.columns.type) === null :
+            COLUMN_ADDRESS_TYPES.every(type => parseColumnAddress(first[0], type) === null);
+        this.columnNames = first.map((name, i) => hasHeader && name ? name : `Column ${i + 1}`);
+        if (!this.columns) {
+            this.columns = this.guessColumns(hasHeader ? first : [], first.length,
+                hasHeader ? splitDelimitedLine(lines[1] || '', separator) : first);
+        }
+        const { start, end, size, label, color, fields, type } = this.columns;
+        if ((type === 'ipv4' || type === 'cidr') && this.options.addressBits === undefined) {
+            this.addressSpace = new AddressSpace(this.options.addressSpace, 32);
+        }
+        const expected = type === 'cidr' ? `expected a CIDR network in column ${start + 1}` :
+            end !== null ? `expected ${type} addresses in columns ${start + 1} and ${end + 1}` :
+            size !== null ? `expected a ${type} address in column ${start + 1} and a size in column ${size + 1}` :
+            `expected a ${type} address in column ${start + 1}`;
+
+        for (const [index, line] of lines.entries()) {
+            if (index === 0 && hasHeader) {
+                continue;
+            }
+            const values = splitDelimitedLine(line, separator).map(field => field.trim());
+            const range = this.columnRange(values);
+            if (!range) {
+                warnings.push({ index, message: expected });
+                continue;
+            }
+
+            const name = (label !== null && values[label]) || 'unnamed';
+            const region = this.createRegion(range.start, range.end, name);
+            if (!region) {
+                warnings.push({ index, message: INVALID_RANGE_WARNING });
+                continue;
+            }
+            const rgb = color !== null && (values[color] || '').match(/^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+            if (rgb) {
+                region.color = { r: parseInt(rgb[1], 16), g: parseInt(rgb[2], 16), b: parseInt(rgb[3], 16), a: 255 };
+            }
+            region.fields = fields.filter(i => values[i]).map(i => ({ name: this.columnNames[i], value: values[i] }));
+            regions.push(region);
+        }
+        return regions;
+    }
+
+    // The real range of a row as BigInts, or null if it doesn't have one.
+    columnRange(values) {
+        const { start, end, size, type } = this.columns;
+        const startAddr = parseColumnAddress(values[start] || '', type);
+        if (startAddr === null) {
+            return null;
+        }
+        if (type === 'cidr') {
+            const prefix = Number(values[start].split('/')[1]);
+            return prefix <= 32 ? { start: startAddr, end: startAddr + (1n << BigInt(32 - prefix)) } : null;
+        }
+        if (end !== null) {
+            const endAddr = parseColumnAddress(values[end] || '', type);
+            return endAddr === null ? null : { start: startAddr, end: type === 'ipv4' ? endAddr + 1n : endAddr };
+        }
+        if (size !== null) {
+            const text = values[size] || '';
+            const bytes = /^0x/i.test(text) ? parseHexAddress(text) :
+                parseColumnAddress(text, type === 'hex' ? 'hex' : 'decimal');
+            return bytes === null ? null : { start: startAddr, end: startAddr + bytes };
+        }
+        return { start: startAddr, end: startAddr + 1n };
+    }
+
+    // Guess a column mapping from the header names, if there are any, and
+    // the first row of data.
+    guessColumns(names, count, row) {
+        const mapping = { start: null, end: null, size: null, label: null, color: null, fields: [], type: 'hex' };
+        const taken = new Set();
+        const words = names.map(name => name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z0-9]+/));
+        for (const [role, roleWords] of COLUMN_ROLE_WORDS) {
+            // A CIDR network is the start column
+            const target = role === 'cidr' ? 'start' : role;
+            const i = words.findIndex((nameWords, i) => !taken.has(i) && nameWords.some(word => roleWords.includes(word)));
+            if (i !== -1 && mapping[target] === null) {
+                mapping[target] = i;
+                mapping.type = role === 'cidr' ? 'cidr' : mapping.type;
+                taken.add(i);
+            }
+        }
+        if (mapping.start === null) {
+            // Like the ranges format: start, end and label
+            Object.assign(mapping, { start: 0, end: count > 1 ? 1 : null, size: null, label: count > 2 ? 2 : null, color: null });
+            taken.clear();
+            [0, 1, 2].filter(i => i < count).forEach(i => taken.add(i));
+        }
+        if (mapping.label === null) {
+            // The first text column, such as a country
+            const i = Array.from({ length: count }, (_, i) => i)
+                .findIndex(i => !taken.has(i) && row[i] && isNaN(Number(row[i])));
+            if (i !== -1) {
+                mapping.label = i;
+                taken.add(i);
+            }
+        }
+        mapping.fields = Array.from({ length: count }, (_, i) => i).filter(i => !taken.has(i));
+
+        // Addresses are hex unless the data says otherwise
+        const sample = (row[mapping.start] || '').trim();
+        if (mapping.type !== 'cidr') {
+            mapping.type = parseColumnAddress(sample, 'cidr') !== null ? 'cidr' :
+                parseColumnAddress(sample, 'ipv4') !== null ? 'ipv4' : 'hex';
+        }
+        return mapping;
+    }
+
+    formatTooltip(region) {
+        return super.formatTooltip(region) + formatRegionFields(region);
+    }
+}
+
+// Tooltip lines for the fields of a region from a delimited file, or nothing
+// for other regions.
+function formatRegionFields(region) {
+    return (region.fields || [])
+        .map(field => `<div class="tooltip-field">${escapeHtml(field.name)}: ${escapeHtml(field.value)}</div>`)
+        .join('');
+}
+
+// Version of the JSON region format written by formatRegionsJson.
+const REGIONS_JSON_VERSION = 1;
+
+// Region properties written as fields of a JSON region of their own rather
+// than as metadata.
+const REGION_JSON_KEYS = ['start', 'end', 'name', 'color', 'metadata'];
+
+// The native JSON format, for handing regions between tools without losing
+// anything:
+//
+//   {
+//     "version": 1,
+//     "format": "smaps",
+//     "addressSpace": { "space": "user", "bits": 48 },
+//     "regions": [
+//       { "start": "0x7f0000000000", "end": "0x7f0000021000", "name": "[heap] {rw-}",
+//         "color": "#e04848", "metadata": { "memory": { "size": 135168, "rss": 4096 } } }
+//     ],
+//     "annotations": [{ "start": "0x7f0000000000", "end": "0x7f0000001000", "text": "Leak?" }]
+//   }
+//
+// Addresses are real addresses as hex strings, or as numbers if they are
+// small enough to be exact. Only start and end are needed. Colors are
+// #rrggbb or #rrggbbaa, and regions without one are colored by name. The
+// metadata is kept apart in the metadata property of the region, so that it
+// can't replace the properties the map relies on, except for the memory
+// statistics that formats like smaps record, which are restored. The format
+// is the one the regions were read from, and the address space is shown
+// unless another one is chosen. Annotations are shown in the tooltips of the
+// regions they overlap.
+class JsonFormat extends DefaultFormat {
+    static id = 'json';
+
+    static detect(lines) {
+        return lines.length > 0 && lines[0].trim().startsWith('{') && lines.some(line => line.includes('"regions"'));
+    }
+
+    constructor(options = {}) {
+        super(options);
+        this.sourceFormat = null; // Format id from the file, if it had one
+        this.annotations = [];    // { start, end, text } with BigInt addresses
+    }
+
+    parseLines(lines, warnings = []) {
+        let data;
+        try {
+            data = JSON.parse(lines.join('\n'));
+        } catch (error) {
+            warnings.push({ index: 0, message: `invalid JSON: ${error.message}` });
+            return [];
+        }
+        if (!data || !Array.isArray(data.regions)) {
+            warnings.push({ index: 0, message: 'expected an object with a regions array' });
+            return [];
+        }
+
+        // The file's address space, unless the options choose another
+        const space = data.addressSpace || {};
+        const spaceId = this.options.addressSpace && this.options.addressSpace !== DEFAULT_ADDRESS_SPACE ?
+            this.options.addressSpace : space.space;
+        this.addressSpace = new AddressSpace(spaceId, this.options.addressBits || space.bits);
+        this.sourceFormat = typeof data.format === 'string' ? data.format : null;
+
+        // Warnings point at the line the regions start on
+        const regionsIndex = Math.max(0, lines.findIndex(line => line.includes('"regions"')));
+        const regions = [];
+        data.regions.forEach((entry, i) => {
+            const start = entry && parseJsonAddress(entry.start);
+            const end = entry && parseJsonAddress(entry.end);
+            const name = entry && typeof entry.name === 'string' && entry.name ? entry.name : 'unnamed';
+            const region = start !== null && end !== null && this.createRegion(start, end, name);
+            if (!region) {
+                warnings.push({ index: regionsIndex, message: `region ${i}: ${INVALID_RANGE_WARNING}` });
+                return;
+            }
+
+            const rgba = typeof entry.color === 'string' &&
+                entry.color.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})?$/i);
+            if (rgba) {
+                region.color = { r: parseInt(rgba[1], 16), g: parseInt(rgba[2], 16), b: parseInt(rgba[3], 16),
+                    a: rgba[4] === undefined ? 255 : parseInt(rgba[4], 16) };
+            }
+            // Object.fromEntries defines each key, so even "__proto__" stays
+            // an ordinary entry.
+            const metadata = entry.metadata && typeof entry.metadata === 'object' && !Array.isArray(entry.metadata) ?
+                Object.fromEntries(Object.entries(entry.metadata)) : {};
+            if (metadata.memory && typeof metadata.memory === 'object') {
+                region.memory = this.parseMemoryStats(metadata.memory, region);
+                delete metadata.memory;
+            }
+            if (Object.keys(metadata).length > 0) {
+                region.metadata = metadata;
+            }
+            regions.push(region);
+        });
+
+        for (const [i, annotation] of (Array.isArray(data.annotations) ? data.annotations : []).entries()) {
+            const start = annotation && parseJsonAddress(annotation.start);
+            const end = annotation && annotation.end !== undefined ? parseJsonAddress(annotation.end) :
+                start !== null ? start + 1n : null;
+            if (start === null || end === null || typeof annotation.text !== 'string') {
+                warnings.push({ index: 0, message: `annotation ${i}: expected start, [end] and text` });
+                continue;
+            }
+            this.annotations.push({ start, end, text: annotation.text });
+        }
+        return regions;
+    }
+
+    // The memory statistics of the built-in formats from JSON metadata, with
+    // only the known statistics that are byte counts.
+    parseMemoryStats(memory, region) {
+        const stats = { size: Number(this.addressSpace.sizeOf(region.start, region.end)) };
+        for (const key of ['size', ...Object.keys(MEMORY_STAT_LABELS)]) {
+            if (Number.isSafeInteger(memory[key]) && memory[key] >= 0) {
+                stats[key] = memory[key];
+            }
+        }
+        return stats;
+    }
+
+    formatTooltip(region) {
+        const metadata = Object.entries(region.metadata || {})
+            .map(([key, value]) => {
+                const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+                return `<div class="tooltip-field">${escapeHtml(key)}: ${escapeHtml(text)}</div>`;
+            })
+            .join('');
+        const start = this.addressSpace.addressAt(region.start);
+        const end = this.addressSpace.endAddressAt(region.end);
+        const annotations = this.annotations
+            .filter(annotation => annotation.start < end && annotation.end > start)
+            .map(annotation => `<div class="tooltip-annotation">${escapeHtml(annotation.text)}</div>`)
+            .join('');
+        return super.formatTooltip(region) + formatRegionFields(region) + metadata + annotations;
+    }
+}
+
+// Parse an address of the JSON format, a hex string or an exact number, into
+// a BigInt, or return null.
+function parseJsonAddress(value) {
+    if (typeof value === 'number') {
+        return Number.isSafeInteger(value) && value >= 0 ? BigInt(value) : null;
+    }
+    return typeof value === 'string' ? parseHexAddress(value) : null;
+}
+
+// Write regions parsed in a format as the JSON format, with their real
+// addresses, colors, and their metadata and other properties as metadata.
+// Formats without an address space, such as IPv6, give positions on a 48-bit
+// map.
+function formatRegionsJson(regions, format) {
+    const space = format.addressSpace || new AddressSpace();
+    const hex = value => '0x' + value.toString(16);
+    // The alpha is only written when the color isn't opaque
+    const colorHex = color => '#' + [color.r, color.g, color.b, ...(color.a === 255 ? [] : [color.a])]
+        .map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+
+    return JSON.stringify({
+        version: REGIONS_JSON_VERSION,
+        format: format.sourceFormat || format.constructor.id,
+        addressSpace: { space: space.id, bits: space.bits },
+        regions: regions.map(region => {
+            const metadata = Object.fromEntries([...Object.entries(region.metadata || {}), ...Object.entries(region)
+                .filter(([key, value]) => !REGION_JSON_KEYS.includes(key) && value !== undefined)]);
+            const entry = {
+                start: hex(format.addressSpace ? space.addressAt(region.start) : region.start),
+                end: hex(format.addressSpace ? space.endAddressAt(region.end) : region.end),
+                name: region.name,
+                color: colorHex(region.color)
+            };
+            if (Object.keys(metadata).length > 0) {
+                entry.metadata = metadata;
+            }
+            return entry;
+        }),
+        annotations: (format.annotations || []).map(annotation =>
+            ({ start: hex(annotation.start), end: hex(annotation.end), text: annotation.text }))
+    }, null, 2);
+}
+
+// Width of the IPv4 address space, which is shown as a 32-bit user space so
+// that an address is one byte of the map.
+const IPV4_ADDRESS_BITS = 32;
+
+class IPv4GeolocationFormat {
+    static id = 'ipv4';
+
+    static detect(lines) {
+        return lines.length > 0 && (
+            lines[0].includes('network,') ||
+            (lines.length > 1 && /^\d+\.\d+\.\d+\.\d+\/\d+,/.test(lines[1]))
+        );
+    }
+
+    constructor(options = {}) {
+        this.options = options;
+        this.addressSpace = new AddressSpace(DEFAULT_ADDRESS_SPACE, IPV4_ADDRESS_BITS);
+    }
+
+    parseLines(lines, warnings = []) {
+        const regions = [];
+        for (const [index, line] of lines.entries()) {
+            // Skip CSV header line
+            if (line.startsWith('network,') || line.includes('geoname_id')) {
+                continue;
+            }
+
+            const region = parseIPv4CIDRLine(line, this.addressSpace);
+            if (region) {
+                regions.push(region);
+            } else {
+                warnings.push({ index, message: 'expected network,geoname_id,...,country_name with an IPv4 CIDR network' });
+            }
+        }
+
+        // Add auto regions for reserved and special-purpose ranges
+        for (const autoLine of getIPv4AutoRegions()) {
+            const region = parseIPv4CIDRLine(autoLine, this.addressSpace);
+            if (region) {
+                regions.push(region);
+            }
+        }
+
+        return regions;
+    }
+
+    getTitle() {
+        return "IPv4 Geodata Visualization";
+    }
+
+    getSubtitle() {
+        return "32-bit IPv4 address space (4 billion IPs) mapped to 1024x1024 using Hilbert curve";
+    }
+
+    getMaxZoomLevel() {
+        return this.addressSpace.maxZoomLevel();
+    }
+
+    getSizeKeyLabels() {
+        // Sizes on the map are in map addresses, a number of IPs times the scale
+        const scale = this.addressSpace.scale;
+        return [
+            { bytes: 1 * scale, name: '1 address' },
+            { bytes: 16 * scale, name: '16 addresses' },           // /28 network
+            { bytes: 256 * scale, name: '256 addresses' },           // /24 network
+            { bytes: 1024 * scale, name: '1024 addresses' },         // /22 network
+            { bytes: 4096 * scale, name: '4096 addresses' },         // /20 network
+            { bytes: 16384 * scale, name: '16384 addresses' },       // /18 network
+            { bytes: 65536 * scale, name: '65536 addresses' },       // /16 network
+            { bytes: 262144 * scale, name: '262144 addresses' },     // /14 network
+            { bytes: 1048576 * scale, name: '1048576 addresses' },   // /12 network
+            { bytes: 16777216 * scale, name: '16777216 addresses' }  // /8 network
+        ];
+    }
+
+    formatPixelLabel(bytesPerPixel) {
+        const addressesPerPixel = Math.floor(this.addressSpace.bytesIn(bytesPerPixel));
+        return `Each pixel = ${addressesPerPixel} addresses`;
+    }
+
+    formatSquareLabel(bytesPerSquare) {
+        const addressesPerSquare = Math.floor(this.addressSpace.bytesIn(bytesPerSquare));
+        return `Each square = ${addressesPerSquare} addresses`;
+    }
+
+    formatZoomedViewLabel(currentRange) {
+        const addressRange = Math.floor(this.addressSpace.bytesIn(currentRange));
+        return `Zoomed view = ${addressRange} addresses`;
+    }
+
+    formatZoomedViewLabelMobile(currentRange) {
+        const addressRange = Math.floor(this.addressSpace.bytesIn(currentRange));
+        return `View = ${addressRange} addresses`;
+    }
+
+    formatRangeLabel(minAddr, maxAddr) {
+        const startIP = this.addressToIPv4(minAddr);
+        const cidrBits = this.calculateCIDRBits(minAddr, maxAddr);
+        return `${startIP}/${cidrBits}`;
+    }
+
+    formatTooltip(region) {
+        const startIP = this.addressToIPv4(region.start);
+        const cidrBits = this.calculateCIDRBits(region.start, region.end);
+        const size = Number(this.addressSpace.sizeOf(region.start, region.end));
+
+        return `
+            <div class="tooltip-address">${startIP}/${cidrBits}</div>
+            <div class="tooltip-size">Size: ${size}</div>
+        `;
+    }
+
+    addressToIPv4(mapAddress) {
+        const ipInt = Number(this.addressSpace.addressAt(mapAddress));
+        return [
+            (ipInt >>> 24) & 0xFF,
+            (ipInt >>> 16) & 0xFF,
+            (ipInt >>> 8) & 0xFF,
+            ipInt & 0xFF
+        ].join('.');
+    }
+
+    calculateCIDRBits(startMapAddress, endMapAddress) {
+        const range = Number(this.addressSpace.sizeOf(startMapAddress, endMapAddress));
+
+        // Find the number of host bits needed to represent this range
+        const hostBits = Math.ceil(Math.log2(range));
+        return IPV4_ADDRESS_BITS - hostBits;
+    }
+}
+
+// Prefix window shown when none is chosen: the top 48 bits of the whole
+// IPv6 address space, i.e. networks from /0 to /48.
+const IPV6_DEFAULT_WINDOW = '::/0';
+
+// IPv6 CIDR CSVs in the geoip2-ipv6 layout. IPv6 is far bigger than the map,
+// so the map shows a window: the 48 bits of address after a prefix such as
+// 2000::/3, so that the smallest unit is a /(prefix + 48) network. Addresses
+// are BigInts while parsing, as Numbers only hold 53 bits.
+class IPv6GeolocationFormat {
+    static id = 'ipv6';
+
+    static detect(lines) {
+        const cidrLine = /^[0-9a-f]*:[0-9a-f:.]*\/\d+,/i;
+        return lines.length > 0 && (
+            cidrLine.test(lines[0]) ||
+            (lines[0].includes('network,') && lines.length > 1 && cidrLine.test(lines[1]))
+        );
+    }
+
+    // Options: ipv6Window, the prefix of the window such as '2000::/3'
+    constructor(options = {}) {
+        const windowText = options.ipv6Window || IPV6_DEFAULT_WINDOW;
+        const windowPrefix = parseIPv6CIDR(windowText);
+        if (!windowPrefix || windowPrefix.prefixLength > 128 - 48) {
+            throw new RangeError(`Invalid IPv6 window "${windowText}", expected a prefix of /80 or shorter`);
+        }
+        this.window = windowPrefix;
+        // Each unit of the 48-bit map space is 2^shift addresses
+        this.shift = BigInt(128 - 48 - windowPrefix.prefixLength);
+    }
+
+    parseLines(lines, warnings = []) {
+        const regions = [];
+        for (const [index, line] of lines.entries()) {
+            // Skip CSV header line
+            if (line.startsWith('network,') || line.includes('geoname_id')) {
+                continue;
+            }
+
+            const parts = line.split(',');
+            const network = parts.length >= 6 ? parseIPv6CIDR(parts[0]) : null;
+            if (!network) {
+                warnings.push({ index, message: 'expected network,geoname_id,...,country_name with an IPv6 CIDR network' });
+                continue;
+            }
+            // Networks outside the window are left out without a warning
+            const region = this.createNetworkRegion(network, parts[5]);
+            if (region) {
+                regions.push(region);
+            }
+        }
+
+        // Add auto regions for reserved and special-purpose ranges
+        for (const [cidr, name] of IPV6_AUTO_REGIONS) {
+            const region = this.createNetworkRegion(parseIPv6CIDR(cidr), name);
+            if (region) {
+                regions.push(region);
+            }
+        }
+
+        return regions;
+    }
+
+    // Make a region for a network in map addresses, or return null if the
+    // network is outside the window. Networks containing the whole window
+    // cover all of it, and networks smaller than a map unit get one unit.
+    createNetworkRegion(network, name) {
+        const windowStart = this.window.start;
+        const windowEnd = windowStart + (1n << BigInt(128 - this.window.prefixLength));
+        const networkEnd = network.start + (1n << BigInt(128 - network.prefixLength));
+        if (networkEnd <= windowStart || network.start >= windowEnd) {
+            return null;
+        }
+
+        const unit = 1n << this.shift;
+        const start = (network.start > windowStart ? network.start : windowStart) - windowStart;
+        const end = (networkEnd < windowEnd ? networkEnd : windowEnd) - windowStart;
+        const region = new Region(Number(start >> this.shift), Number((end + unit - 1n) >> this.shift),
+                                  name, generateColorForName(name));
+        region.network = formatIPv6CIDR(network);
+        return region;
+    }
+
+    // IPv6 address at a map address, as a BigInt.
+    mapAddressToIPv6(address) {
+        return this.window.start + (BigInt(Math.floor(address)) << this.shift);
+    }
+
+    // Prefix length of networks the size of the given map range.
+    prefixLengthOfRange(range) {
+        return this.window.prefixLength + 48 - Math.round(Math.log2(range));
+    }
+
+    getTitle() {
+        return "IPv6 Geodata Visualization";
+    }
+
+    getSubtitle() {
+        const prefixLength = this.window.prefixLength;
+        return `IPv6 ${formatIPv6CIDR(this.window)} (networks /${prefixLength} to /${prefixLength + 48}) ` +
+            'mapped to 1024x1024 using Hilbert curve';
+    }
+
+    getMaxZoomLevel() {
+        return 4; // At level 4 a pixel is 16 of the smallest networks
+    }
+
+    getSizeKeyLabels() {
+        // Networks of every other prefix length; the scale key shows those
+        // that fit.
+        const labels = [];
+        for (let bits = 0; bits <= 48; bits += 2) {
+            labels.push({ bytes: Math.pow(2, bits), name: `/${this.window.prefixLength + 48 - bits} network` });
+        }
+        return labels;
+    }
+
+    formatPixelLabel(bytesPerPixel) {
+        return `Each pixel = /${this.prefixLengthOfRange(bytesPerPixel)}`;
+    }
+
+    formatSquareLabel(bytesPerSquare) {
+        return `Each square = /${this.prefixLengthOfRange(bytesPerSquare)}`;
+    }
+
+    formatZoomedViewLabel(currentRange) {
+        return `Zoomed view = /${this.prefixLengthOfRange(currentRange)}`;
+    }
+
+    formatZoomedViewLabelMobile(currentRange) {
+        return `View = /${this.prefixLengthOfRange(currentRange)}`;
+    }
+
+    formatRangeLabel(minAddr, maxAddr) {
+        const prefixLength = this.prefixLengthOfRange(maxAddr - minAddr);
+        return formatIPv6CIDR({ start: this.mapAddressToIPv6(minAddr), prefixLength });
+    }
+
+    formatTooltip(region) {
+        const network = parseIPv6CIDR(region.network);
+        const addresses = `2<sup>${128 - network.prefixLength}</sup> addresses`;
+        return `
+            <div class="tooltip-address">${region.network}</div>
+            <div class="tooltip-size">Size: ${addresses}</div>
+        `;
+    }
+}
+
+// Addresses on the map: one for each cell of its 2^24 x 2^24 Hilbert curve.
+const MAP_ADDRESS_BITS = 48;
+
+// Widths in bits of the address spaces that can be shown, e.g. 39 for arm64
+// kernels with three-level page tables and 57 for five-level paging.
+const ADDRESS_WIDTHS = [32, 39, 47, 48, 57];
+const DEFAULT_ADDRESS_BITS = 48;
+
+// A part of the 64-bit address space, scaled to fit the map. It is made of
+// windows of real addresses, as BigInts, laid out one after the other from
+// map address 0. Map addresses are Numbers, which are exact for any byte
+// address in spaces up to 48 bits wide. Wider spaces are shown with more than
+// one byte per map address.
+class AddressSpace {
+    // id is a key of ADDRESS_SPACES, such as 'kernel', and bits is one of
+    // ADDRESS_WIDTHS.
+    constructor(id = DEFAULT_ADDRESS_SPACE, bits = DEFAULT_ADDRESS_BITS) {
+        if (!Object.hasOwn(ADDRESS_SPACES, id)) {
+            throw new RangeError(`Unknown address space ${id}, expected one of ${Object.keys(ADDRESS_SPACES).join(', ')}`);
+        }
+        if (!ADDRESS_WIDTHS.includes(bits)) {
+            throw new RangeError(`Address width must be one of ${ADDRESS_WIDTHS.join(', ')} bits, not ${bits}`);
+        }
+        this.id = id;
+        this.bits = bits;
+        this.description = ADDRESS_SPACES[id].describe(bits);
+        // Map addresses per byte, e.g. 65536 for a 32-bit space
+        this.scale = Math.pow(2, MAP_ADDRESS_BITS - bits);
+
+        let mapStart = 0;
+        this.windows = ADDRESS_SPACES[id].windows(2n ** BigInt(bits)).map(({ start, size }) => {
+            const part = { start, end: start + size, mapStart };
+            mapStart += this.toMapOffset(size, false);
+            return part;
+        });
+    }
+
+    // The map range, as Numbers, of the part of the real range [start, end)
+    // in the first window it overlaps, or null if it is in none. Ranges are
+    // rounded outwards to whole map addresses.
+    mapRange(start, end) {
+        for (const part of this.windows) {
+            if (start < part.end && end > part.start && end > start) {
+                const clampedStart = start > part.start ? start : part.start;
+                const clampedEnd = end < part.end ? end : part.end;
+                return {
+                    start: part.mapStart + this.toMapOffset(clampedStart - part.start, false),
+                    end: part.mapStart + this.toMapOffset(clampedEnd - part.start, true)
+                };
+            }
+        }
+        return null;
+    }
+
+    // The real address, as a BigInt, at a map address.
+    addressAt(mapAddress) {
+        const part = this.windows.findLast(part => part.mapStart <= mapAddress);
+        return part.start + this.toAddressOffset(mapAddress - part.mapStart, false);
+    }
+
+    // The real end address of a range ending at a map address, which at the
+    // end of a window is the end of that window rather than the start of the
+    // next one.
+    endAddressAt(mapAddress) {
+        const part = this.windows.findLast(part => part.mapStart < mapAddress) || this.windows[0];
+        return part.start + this.toAddressOffset(mapAddress - part.mapStart, true);
+    }
+
+    // Size in bytes, as a BigInt, of a range of map addresses.
+    sizeOf(start, end) {
+        return this.endAddressAt(end) - this.addressAt(start);
+    }
+
+    // Bytes, as a Number, in a number of map addresses, for scale labels.
+    bytesIn(mapSize) {
+        return mapSize / this.scale;
+    }
+
+    formatRange(start, end) {
+        return `0x${this.addressAt(start).toString(16)} - 0x${this.endAddressAt(end).toString(16)}`;
+    }
+
+    // Deepest zoom level of a map of this space: deep enough for a pixel to
+    // be at most 16 bytes, as far as the map goes. At level 4 a pixel is 16
+    // map addresses.
+    maxZoomLevel() {
+        return Math.min(4, Math.ceil((this.bits - 24) / 6));
+    }
+
+    // Map offset of a BigInt byte offset into a window.
+    toMapOffset(offset, roundUp) {
+        if (this.scale >= 1) {
+            return Number(offset) * this.scale;
+        }
+        const shift = BigInt(this.bits - MAP_ADDRESS_BITS);
+        return Number((roundUp ? offset + (1n << shift) - 1n : offset) >> shift);
+    }
+
+    // Byte offset, as a BigInt, of a map offset into a window.
+    toAddressOffset(mapOffset, roundUp) {
+        const bytes = mapOffset / this.scale;
+        return BigInt(roundUp ? Math.ceil(bytes) : Math.floor(bytes));
+    }
+}
+
+// The parts of the 64-bit address space that can be shown, by id, for a
+// width in bits. The kernel half is the top of the address space, so that
+// kernel addresses keep their low bits on the map, e.g. 0xffff888000000000 is
+// at 0x888000000000 in a 48-bit space.
+const ADDRESS_SPACES = {
+    user: {
+        describe: bits => `${bits}-bit virtual address space (${formatBytes(Math.pow(2, bits))})`,
+        windows: size => [{ start: 0n, size }]
+    },
+    kernel: {
+        describe: bits => `Kernel half of the 64-bit address space (top ${formatBytes(Math.pow(2, bits))})`,
+        windows: size => [{ start: 2n ** 64n - size, size }]
+    },
+    canonical: {
+        describe: bits => `Both canonical halves of a ${bits}-bit address space (user below, kernel above)`,
+        windows: size => [
+            { start: 0n, size: size / 2n },
+            { start: 2n ** 64n - size / 2n, size: size / 2n }
+        ]
+    }
+};
+
+const DEFAULT_ADDRESS_SPACE = 'user';
+
+class Region {
+    constructor(start, end, name, color) {
+        this.start = start;
+        this.end = end;
+        this.name = name;
+        this.color = color;
+    }
+
+    toString() {
+      const from = '0x' + this.start.toString(16);
+      const to = '0x' + this.end.toString(16);
+      return `${from}-${to}`;
+    }
+}
+
+// Split a region name like "libc.so {r-x}" into its base name and the
+// permissions in curly braces, if any.
+function splitRegionName(name) {
+    const curlyMatch = name.match(/^(.*?)\s*\{([^}]+)\}$/);
+    if (curlyMatch) {
+        return { baseName: curlyMatch[1], permissions: curlyMatch[2] };
+    }
+    return { baseName: name, permissions: '' };
+}
+
+// Forget all assigned colors, so that parsing the same data again yields the
+// same colors as on a fresh page load.
+function resetColors() {
+    colorMap = new Map();
+    colorIndex = 0;
+}
+
+function generateColorForName(name) {
+    if (colorMap.has(name)) {
+        return colorMap.get(name);
+    }
+
+    // Check if this is an auto-generated region (prefixed with "Auto:")
+    if (name.startsWith('Auto:')) {
+        // Use distinct grey shades for auto regions
+        const hash = Array.from(name).reduce((hash, char) => {
+            return hash + char.charCodeAt(0);
+        }, 0);
+
+        // Create clearly visible grey shades - much darker range
+        const greyValues = [64, 96, 128, 160, 192, 224]; // Dark to light grey values
+        const greyIndex = hash % greyValues.length;
+        const greyValue = greyValues[greyIndex];
+
+        // Give each auto region a different hue but keep it very desaturated
+        const hue = (hash * 137.5) % 360; // Golden angle spacing for hue variety
+
+        const color = {
+            r: greyValue,
+            g: greyValue,
+            b: greyValue,
+            a: 255,
+            hue: hue,
+            saturation: 15, // Low saturation for grey appearance
+            lightness: Math.round(greyValue * 100 / 255)
+        };
+
+
+        colorMap.set(name, color);
+        return color;
+    }
+
+    // Extract base name and permissions
+    const { baseName, permissions } = splitRegionName(name);
+
+    // Generate hue based on base name
+    let hue;
+    if (colorMap.has(baseName)) {
+        // Use existing hue for this base name
+        const existingColor = colorMap.get(baseName);
+        hue = existingColor.hue;
+    } else {
+        // Generate new hue for base name
+        hue = (colorIndex * 137.5) % 360; // Golden angle spacing
+        colorIndex++;
+    }
+
+    // Calculate saturation based on permissions: start at 30%, add 10% for r, 20% for w, 40% for x
+    let saturation = 30;
+    if (permissions) {
+        if (permissions.includes('r')) saturation += 10;
+        if (permissions.includes('w')) saturation += 20;
+        if (permissions.includes('x')) saturation += 40;
+    } else {
+        // Default saturation for regions without permission suffix (original format)
+        saturation = 70;
+    }
+
+    const lightness = 50 + (colorIndex % 2) * 10;  // 50-60% lightness
+
+    // Convert HSL to RGB
+    const c = (1 - Math.abs(2 * lightness/100 - 1)) * saturation/100;
+    const x = c * (1 - Math.abs((hue/60) % 2 - 1));
+    const m = lightness/100 - c/2;
+
+    let r, g, b;
+    if (hue < 60) { r = c; g = x; b = 0; }
+    else if (hue < 120) { r = x; g = c; b = 0; }
+    else if (hue < 180) { r = 0; g = c; b = x; }
+    else if (hue < 240) { r = 0; g = x; b = c; }
+    else if (hue < 300) { r = x; g = 0; b = c; }
+    else { r = c; g = 0; b = x; }
+
+    const color = {
+        r: Math.round((r + m) * 255),
+        g: Math.round((g + m) * 255),
+        b: Math.round((b + m) * 255),
+        a: 255,
+        hue: hue  // Store hue for reuse with base name
+    };
+
+    colorMap.set(name, color);
+    
+    // Also store the base name color if it's new
+    if (!colorMap.has(baseName)) {
+        colorMap.set(baseName, color);
+    }
+    
+    return color;
+}
+
+// Alignment in bytes of an address, a Number or BigInt, up to half the size of
+// an address space of the given width (128 TiB for 48 bits).
+function getAlignment(address, bits = DEFAULT_ADDRESS_BITS) {
+    const value = BigInt(address);
+    let alignment = 2n ** BigInt(bits - 1);
+    while (alignment > 1n && value % alignment !== 0n) {
+        alignment /= 2n;
+    }
+    return Number(alignment);
+}
+
+// Return the format class recognizing the given non-blank input lines, or
+// null if the input isn't in any of the supported formats.
+function detectFormat(lines) {
+    return FORMATS.find(formatClass => formatClass.detect(lines)) || null;
+}
+
+// Parse text in any of the supported formats. Returns the regions sorted by
+// start address, the format strategy object that was detected and warnings
+// for skipped lines as { line, text, message } with 1-based line numbers. A
+// format id, such as 'maps', skips detection. Options are passed to the
+// format, e.g. { ipv6Window: '2000::/3' } or { addressSpace: 'kernel' }.
+function parseMemoryData(textContent, formatId = null, options = {}) {
+    // Keep the line number of each non-blank line for warnings
+    const lines = [];
+    const lineNumbers = [];
+    textContent.split('\n').forEach((line, i) => {
+        if (line.trim()) {
+            lines.push(line);
+            lineNumbers.push(i + 1);
+        }
+    });
+
+    // Use the requested format, or the first format that recognizes the input
+    const FormatClass = (formatId && FORMATS.find(formatClass => formatClass.id === formatId)) ||
+        detectFormat(lines) || DefaultFormat;
+    const format = new FormatClass(options);
+    const warnings = [];
+    const regions = format.parseLines(lines, warnings);
+
+    return {
+        regions: regions.sort((a, b) => a.start - b.start),
+        format: format,
+        warnings: warnings.map(({ index, message }) => ({
+            line: lineNumbers[index],
+            text: lines[index].trim(),
+            message
+        }))
+    };
+}
+
+const INVALID_RANGE_WARNING = 'invalid addresses or range outside the address space shown';
+
+// Parse a hex address, with or without 0x, into a BigInt, or return null.
+function parseHexAddress(text) {
+    return /^(0x)?[0-9a-f]+$/i.test(text) ? BigInt(/^0x/i.test(text) ? text : '0x' + text) : null;
+}
+
+// Make a region with a color for its name, or return null if the map addresses
+// are invalid or outside the map. Regions that extend beyond the map are
+// clamped.
+function createRegion(startAddr, endAddr, regionName) {
+    if (!isNaN(startAddr) && !isNaN(endAddr) && endAddr > startAddr) {
+        const maxAddress = Math.pow(2, MAP_ADDRESS_BITS);
+        if (startAddr < maxAddress) {
+            const clampedEnd = Math.min(endAddr, maxAddress);
+            const color = generateColorForName(regionName);
+            return new Region(startAddr, clampedEnd, regionName, color);
+        }
+    }
+    return null;
+}
+
+// The vsyscall page lies in the kernel half, so it is outside the default
+// user address space without that being worth a warning.
+function isVsyscallLine(line) {
+    return line.includes('[vsyscall]');
+}
+
+// Explain why a line isn't a usable maps entry.
+function mapsLineWarning(line) {
+    return /^[0-9a-f]+-[0-9a-f]+\s/i.test(line) ? INVALID_RANGE_WARNING :
+        'expected address-range perms offset dev inode [pathname]';
+}
+
+// Name a mapping like "libc.so {r-x}" from its path and rwx permissions. The
+// start address is a BigInt.
+function mapsRegionName(startAddr, path, rwx) {
+    let regionName = path;
+
+    // Generate name for unnamed regions using bits 32-64 of start address
+    if (regionName === '') {
+        regionName = `unnamed-${(startAddr >> 32n).toString(16)}`;
+    }
+
+    return regionName + ' {' + rwx + '}';
+}
+
+// Parse a line of an IPv4 CIDR CSV into a region of the map of an IPv4
+// address space, or return null.
+function parseIPv4CIDRLine(line, space = new AddressSpace(DEFAULT_ADDRESS_SPACE, IPV4_ADDRESS_BITS)) {
+    const parts = line.split(',');
+    if (parts.length >= 6) {
+        const cidr = parts[0];
+        const countryName = parts[5];
+
+        // Parse CIDR notation
+        const [ipStr, prefixLenStr] = cidr.split('/');
+        const prefixLen = parseInt(prefixLenStr);
+
+        if (!isNaN(prefixLen) && prefixLen <= 32) {
+            const ipParts = ipStr.split('.').map(x => parseInt(x));
+            if (ipParts.length === 4 && ipParts.every(x => x >= 0 && x <= 255)) {
+                const ipInt = ((ipParts[0] << 24) | (ipParts[1] << 16) | (ipParts[2] << 8) | ipParts[3]) >>> 0;
+
+                const hostBits = 32 - prefixLen;
+                const networkMask = (0xFFFFFFFF << hostBits) >>> 0;
+                const networkStart = (ipInt & networkMask) >>> 0;
+                const networkEnd = (networkStart | ((1 << hostBits) - 1)) >>> 0;
+
+                const range = space.mapRange(BigInt(networkStart), BigInt(networkEnd) + 1n);
+                if (range) {
+                    const color = generateColorForName(countryName);
+                    return new Region(range.start, range.end, countryName, color);
+                }
+            }
+        }
+    }
+    return null;
+}
+
+function getIPv4AutoRegions() {
+    return [
+        '127.0.0.0/8,0,,,,Auto: Localhost/Loopback,0,0',
+        '10.0.0.0/8,0,,,,Auto: Private Use Class A,0,0',
+        '172.16.0.0/12,0,,,,Auto: Private Use Class B,0,0',
+        '192.168.0.0/16,0,,,,Auto: Private Use Class C,0,0',
+        '224.0.0.0/4,0,,,,Auto: Multicast,0,0',
+        '240.0.0.0/4,0,,,,Auto: Reserved for Future Use,0,0',
+        '0.0.0.0/8,0,,,,Auto: This Network,0,0',
+        '169.254.0.0/16,0,,,,Auto: Link-Local,0,0',
+        '192.0.0.0/24,0,,,,Auto: IETF Protocol Assignments,0,0',
+        '192.0.2.0/24,0,,,,Auto: Documentation (TEST-NET-1),0,0',
+        '198.51.100.0/24,0,,,,Auto: Documentation (TEST-NET-2),0,0',
+        '203.0.113.0/24,0,,,,Auto: Documentation (TEST-NET-3),0,0',
+        '198.18.0.0/15,0,,,,Auto: Benchmark Testing,0,0',
+        '100.64.0.0/10,0,,,,Auto: Carrier-grade NAT,0,0'
+    ];
+}
+
+// Special-purpose IPv6 ranges shown along with the data (RFC 6890).
+const IPV6_AUTO_REGIONS = [
+    ['::1/128', 'Auto: Loopback'],
+    ['::ffff:0:0/96', 'Auto: IPv4-mapped'],
+    ['64:ff9b::/96', 'Auto: IPv4/IPv6 Translation'],
+    ['100::/64', 'Auto: Discard-Only'],
+    ['2001::/32', 'Auto: Teredo'],
+    ['2001:db8::/32', 'Auto: Documentation'],
+    ['2002::/16', 'Auto: 6to4'],
+    ['fc00::/7', 'Auto: Unique Local'],
+    ['fe80::/10', 'Auto: Link-Local'],
+    ['ff00::/8', 'Auto: Multicast']
+];
+
+// Parse an IPv6 address, such as "2001:db8::1" or "::ffff:192.0.2.1", into
+// a BigInt. Returns null if it isn't one.
+function parseIPv6Address(text) {
+    let groups = text.split(':');
+    const last = groups[groups.length - 1];
+    if (last.includes('.')) {
+        // Embedded IPv4 address in the last 32 bits
+        const ipParts = last.split('.').map(x => /^\d{1,3}$/.test(x) ? parseInt(x) : NaN);
+        if (ipParts.length !== 4 || !ipParts.every(x => x >= 0 && x <= 255)) {
+            return null;
+        }
+        groups = groups.slice(0, -1).concat([
+            ((ipParts[0] << 8) | ipParts[1]).toString(16),
+            ((ipParts[2] << 8) | ipParts[3]).toString(16)
+        ]);
+    }
+
+    // Expand "::" to the missing zero groups
+    const elided = groups.indexOf('');
+    if (text.includes('::')) {
+        const head = text.startsWith('::') ? [] : groups.slice(0, elided);
+        const tail = groups.slice(groups.lastIndexOf('') + 1);
+        if (head.length + tail.length > 7 || text.indexOf('::') !== text.lastIndexOf('::')) {
+            return null;
+        }
+        groups = head.concat(new Array(8 - head.length - tail.length).fill('0'), tail);
+    }
+
+    if (groups.length !== 8 || !groups.every(group => /^[0-9a-f]{1,4}$/i.test(group))) {
+        return null;
+    }
+    return groups.reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n);
+}
+
+// Format a BigInt as an IPv6 address in the canonical form of RFC 5952: the
+// longest run of two or more zero groups becomes "::".
+function formatIPv6Address(value) {
+    const groups = [];
+    for (let i = 7; i >= 0; i--) {
+        groups.push(Number((value >> BigInt(i * 16)) & 0xffffn));
+    }
+
+    let bestStart = -1;
+    let bestLength = 1;
+    for (let i = 0; i < 8; i++) {
+        let length = 0;
+        while (i + length < 8 && groups[i + length] === 0) length++;
+        if (length > bestLength) {
+            bestStart = i;
+            bestLength = length;
+        }
+    }
+
+    const hex = groups.map(group => group.toString(16));
+    if (bestStart < 0) {
+        return hex.join(':');
+    }
+    return hex.slice(0, bestStart).join(':') + '::' + hex.slice(bestStart + bestLength).join(':');
+}
+
+// Parse an IPv6 network such as "2001:db8::/32" into { start, prefixLength }
+// with the host bits of start cleared. Returns null if it isn't one.
+function parseIPv6CIDR(cidr) {
+    const match = /^([0-9a-f:.]+)\/(\d{1,3})$/i.exec(cidr.trim());
+    const address = match ? parseIPv6Address(match[1]) : null;
+    const prefixLength = match ? parseInt(match[2]) : NaN;
+    if (address === null || prefixLength > 128) {
+        return null;
+    }
+    const hostBits = BigInt(128 - prefixLength);
+    return { start: (address >> hostBits) << hostBits, prefixLength };
+}
+
+function formatIPv6CIDR(network) {
+    return `${formatIPv6Address(network.start)}/${network.prefixLength}`;
+}
+
+const MEMORY_STAT_LABELS = {
+    rss: 'RSS',
+    pss: 'PSS',
+    privateDirty: 'Private dirty',
+    pssDirty: 'PSS dirty',
+    dirty: 'Dirty',
+    swap: 'Swap',
+    anonHugePages: 'Anon huge pages'
+};
+
+// Tooltip lines for the memory statistics of a region, if it has any.
+function formatMemoryStats(region) {
+    if (!region.memory) {
+        return '';
+    }
+
+    const size = region.memory.size;
+    return Object.keys(MEMORY_STAT_LABELS)
+        .filter(key => region.memory[key] !== undefined)
+        .map(key => {
+            const bytes = region.memory[key];
+            const percent = Math.round(bytes * 100 / size);
+            return `<div class="tooltip-memory">${MEMORY_STAT_LABELS[key]}: ${formatBytes(bytes)} (${percent}%)</div>`;
+        })
+        .join('');
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024 * 1024 * 1024) {
+        return Math.round(bytes / (1024 * 1024 * 1024 * 1024 * 1024)) + ' PiB';
+    } else if (bytes >= 1024 * 1024 * 1024 * 1024) {
+        return Math.round(bytes / (1024 * 1024 * 1024 * 1024)) + ' TiB';
+    } else if (bytes >= 1024 * 1024 * 1024) {
+        return Math.round(bytes / (1024 * 1024 * 1024)) + ' GiB';
+    } else if (bytes >= 1024 * 1024) {
+        return Math.round(bytes / (1024 * 1024)) + ' MiB';
+    } else if (bytes >= 1024) {
+        return Math.round(bytes / 1024) + ' KiB';
+    } else {
+        return Math.round(bytes) + ' bytes';
+    }
+}
+
+// Text to place in HTML, such as region names and fields from imported files.
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+const DIFF_COLORS = {
+    added: { r: 60, g: 200, b: 80, a: 255 },
+    removed: { r: 220, g: 50, b: 50, a: 255 },
+    resized: { r: 240, g: 200, b: 40, a: 255 },
+    permissions: { r: 170, g: 90, b: 220, a: 255 },
+    unchanged: { r: 90, g: 90, b: 90, a: 255 }
+};
+
+const DIFF_STATUS_LABELS = {
+    added: 'Added',
+    removed: 'Removed',
+    resized: 'Resized',
+    permissions: 'Permissions changed',
+    unchanged: 'Unchanged'
+};
+
+// Compare two sorted region lists. A region in the second list is matched
+// with one in the first that has the same base name and the same start
+// address, or failing that the same end address (e.g. a stack that grew
+// down). Returns regions colored by their status, each with a diff property
+// holding the status and the before and after regions, plus a summary of
+// bytes gained and lost by base name.
+function diffRegions(beforeRegions, afterRegions) {
+    const byStart = new Map();
+    const byEnd = new Map();
+    for (const region of beforeRegions) {
+        const { baseName } = splitRegionName(region.name);
+        byStart.set(`${baseName}@${region.start}`, region);
+        byEnd.set(`${baseName}@${region.end}`, region);
+    }
+
+    const matched = new Set();
+    const result = [];
+    const summary = new Map();
+
+    function account(name, delta) {
+        const { baseName } = splitRegionName(name);
+        const entry = summary.get(baseName) || { name: baseName, gained: 0, lost: 0 };
+        if (delta > 0) entry.gained += delta;
+        if (delta < 0) entry.lost -= delta;
+        summary.set(baseName, entry);
+    }
+
+    function addDiffRegion(region, status, before, after) {
+        const diffRegion = new Region(region.start, region.end, region.name, DIFF_COLORS[status]);
+        diffRegion.diff = { status: status, before: before, after: after };
+        result.push(diffRegion);
+    }
+
+    for (const after of afterRegions) {
+        const { baseName, permissions } = splitRegionName(after.name);
+        let before = byStart.get(`${baseName}@${after.start}`);
+        if (!before || matched.has(before)) {
+            before = byEnd.get(`${baseName}@${after.end}`);
+        }
+
+        if (!before || matched.has(before)) {
+            addDiffRegion(after, 'added', null, after);
+            account(after.name, after.end - after.start);
+            continue;
+        }
+
+        matched.add(before);
+        let status = 'unchanged';
+        if (before.start !== after.start || before.end !== after.end) {
+            status = 'resized';
+        } else if (splitRegionName(before.name).permissions !== permissions) {
+            status = 'permissions';
+        }
+        addDiffRegion(after, status, before, after);
+        account(after.name, (after.end - after.start) - (before.end - before.start));
+    }
+
+    for (const before of beforeRegions) {
+        if (!matched.has(before)) {
+            addDiffRegion(before, 'removed', before, null);
+            account(before.name, -(before.end - before.start));
+        }
+    }
+
+    return {
+        regions: result.sort((a, b) => a.start - b.start),
+        summary: Array.from(summary.values())
+            .filter(entry => entry.gained > 0 || entry.lost > 0)
+            .sort((a, b) => Math.abs(b.gained - b.lost) - Math.abs(a.gained - a.lost))
+    };
+}
+
+// Shows a diff produced by diffRegions, using the format of the compared data
+// for everything except titles and tooltips.
+class DiffFormat {
+    constructor(baseFormat) {
+        this.baseFormat = baseFormat;
+    }
+
+    getTitle() {
+        return "Memory Map Diff";
+    }
+
+    getSubtitle() {
+        return "Added, removed, resized and permission-changed regions between two memory maps";
+    }
+
+    getMaxZoomLevel() {
+        return this.baseFormat.getMaxZoomLevel();
+    }
+
+    getSizeKeyLabels() {
+        return this.baseFormat.getSizeKeyLabels();
+    }
+
+    formatPixelLabel(bytesPerPixel) {
+        return this.baseFormat.formatPixelLabel(bytesPerPixel);
+    }
+
+    formatSquareLabel(bytesPerSquare) {
+        return this.baseFormat.formatSquareLabel(bytesPerSquare);
+    }
+
+    formatZoomedViewLabel(currentRange) {
+        return this.baseFormat.formatZoomedViewLabel(currentRange);
+    }
+
+    formatZoomedViewLabelMobile(currentRange) {
+        return this.baseFormat.formatZoomedViewLabelMobile(currentRange);
+    }
+
+    formatRangeLabel(minAddr, maxAddr) {
+        return this.baseFormat.formatRangeLabel(minAddr, maxAddr);
+    }
+
+    formatSize(mapSize) {
+        return this.baseFormat.formatSize ? this.baseFormat.formatSize(mapSize) : formatBytes(mapSize);
+    }
+
+    formatTooltip(region) {
+        const { status, before, after } = region.diff;
+        const describe = r => r ?
+            `${this.baseFormat.formatRangeLabel(r.start, r.end)} (${this.formatSize(r.end - r.start)}) ${r.name}` : '-';
+
+        let delta = '';
+        if (before && after) {
+            const change = (after.end - after.start) - (before.end - before.start);
+            if (change !== 0) {
+                delta = `<div class="tooltip-size">Size change: ${change > 0 ? '+' : '-'}${this.formatSize(Math.abs(change))}</div>`;
+            }
+        }
+
+        return `
+            <div class="tooltip-diff-status">${DIFF_STATUS_LABELS[status]}</div>
+            <div class="tooltip-address">Before: ${describe(before)}</div>
+            <div class="tooltip-address">After: ${describe(after)}</div>
+            ${delta}
+        `;
+    }
+}
+
+const PAGE_SIZE = 4096;
+const PAGEMAP_MAGIC = 'PAGEMAP1';
+
+// Page states decoded from /proc/pid/pagemap entries.
+const PAGE_ABSENT = 0;
+const PAGE_PRESENT = 1;
+const PAGE_SWAPPED = 2;
+
+// Per-page residency read from /proc/pid/pagemap. The dump layout, which the
+// server's /api/pagemap endpoint also returns, is the 8 byte magic "PAGEMAP1"
+// followed by records of: start address (u64), page count (u64) and that many
+// raw 64-bit pagemap entries, all little-endian.
+class PagemapData {
+    constructor() {
+        this.records = []; // { start, end, states } sorted by start
+    }
+
+    static parse(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const magic = String.fromCharCode(...new Uint8Array(arrayBuffer, 0, Math.min(8, arrayBuffer.byteLength)));
+        if (magic !== PAGEMAP_MAGIC) {
+            throw new Error('Not a pagemap dump');
+        }
+
+        const readU64 = offset => view.getUint32(offset, true) + view.getUint32(offset + 4, true) * Math.pow(2, 32);
+        const pagemap = new PagemapData();
+        let offset = 8;
+
+        while (offset + 16 <= arrayBuffer.byteLength) {
+            const start = readU64(offset);
+            const count = readU64(offset + 8);
+            offset += 16;
+            if (offset + count * 8 > arrayBuffer.byteLength) {
+                throw new Error('Truncated pagemap dump');
+            }
+
+            const states = new Uint8Array(count);
+            for (let i = 0; i < count; i++) {
+                // Bit 63 is "present", bit 62 is "swapped".
+                const high = view.getUint32(offset + i * 8 + 4, true);
+                states[i] = (high & 0x80000000) ? PAGE_PRESENT :
+                            (high & 0x40000000) ? PAGE_SWAPPED : PAGE_ABSENT;
+            }
+            offset += count * 8;
+
+            pagemap.records.push({ start: start, end: start + count * PAGE_SIZE, states: states });
+        }
+
+        pagemap.records.sort((a, b) => a.start - b.start);
+        return pagemap;
+    }
+
+    // Add the records of another dump, e.g. for a newly visited part of the map.
+    merge(other) {
+        this.records = this.records.concat(other.records).sort((a, b) => a.start - b.start);
+    }
+
+    // Whether the range [start, end) is completely covered by records.
+    covers(start, end) {
+        let covered = start;
+        for (const record of this.records) {
+            if (record.start > covered) break;
+            covered = Math.max(covered, record.end);
+            if (covered >= end) return true;
+        }
+        return covered >= end;
+    }
+
+    recordsInRange(start, end) {
+        return this.records.filter(record => record.end > start && record.start < end);
+    }
+}
+
+// Operation names in allocation traces, for allocations and frees.
+const ALLOCATION_OPS = {
+    alloc: 'alloc',
+    malloc: 'alloc',
+    calloc: 'alloc',
+    new: 'alloc',
+    '+': 'alloc',
+    free: 'free',
+    delete: 'free',
+    '-': 'free'
+};
+
+// A heap allocation trace from allocator hooks, with a line per event of
+// "timestamp op address size [stackId]", separated by spaces or commas, such
+// as "12.5 malloc 0x55d4c1a2b2a0 64 7". The size of frees may be left out.
+// A header line and lines starting with # are skipped. Addresses and sizes
+// are BigInts, as real addresses are, and are placed on the map when drawn.
+class AllocationTrace {
+    constructor() {
+        this.events = [];   // { time, op, address, size, stack } in time order
+        this.warnings = []; // { line, text, message } for skipped lines
+        this.replayed = 0;  // Number of events that the live allocations reflect
+        this.live = new Map(); // Address to the event that allocated it
+        this.liveBytes = 0n;
+    }
+
+    static parse(text) {
+        const trace = new AllocationTrace();
+        text.split('\n').forEach((line, i) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) {
+                return;
+            }
+
+            const fields = trimmed.split(/\s*,\s*|\s+/);
+            const time = Number(fields[0]);
+            const op = ALLOCATION_OPS[(fields[1] || '').toLowerCase()];
+            const address = parseHexAddress(fields[2] || '');
+            const size = /^(0x[0-9a-f]+|\d+)$/i.test(fields[3] || '') ? BigInt(fields[3]) : null;
+            if (isNaN(time) || !op || address === null || (op === 'alloc' && size === null)) {
+                if (trace.events.length > 0 || trace.warnings.length > 0 || !isNaN(time)) {
+                    trace.warnings.push({ line: i + 1, text: trimmed, message: 'expected timestamp op address size [stackId]' });
+                }
+                return;
+            }
+            trace.events.push({ time, op, address, size: size || 0n, stack: fields[4] || null });
+        });
+
+        // Threads may log slightly out of order; the sort keeps ties in order
+        trace.events.sort((a, b) => a.time - b.time);
+        return trace;
+    }
+
+    // Replay the first count events, continuing from the previous replay when
+    // moving forward. Frees of addresses allocated before the trace started
+    // are ignored.
+    seek(count) {
+        if (count < this.replayed) {
+            this.replayed = 0;
+            this.live.clear();
+            this.liveBytes = 0n;
+        }
+        for (; this.replayed < Math.min(count, this.events.length); this.replayed++) {
+            const event = this.events[this.replayed];
+            const previous = this.live.get(event.address);
+            if (previous) {
+                this.live.delete(event.address);
+                this.liveBytes -= previous.size;
+            }
+            if (event.op === 'alloc') {
+                this.live.set(event.address, event);
+                this.liveBytes += event.size;
+            }
+        }
+    }
+
+    // Time of the last event replayed, or null before the first.
+    get time() {
+        return this.replayed > 0 ? this.events[this.replayed - 1].time : null;
+    }
+
+    // The live allocations on the map of an address space, as map ranges
+    // { start, end, allocation } sorted by start. Allocations outside the
+    // address space are left out.
+    liveRanges(addressSpace) {
+        const ranges = [];
+        for (const allocation of this.live.values()) {
+            const range = addressSpace.mapRange(allocation.address, allocation.address + allocation.size);
+            if (range) {
+                ranges.push({ start: range.start, end: range.end, allocation: allocation });
+            }
+        }
+        return ranges.sort((a, b) => a.start - b.start);
+    }
+}
+
+// Tooltip lines for a live allocation from an AllocationTrace.
+function formatAllocationInfo(allocation) {
+    const stack = allocation.stack === null ? '' : `, stack ${escapeHtml(allocation.stack)}`;
+    return `
+        <div class="tooltip-allocation">Allocation at 0x${allocation.address.toString(16)}: ${allocation.size} bytes${stack}</div>
+        <div class="tooltip-allocation">Allocated at time ${allocation.time}</div>
+    `;
+}
+
+// ELF file, segment and section constants (see elf(5)).
+const ELF_MAGIC = '\x7fELF';
+const ET_EXEC = 2;
+const ET_DYN = 3;
+const ET_CORE = 4;
+const PT_LOAD = 1;
+const PT_NOTE = 4;
+const PF_X = 1;
+const PF_W = 2;
+const PF_R = 4;
+const NT_FILE = 0x46494c45;
+const SHT_NOBITS = 8;
+const SHF_ALLOC = 0x2;
+const SHF_TLS = 0x400;
+
+// Section flag letters as printed by readelf, by bit.
+const SECTION_FLAG_LETTERS = 'WAX?MSILOGT';
+
+const SECTION_TYPE_NAMES = {
+    1: 'PROGBITS', 2: 'SYMTAB', 3: 'STRTAB', 4: 'RELA', 5: 'HASH', 6: 'DYNAMIC',
+    7: 'NOTE', 8: 'NOBITS', 9: 'REL', 11: 'DYNSYM', 14: 'INIT_ARRAY',
+    15: 'FINI_ARRAY', 16: 'PREINIT_ARRAY', 19: 'RELR', 0x6ffffff6: 'GNU_HASH',
+    0x6ffffffd: 'VERDEF', 0x6ffffffe: 'VERNEED', 0x6fffffff: 'VERSYM'
+};
+
+// Cores keep their headers and notes at the start, so only this much of a
+// large dump needs to be read.
+const MAX_ELF_READ_BYTES = 64 * 1024 * 1024;
+
+// Reader for the parts of 32 and 64-bit ELF files, of either byte order,
+// that the ELF formats need. Accepts a Uint8Array (or Node Buffer) or an
+// ArrayBuffer, which may be truncated after the headers.
+class ElfFile {
+    constructor(data) {
+        this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        if (!ElfFile.isElf(this.bytes)) {
+            throw new Error('Not an ELF file');
+        }
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.is64 = this.bytes[4] === 2;
+        this.littleEndian = this.bytes[5] === 1;
+        this.type = this.u16(16);
+        this.programHeaders = this.readProgramHeaders();
+    }
+
+    static isElf(bytes) {
+        return bytes.length >= (bytes[4] === 2 ? 64 : 52) &&
+            String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) === ELF_MAGIC &&
+            (bytes[4] === 1 || bytes[4] === 2) && (bytes[5] === 1 || bytes[5] === 2);
+    }
+
+    u16(offset) {
+        return this.view.getUint16(offset, this.littleEndian);
+    }
+
+    u32(offset) {
+        return this.view.getUint32(offset, this.littleEndian);
+    }
+
+    u64(offset) {
+        const low = this.view.getUint32(offset + (this.littleEndian ? 0 : 4), this.littleEndian);
+        const high = this.view.getUint32(offset + (this.littleEndian ? 4 : 0), this.littleEndian);
+        return high * Math.pow(2, 32) + low;
+    }
+
+    // A size or offset-sized field.
+    word(offset) {
+        return this.is64 ? this.u64(offset) : this.u32(offset);
+    }
+
+    // An address field, as a BigInt since 64-bit addresses don't fit in
+    // Numbers.
+    address(offset) {
+        return this.is64 ? this.view.getBigUint64(offset, this.littleEndian) : BigInt(this.u32(offset));
+    }
+
+    // NUL-terminated string of at most maxLength bytes.
+    string(offset, maxLength = this.bytes.length - offset) {
+        let end = offset;
+        while (end < offset + maxLength && end < this.bytes.length && this.bytes[end] !== 0) {
+            end++;
+        }
+        return new TextDecoder().decode(this.bytes.subarray(offset, end));
+    }
+
+    readProgramHeaders() {
+        const tableOffset = this.word(this.is64 ? 32 : 28);
+        const entrySize = this.u16(this.is64 ? 54 : 42);
+        const count = this.u16(this.is64 ? 56 : 44);
+        const headers = [];
+
+        for (let i = 0; i < count; i++) {
+            const o = tableOffset + i * entrySize;
+            if (o + entrySize > this.bytes.length) {
+                break; // Truncated file
+            }
+            headers.push(this.is64 ? {
+                type: this.u32(o), flags: this.u32(o + 4), offset: this.u64(o + 8),
+                vaddr: this.address(o + 16), filesz: this.u64(o + 32), memsz: this.u64(o + 40)
+            } : {
+                type: this.u32(o), offset: this.u32(o + 4), vaddr: this.address(o + 8),
+                filesz: this.u32(o + 16), memsz: this.u32(o + 20), flags: this.u32(o + 24)
+            });
+        }
+        return headers;
+    }
+
+    // Section headers with their names, or none if the file has no section
+    // header table or it lies beyond the bytes read.
+    readSectionHeaders() {
+        const tableOffset = this.word(this.is64 ? 40 : 32);
+        const entrySize = this.u16(this.is64 ? 58 : 46);
+        const count = this.u16(this.is64 ? 60 : 48);
+        const namesIndex = this.u16(this.is64 ? 62 : 50);
+        if (tableOffset === 0 || tableOffset + count * entrySize > this.bytes.length) {
+            return [];
+        }
+
+        const headers = [];
+        for (let i = 0; i < count; i++) {
+            const o = tableOffset + i * entrySize;
+            headers.push(this.is64 ? {
+                nameOffset: this.u32(o), type: this.u32(o + 4), flags: this.u64(o + 8),
+                addr: this.address(o + 16), offset: this.u64(o + 24), size: this.u64(o + 32)
+            } : {
+                nameOffset: this.u32(o), type: this.u32(o + 4), flags: this.u32(o + 8),
+                addr: this.address(o + 12), offset: this.u32(o + 16), size: this.u32(o + 20)
+            });
+        }
+
+        const names = headers[namesIndex];
+        for (const header of headers) {
+            header.name = names && names.offset + header.nameOffset < this.bytes.length ?
+                this.string(names.offset + header.nameOffset) : '';
+        }
+        return headers;
+    }
+
+    // Notes from the PT_NOTE segments, as { name, type, offset, size } where
+    // offset and size locate the descriptor.
+    readNotes() {
+        const notes = [];
+        const align = n => (n + 3) & ~3;
+        for (const header of this.programHeaders.filter(header => header.type === PT_NOTE)) {
+            const end = Math.min(header.offset + header.filesz, this.bytes.length);
+            let o = header.offset;
+            while (o + 12 <= end) {
+                const nameSize = this.u32(o);
+                const descSize = this.u32(o + 4);
+                const descOffset = o + 12 + align(nameSize);
+                if (descOffset + descSize > end) {
+                    break;
+                }
+                notes.push({ name: this.string(o + 12, nameSize), type: this.u32(o + 8), offset: descOffset, size: descSize });
+                o = descOffset + align(descSize);
+            }
+        }
+        return notes;
+    }
+
+    // The NT_FILE note of a core: the files mapped into the process, as
+    // { start, end, offset, path } with addresses as BigInts and offset in
+    // bytes.
+    readMappedFiles() {
+        const note = this.readNotes().find(note => note.name === 'CORE' && note.type === NT_FILE);
+        if (!note) {
+            return [];
+        }
+
+        // Count and page size, then start, end and page offset per file,
+        // then the file names.
+        const wordSize = this.is64 ? 8 : 4;
+        const count = this.word(note.offset);
+        const pageSize = this.word(note.offset + wordSize);
+        const files = [];
+        let nameOffset = note.offset + 2 * wordSize + count * 3 * wordSize;
+        for (let i = 0; i < count && nameOffset < note.offset + note.size; i++) {
+            const entry = note.offset + 2 * wordSize + i * 3 * wordSize;
+            const path = this.string(nameOffset, note.offset + note.size - nameOffset);
+            files.push({
+                start: this.address(entry),
+                end: this.address(entry + wordSize),
+                offset: this.word(entry + 2 * wordSize) * pageSize,
+                path: path
+            });
+            nameOffset += new TextEncoder().encode(path).length + 1;
+        }
+        return files;
+    }
+}
+
+// ELF core dumps, as written by the kernel or gcore. Each PT_LOAD segment
+// becomes a region named like a /proc/pid/maps line, after the file from the
+// NT_FILE note that it maps. Segments the kernel left out of the dump (file
+// size 0, see coredump_filter) are drawn hatched.
+class ElfCoreFormat extends ProcMapsFormat {
+    static id = 'core';
+    static maxReadBytes = MAX_ELF_READ_BYTES;
+
+    static detect(lines) {
+        return false;
+    }
+
+    static detectBinary(bytes) {
+        return ElfFile.isElf(bytes) && new ElfFile(bytes).type === ET_CORE;
+    }
+
+    parseBuffer(data) {
+        const elf = new ElfFile(data);
+        useElfAddressWidth(this, elf);
+        const mappedFiles = elf.readMappedFiles();
+        const regions = [];
+
+        for (const header of elf.programHeaders) {
+            if (header.type !== PT_LOAD || header.memsz === 0) {
+                continue;
+            }
+            const rwx = rwxFromSegmentFlags(header.flags);
+            const file = mappedFiles.find(file => file.start <= header.vaddr && header.vaddr < file.end);
+            const region = this.createRegion(header.vaddr, header.vaddr + BigInt(header.memsz),
+                mapsRegionName(header.vaddr, file ? file.path : '', rwx));
+            if (region) {
+                region.dumped = header.filesz > 0;
+                region.dumpedSize = Math.min(header.filesz, header.memsz);
+                region.coreOffset = header.offset;
+                region.permissions = rwx;
+                region.mappedFile = file ? { path: file.path, offset: file.offset + Number(header.vaddr - file.start) } : null;
+                regions.push(region);
+            }
+        }
+        return regions;
+    }
+
+    // The regions as /proc/pid/maps lines, for showing a core in the editor.
+    formatListing(regions) {
+        return regions.map(region => {
+            const file = region.mappedFile;
+            const start = this.addressSpace.addressAt(region.start);
+            const end = this.addressSpace.endAddressAt(region.end);
+            return `${start.toString(16)}-${end.toString(16)} ${region.permissions}p ` +
+                `${(file ? file.offset : 0).toString(16).padStart(8, '0')} 00:00 0` +
+                (file ? ` ${file.path}` : '');
+        }).join('\n') + '\n';
+    }
+
+    getTitle() {
+        return "Core Dump Memory Map";
+    }
+
+    getSubtitle() {
+        return "PT_LOAD segments of an ELF core dump; hatched segments were not dumped";
+    }
+
+    formatTooltip(region) {
+        const size = Number(this.addressSpace.sizeOf(region.start, region.end));
+        const dumped = !region.dumped ? 'Not dumped (filtered out of the core)' :
+            region.dumpedSize < size ? `Dumped: ${formatBytes(region.dumpedSize)} of ${formatBytes(size)}` :
+            'Dumped in full';
+        const file = region.mappedFile ?
+            `<div class="tooltip-core">File offset: 0x${region.mappedFile.offset.toString(16)}</div>` : '';
+        return super.formatTooltip(region) + `
+            <div class="tooltip-core">${dumped}${region.dumped ? ` at core offset 0x${region.coreOffset.toString(16)}` : ''}</div>
+            ${file}
+        `;
+    }
+}
+
+// Show 32-bit ELF files in a 32-bit address space, unless a width was chosen.
+function useElfAddressWidth(format, elf) {
+    if (!elf.is64 && format.options.addressBits === undefined) {
+        format.addressSpace = new AddressSpace(format.addressSpace.id, 32);
+    }
+}
+
+function rwxFromSegmentFlags(flags) {
+    return (flags & PF_R ? 'r' : '-') + (flags & PF_W ? 'w' : '-') + (flags & PF_X ? 'x' : '-');
+}
+
+// Tooltip lines for regions from the Windows formats, or nothing for other
+// regions.
+function formatWindowsInfo(region) {
+    if (!region.windows) {
+        return '';
+    }
+    const { type, state, protect, usage, details } = region.windows;
+    // Usage can be "<unknown>"
+    const fields = [type && `Type: ${type}`, `State: ${state}`, protect && `Protect: ${protect}`,
+        usage && `Usage: ${usage}`].filter(Boolean).join(', ');
+    return `
+        <div class="tooltip-windows">${escapeHtml(fields)}</div>
+        ${details ? `<div class="tooltip-windows">${escapeHtml(details)}</div>` : ''}
+    `;
+}
+
+// Tooltip lines for regions from the macOS vmmap format, or nothing for
+// other regions.
+function formatMacOSInfo(region) {
+    if (!region.macos) {
+        return '';
+    }
+    const { type, maxProtection, sharing, detail } = region.macos;
+    return `
+        <div class="tooltip-macos">Type: ${escapeHtml(type)}, max protection: ${maxProtection}, sharing: ${sharing}</div>
+        ${detail ? `<div class="tooltip-macos">${escapeHtml(detail)}</div>` : ''}
+    `;
+}
+
+// Tooltip lines for regions from the ELF layout format, or nothing for other
+// regions.
+function formatSectionInfo(region) {
+    if (region.section) {
+        const section = region.section;
+        const offset = section.type === 'NOBITS' ? 'not in file' : `0x${section.offset.toString(16)}`;
+        return `
+            <div class="tooltip-section">Section ${escapeHtml(section.name)} (${section.type}), flags ${section.flags || 'none'}</div>
+            <div class="tooltip-section">File offset: ${offset}, in segment ${section.segment}</div>
+        `;
+    }
+    if (region.segment) {
+        return `
+            <div class="tooltip-section">Segment ${region.segment.index} outside any section</div>
+            <div class="tooltip-section">File offset: 0x${region.segment.offset.toString(16)}</div>
+        `;
+    }
+    return '';
+}
+
+// Executables and shared objects (ET_EXEC and ET_DYN): the allocated
+// sections, such as .text, .rodata, .data, .bss, .plt and .got, at their
+// virtual addresses, with the permissions of the PT_LOAD segment they are in.
+// Parts of a segment outside any section, like the ELF headers, are shown as
+// "[LOAD]". Position-independent objects can be moved to a base address,
+// such as where a maps file shows them loaded. Addresses are BigInts until
+// they are placed on the map.
+class ElfLayoutFormat extends DefaultFormat {
+    static id = 'elf';
+
+    static detect(lines) {
+        return false;
+    }
+
+    static detectBinary(bytes) {
+        if (!ElfFile.isElf(bytes)) {
+            return false;
+        }
+        const type = new ElfFile(bytes).type;
+        return type === ET_EXEC || type === ET_DYN;
+    }
+
+    // The base address is a map address, like the start of a region.
+    parseBuffer(data, baseAddress = null) {
+        const elf = new ElfFile(data);
+        useElfAddressWidth(this, elf);
+        const loads = elf.programHeaders.filter(header => header.type === PT_LOAD && header.memsz > 0);
+        if (loads.length === 0) {
+            return [];
+        }
+
+        // Executables stay at their link addresses.
+        const pageSize = BigInt(PAGE_SIZE);
+        const lowest = loads.reduce((min, load) => load.vaddr < min ? load.vaddr : min, loads[0].vaddr);
+        const linkBase = lowest / pageSize * pageSize;
+        const bias = baseAddress === null || elf.type !== ET_DYN ? 0n :
+            this.addressSpace.addressAt(baseAddress) - linkBase;
+
+        // Thread-local .tbss takes no space in the image, so it is left out.
+        const sections = elf.readSectionHeaders()
+            .filter(section => (section.flags & SHF_ALLOC) && section.size > 0 &&
+                !(section.type === SHT_NOBITS && (section.flags & SHF_TLS)))
+            .sort((a, b) => a.addr < b.addr ? -1 : a.addr > b.addr ? 1 : 0);
+
+        const regions = [];
+        const addRegion = (start, end, name, fields) => {
+            const region = this.createRegion(start + bias, end + bias, name);
+            if (region) {
+                regions.push(Object.assign(region, fields));
+            }
+        };
+
+        loads.forEach((load, index) => {
+            const rwx = rwxFromSegmentFlags(load.flags);
+            const loadEnd = load.vaddr + BigInt(load.memsz);
+            const fill = (start, end) => addRegion(start, end, `[LOAD] {${rwx}}`,
+                { segment: { index: index, offset: load.offset + Number(start - load.vaddr) } });
+
+            let cursor = load.vaddr;
+            for (const section of sections.filter(s => s.addr >= load.vaddr && s.addr < loadEnd)) {
+                if (section.addr > cursor) {
+                    fill(cursor, section.addr);
+                }
+                const start = section.addr > cursor ? section.addr : cursor;
+                const sectionEnd = section.addr + BigInt(section.size);
+                const end = sectionEnd < loadEnd ? sectionEnd : loadEnd;
+                if (end > start) {
+                    addRegion(start, end, `${section.name} {${rwx}}`, {
+                        section: {
+                            name: section.name,
+                            type: SECTION_TYPE_NAMES[section.type] || `0x${section.type.toString(16)}`,
+                            flags: formatSectionFlags(section.flags),
+                            offset: section.offset + Number(start - section.addr),
+                            segment: index
+                        }
+                    });
+                    cursor = end;
+                }
+            }
+            if (cursor < loadEnd) {
+                fill(cursor, loadEnd);
+            }
+        });
+        return regions;
+    }
+
+    // The regions as "startAddr endAddr name" lines, for the editor.
+    formatListing(regions) {
+        return regions.map(region => {
+            const start = this.addressSpace.addressAt(region.start);
+            const end = this.addressSpace.endAddressAt(region.end);
+            return `0x${start.toString(16)} 0x${end.toString(16)} ${region.name}`;
+        }).join('\n') + '\n';
+    }
+
+    getTitle() {
+        return "ELF Layout";
+    }
+
+    getSubtitle() {
+        return "Sections of an ELF executable or shared object at their virtual addresses";
+    }
+}
+
+function formatSectionFlags(flags) {
+    let letters = '';
+    for (let bit = 0; bit < SECTION_FLAG_LETTERS.length; bit++) {
+        if (flags & (1 << bit) && SECTION_FLAG_LETTERS[bit] !== '?') {
+            letters += SECTION_FLAG_LETTERS[bit];
+        }
+    }
+    return letters;
+}
+
+// Formats read from the raw bytes of a file rather than from text lines.
+const BINARY_FORMATS = [
+    ElfCoreFormat,
+    ElfLayoutFormat
+];
+
+// Return the binary format class recognizing the start of a file, or null.
+function detectBinaryFormat(bytes) {
+    return BINARY_FORMATS.find(formatClass => formatClass.detectBinary(bytes)) || null;
+}
+
+// Parse file contents given as bytes (a Uint8Array or ArrayBuffer), which may
+// be in a binary format such as an ELF core dump or in any text format. A
+// format id skips detection and options are passed on as in parseMemoryData.
+function parseMemoryBuffer(data, formatId = null, options = {}) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const FormatClass = formatId ?
+        BINARY_FORMATS.find(formatClass => formatClass.id === formatId) :
+        detectBinaryFormat(bytes);
+    if (!FormatClass) {
+        return parseMemoryData(new TextDecoder().decode(bytes), formatId, options);
+    }
+
+    const format = new FormatClass(options);
+    return {
+        regions: format.parseBuffer(bytes).sort((a, b) => a.start - b.start),
+        format: format,
+        warnings: []
+    };
+}
+
+// Formats in order of detection priority. DefaultFormat accepts anything.
+const FORMATS = [
+    JsonFormat,
+    IPv6GeolocationFormat,
+    IPv4GeolocationFormat,
+    SmapsFormat,
+    ProcMapsFormat,
+    WinDbgAddressFormat,
+    VMMapFormat,
+    MacOSVmmapFormat,
+    PmapFormat,
+    GdbMappingsFormat,
+    LldbRegionsFormat,
+    DelimitedFormat,
+    DefaultFormat
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DefaultFormat,
+        ProcMapsFormat,
+        SmapsFormat,
+        WinDbgAddressFormat,
+        VMMapFormat,
+        MacOSVmmapFormat,
+        PmapFormat,
+        GdbMappingsFormat,
+        LldbRegionsFormat,
+        DelimitedFormat,
+        parseColumnMapping,
+        formatColumnMapping,
+        COLUMN_ADDRESS_TYPES,
+        JsonFormat,
+        formatRegionsJson,
+        IPv4GeolocationFormat,
+        IPv6GeolocationFormat,
+        ElfCoreFormat,
+        ElfLayoutFormat,
+        ElfFile,
+        FORMATS,
+        BINARY_FORMATS,
+        detectFormat,
+        detectBinaryFormat,
+        parseMemoryBuffer,
+        MAX_ELF_READ_BYTES,
+        Region,
+        resetColors,
+        generateColorForName,
+        splitRegionName,
+        diffRegions,
+        DiffFormat,
+        DIFF_COLORS,
+        DIFF_STATUS_LABELS,
+        getAlignment,
+        formatBytes,
+        escapeHtml,
+        parseMemoryData,
+        PagemapData,
+        AllocationTrace,
+        PAGEMAP_MAGIC,
+        PAGE_SIZE,
+        PAGE_ABSENT,
+        PAGE_PRESENT,
+        PAGE_SWAPPED,
+        parseIPv4CIDRLine,
+        AddressSpace,
+        ADDRESS_SPACES,
+        DEFAULT_ADDRESS_SPACE,
+        ADDRESS_WIDTHS,
+        DEFAULT_ADDRESS_BITS,
+        parseHexAddress,
+        parseIPv6Address,
+        formatIPv6Address,
+        parseIPv6CIDR,
+        IPV6_DEFAULT_WINDOW
+    };
+}
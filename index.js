@@ -14,53 +14,1087 @@ This assumes you have a 48 bit virtual address space and plots a 1024x1024 map.
 See the .txt files for example inputs. Serves the visualization via HTTP.
 */
 
+const childProcess = require('child_process');
 const fs = require('fs');
 const http = require('http');
+const path = require('path');
+const stream = require('stream');
 const url = require('url');
+const util = require('util');
+const zlib = require('zlib');
+const {
+    parseMemoryData, parseMemoryBuffer, detectFormat, detectBinaryFormat, resetColors,
+    FORMATS, BINARY_FORMATS, PAGEMAP_MAGIC, PAGE_SIZE, AddressSpace, ADDRESS_SPACES, ADDRESS_WIDTHS,
+    parseHexAddress, parseColumnMapping, DelimitedFormat
+} = require('./formats.js');
+const {
+    MAP, zoomStateForAddress, renderMemoryData, renderRegionPixels, drawBackground, RegionIndex
+} = require('./render.js');
 
-function serveFile(res, filepath, contentType, encoding = 'utf8', notFoundStatus = 500) {
+const gunzip = util.promisify(zlib.gunzip);
+const gzip = util.promisify(zlib.gzip);
+
+// Content types worth compressing on the fly.
+const COMPRESSIBLE_TYPE = /^(text\/|application\/(javascript|json))/;
+
+// Pick the first of the given content codings that the client accepts, or
+// null for an uncompressed response.
+function negotiateEncoding(req, available = ['br', 'gzip']) {
+    const accepted = (req.headers['accept-encoding'] || '').split(',')
+        .map(part => part.trim().split(/\s*;\s*q=/))
+        .filter(([coding, q]) => coding && (q === undefined || parseFloat(q) > 0))
+        .map(([coding]) => coding.toLowerCase());
+    return available.find(coding => accepted.includes(coding)) || null;
+}
+
+// Parse a single "bytes=start-end" Range header. Returns null when the
+// whole file should be sent and false when the range can't be satisfied.
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+    let start, end;
+    if (match[1] === '') {
+        // "bytes=-500" is the last 500 bytes.
+        start = Math.max(0, size - Number(match[2]));
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+    return start > end || start >= size ? false : { start, end };
+}
+
+// Added to the ETag of a file for each encoding of its body.
+const ETAG_SUFFIXES = { gzip: '-gz', br: '-br' };
+
+function isNotModified(req, etag, mtime) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        return ifNoneMatch.split(',').some(tag => {
+            tag = tag.trim();
+            return tag === '*' || tag === etag || tag === `W/${etag}`;
+        });
+    }
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+    return !isNaN(ifModifiedSince) && Math.floor(mtime.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+// Stream a file to the client with caching validators, compression and byte
+// ranges. A .gz file is sent as is to clients accepting gzip and
+// decompressed for others.
+async function serveFile(req, res, filepath, contentType, notFoundStatus = 500) {
+    const name = filepath.split('/').pop();
+    let handle;
+    let stats;
     try {
-        const content = fs.readFileSync(filepath, encoding);
-        res.writeHead(200, { 'Content-Type': contentType });
-        res.end(content);
+        handle = await fs.promises.open(filepath, 'r');
+        stats = await handle.stat();
     } catch (error) {
+        if (handle) await handle.close();
         const status = notFoundStatus === 404 ? 404 : 500;
         const message = notFoundStatus === 404 ?
-            `${filepath.split('/').pop()} not found` :
-            `Error loading ${filepath.split('/').pop()}: ${error.message}`;
+            `${name} not found` :
+            `Error loading ${name}: ${error.message}`;
         res.writeHead(status, { 'Content-Type': 'text/plain' });
         res.end(message);
+        return;
+    }
+
+    const headers = { 'Content-Type': contentType, 'Vary': 'Accept-Encoding' };
+    const gzipped = filepath.endsWith('.gz');
+
+    // Files in /proc report a size of 0 and change all the time, so only
+    // ordinary files get validators and ranges. Ranges refer to the bytes on
+    // disk, so they are never compressed.
+    const cacheable = stats.size > 0;
+    const range = cacheable && !gzipped ? parseRange(req.headers.range, stats.size) : null;
+    const encoding = range ? null :
+        gzipped ? negotiateEncoding(req, ['gzip']) :
+        COMPRESSIBLE_TYPE.test(contentType) ? negotiateEncoding(req) : null;
+    if (cacheable) {
+        // Each encoding is a different body, so it gets its own tag.
+        const suffix = encoding ? ETAG_SUFFIXES[encoding] : '';
+        headers['ETag'] = `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}${suffix}"`;
+        headers['Last-Modified'] = stats.mtime.toUTCString();
+        headers['Cache-Control'] = 'no-cache';
+        headers['Accept-Ranges'] = gzipped ? 'none' : 'bytes';
+        if (isNotModified(req, headers['ETag'], stats.mtime)) {
+            await handle.close();
+            res.writeHead(304, headers);
+            res.end();
+            return;
+        }
+    } else {
+        headers['Cache-Control'] = 'no-store';
+    }
+
+    if (range === false) {
+        await handle.close();
+        headers['Content-Range'] = `bytes */${stats.size}`;
+        res.writeHead(416, headers);
+        res.end();
+        return;
+    }
+
+    const source = handle.createReadStream(range ? { start: range.start, end: range.end } : {});
+    const streams = [source];
+    let status = 200;
+    if (range) {
+        status = 206;
+        headers['Content-Range'] = `bytes ${range.start}-${range.end}/${stats.size}`;
+        headers['Content-Length'] = range.end - range.start + 1;
+    } else if (gzipped) {
+        if (encoding) {
+            headers['Content-Length'] = stats.size;
+        } else {
+            streams.push(zlib.createGunzip());
+        }
+    } else if (encoding === 'br') {
+        // The default quality is too slow for compressing on the fly.
+        streams.push(zlib.createBrotliCompress({
+            params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 }
+        }));
+    } else if (encoding === 'gzip') {
+        streams.push(zlib.createGzip());
+    } else if (cacheable) {
+        headers['Content-Length'] = stats.size;
+    }
+    if (encoding) {
+        headers['Content-Encoding'] = encoding;
+    }
+
+    res.writeHead(status, headers);
+    // An error half way through can only be reported by cutting the
+    // response short, which pipeline does.
+    stream.pipeline(...streams, res, () => {});
+}
+
+// Only allow safe filename patterns: letters, numbers, hyphens, underscores,
+// and a single dot for extension.
+const safeFilenamePattern = /^[a-zA-Z0-9_-]+\.[a-zA-Z0-9]+$/;
+
+// How much of a data file is read to detect its format.
+const FORMAT_SNIFF_BYTES = 64 * 1024;
+
+// Open a data file for reading, decompressing .gz files.
+function openDataStream(filepath) {
+    const input = fs.createReadStream(filepath);
+    return filepath.endsWith('.gz') ? stream.pipeline(input, zlib.createGunzip(), () => {}) : input;
+}
+
+// Read up to length bytes from the start of a file.
+async function readFileHead(filepath, length) {
+    const handle = await fs.promises.open(filepath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Read a data file, decompressing .gz files. Of binary formats that only
+// need their headers, such as core dumps, only the start is read.
+async function readDataFile(filepath) {
+    if (filepath.endsWith('.gz')) {
+        return gunzip(await fs.promises.readFile(filepath));
+    }
+    const BinaryFormat = detectBinaryFormat(await readFileHead(filepath, 64));
+    if (BinaryFormat && BinaryFormat.maxReadBytes) {
+        return readFileHead(filepath, BinaryFormat.maxReadBytes);
+    }
+    return fs.promises.readFile(filepath);
+}
+
+function isBinaryFormatId(formatId) {
+    return BINARY_FORMATS.some(formatClass => formatClass.id === formatId);
+}
+
+// Find a data file by name, falling back to a gzipped copy. Returns null if
+// there is neither.
+async function resolveDataFile(dataDir, name) {
+    for (const filepath of [path.join(dataDir, name), path.join(dataDir, `${name}.gz`)]) {
+        try {
+            if ((await fs.promises.stat(filepath)).isFile()) {
+                return filepath;
+            }
+        } catch (error) {
+            // Try the next candidate.
+        }
+    }
+    return null;
+}
+
+// Any text with a comma or tab in its first line parses as delimited, so
+// only files named as such are taken to be; notes and configuration next to
+// the data are not.
+const DELIMITED_EXTENSION_PATTERN = /\.(csv|tsv)(\.gz)?$/i;
+
+// Detect the format of a data file from its beginning and name. Returns the
+// format id, or null for binary files and text in no supported format.
+async function detectFileFormat(filepath) {
+    const chunks = [];
+    let length = 0;
+    for await (const chunk of openDataStream(filepath)) {
+        chunks.push(chunk);
+        length += chunk.length;
+        if (length >= FORMAT_SNIFF_BYTES) break;
+    }
+    const head = Buffer.concat(chunks).subarray(0, FORMAT_SNIFF_BYTES);
+    if (head.includes(0)) {
+        const BinaryFormat = detectBinaryFormat(head);
+        return BinaryFormat ? BinaryFormat.id : null;
+    }
+    const lines = head.toString('utf8').split('\n').filter(line => line.trim());
+    const FormatClass = detectFormat(lines);
+    if (FormatClass === DelimitedFormat && !DELIMITED_EXTENSION_PATTERN.test(filepath)) {
+        return null;
+    }
+    return FormatClass ? FormatClass.id : null;
+}
+
+// Uncompressed size and line count of a data file.
+async function measureDataFile(filepath) {
+    let size = 0;
+    let lines = 0;
+    let lastByte = 0x0a;
+    for await (const chunk of openDataStream(filepath)) {
+        for (let i = 0; i < chunk.length; i++) {
+            if (chunk[i] === 0x0a) lines++;
+        }
+        size += chunk.length;
+        lastByte = chunk[chunk.length - 1];
+    }
+    return { size, lines: lastByte === 0x0a ? lines : lines + 1 };
+}
+
+// Descriptions of data files by path, reused while the file is unchanged so
+// that listing a directory of large files doesn't read them every time.
+const dataFileCache = new Map();
+
+async function describeDataFile(filepath, name) {
+    const stats = await fs.promises.stat(filepath);
+    const cached = dataFileCache.get(filepath);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+        return cached.info;
+    }
+    // Line counts mean nothing for binary files.
+    const format = await detectFileFormat(filepath);
+    const info = format === null ? null :
+        isBinaryFormatId(format) ? { name, format, size: stats.size, lines: null } :
+        { name, format, ...await measureDataFile(filepath) };
+    dataFileCache.set(filepath, { mtimeMs: stats.mtimeMs, size: stats.size, info });
+    return info;
+}
+
+// List the data files in a directory that are in a supported format, with
+// their size and line count. Gzipped files are listed without the .gz, as
+// that is how they are served.
+async function listDataFiles(dataDir) {
+    const entries = await fs.promises.readdir(dataDir, { withFileTypes: true });
+    const files = await Promise.all(entries
+        .filter(entry => entry.isFile() && safeFilenamePattern.test(entry.name.replace(/\.gz$/, '')))
+        .map(entry => describeDataFile(path.join(dataDir, entry.name), entry.name.replace(/\.gz$/, ''))));
+
+    // An uncompressed file takes precedence over a gzipped one of the same name.
+    const byName = new Map();
+    for (const file of files) {
+        if (file !== null && !byName.has(file.name)) {
+            byName.set(file.name, file);
+        }
+    }
+    return Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Names under which the command line files are served: default.txt for the
+// first, then default2.txt, default3.txt and so on.
+function inputFileNames(files) {
+    return new Map(files.map((filepath, index) =>
+        [index === 0 ? 'default.txt' : `default${index + 1}.txt`, filepath]));
+}
+
+// Files in /proc report a size of 0, so measure a command line file by
+// reading it. A format id given on the command line replaces detection and
+// is marked as forced, so that the browser parses the file the same way.
+async function describeCommandLineFile(name, filepath, formatId) {
+    const data = await readDataFile(filepath);
+    const entry = { name: name, description: `Command line file: ${filepath}`, forced: Boolean(formatId) };
+
+    const BinaryFormat = detectBinaryFormat(data);
+    if (BinaryFormat || isBinaryFormatId(formatId)) {
+        const stats = await fs.promises.stat(filepath);
+        return { ...entry, format: formatId || BinaryFormat.id, size: stats.size, lines: null };
+    }
+
+    const content = data.toString('utf8');
+    const FormatClass = detectFormat(content.split('\n').filter(line => line.trim()));
+    return {
+        ...entry,
+        format: formatId || (FormatClass ? FormatClass.id : null),
+        size: data.length,
+        lines: content.split('\n').length - (content.endsWith('\n') ? 1 : 0)
+    };
+}
+
+// Files with at least this many lines are rendered on the server in tiles
+// rather than parsed in the browser.
+const TILED_MIN_LINES = 100000;
+
+// Serve the data file list for the sample dropdown. The command line files,
+// if any, come first. Large files are marked as tiled.
+function serveFileList(res, dataDir, inputFiles, formatId) {
+    const inputEntries = Array.from(inputFiles, ([name, filepath]) =>
+        describeCommandLineFile(name, filepath, formatId).catch(() => null));
+    Promise.all([listDataFiles(dataDir), ...inputEntries]).then(([files, ...inputs]) => {
+        const entries = [...inputs.filter(entry => entry !== null), ...files];
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(entries.map(entry =>
+            ({ ...entry, tiled: entry.lines !== null && entry.lines >= TILED_MIN_LINES }))));
+    }, error => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(`Error listing ${dataDir}: ${error.message}`);
+    });
+}
+
+// Serve a file from the data directory, but only if it is in a supported
+// format so that unrelated files next to the data aren't exposed.
+async function serveDataFile(req, res, dataDir, name) {
+    try {
+        const filepath = await resolveDataFile(dataDir, name);
+        const format = filepath === null ? null : await detectFileFormat(filepath);
+        if (format === null) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end(`${name} not found`);
+            return;
+        }
+        const contentType = isBinaryFormatId(format) ? 'application/octet-stream' : 'text/plain';
+        await serveFile(req, res, filepath, contentType, 404);
+    } catch (error) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end(`${name} not found`);
+    }
+}
+
+// Parsed files by path with a RegionIndex and their rendered tiles, so that
+// a large file is parsed once rather than for every tile. Files are parsed
+// again when they change, and files in /proc, which report a size of 0,
+// every time.
+const parsedFileCache = new Map();
+const MAX_PARSED_FILES = 4;
+
+async function loadParsedFile(filepath, formatId, parseOptions = {}) {
+    const stats = await fs.promises.stat(filepath);
+    const cached = parsedFileCache.get(filepath);
+    const optionsKey = JSON.stringify(parseOptions);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size &&
+        cached.formatId === formatId && cached.optionsKey === optionsKey) {
+        // Keep the most recently used files at the end
+        parsedFileCache.delete(filepath);
+        parsedFileCache.set(filepath, cached);
+        return cached;
+    }
+
+    const data = await readDataFile(filepath);
+    // Colors are assigned afresh to match a fresh page load.
+    resetColors();
+    const { regions, format, warnings } = parseMemoryBuffer(data, formatId, parseOptions);
+    const entry = {
+        mtimeMs: stats.mtimeMs,
+        size: stats.size,
+        formatId: formatId,
+        optionsKey: optionsKey,
+        format: format,
+        warnings: warnings,
+        index: new RegionIndex(regions),
+        tiles: new Map()
+    };
+    if (stats.size > 0) {
+        parsedFileCache.set(filepath, entry);
+        if (parsedFileCache.size > MAX_PARSED_FILES) {
+            parsedFileCache.delete(parsedFileCache.keys().next().value);
+        }
+    }
+    return entry;
+}
+
+// Parse options given in a query, such as window for the IPv6 window, and
+// space and bits for the part of the 64-bit address space and its width, and
+// columns for the column mapping of delimited files.
+function parseOptionsFromQuery(query) {
+    const options = {};
+    if (query.window) {
+        options.ipv6Window = query.window;
+    }
+    if (query.space) {
+        options.addressSpace = query.space;
+    }
+    if (query.bits) {
+        options.addressBits = Number(query.bits);
+    }
+    if (query.columns) {
+        options.columns = query.columns;
+    }
+    return options;
+}
+
+// Look up the command line file or data file named by the file parameter and
+// call serve with it parsed. Like serveDataFile, data files in no supported
+// format are not found.
+async function withParsedFile(res, dataDir, inputFiles, query, formatId, serve) {
+    const name = query.file || '';
+    const isInputFile = inputFiles.has(name);
+    if (!isInputFile && !safeFilenamePattern.test(name)) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end(`Invalid file "${name}"`);
+        return;
+    }
+
+    let filepath = null;
+    try {
+        if (isInputFile) {
+            filepath = inputFiles.get(name);
+        } else {
+            filepath = await resolveDataFile(dataDir, name);
+            if (filepath !== null && await detectFileFormat(filepath) === null) {
+                filepath = null;
+            }
+        }
+    } catch (error) {
+        // Reported as not found below.
+    }
+    if (filepath === null) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end(`${name} not found`);
+        return;
+    }
+
+    let entry;
+    try {
+        // The command line format only applies to command line files.
+        entry = await loadParsedFile(filepath, isInputFile ? formatId : null, parseOptionsFromQuery(query));
+    } catch (error) {
+        const missing = error.code === 'ENOENT';
+        const status = missing ? 404 : error instanceof RangeError ? 400 : 500;
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end(missing ? `${name} not found` : `Error parsing ${name}: ${error.message}`);
+        return;
+    }
+    try {
+        await serve(entry);
+    } catch (error) {
+        // Once the response has started only closing it tells the client.
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end(`Error serving ${name}: ${error.message}`);
+        }
+    }
+}
+
+// Serve the regions of a parsed file as JSON with the detected format, the
+// total region count and warnings for lines that were skipped. With start
+// and end (hex) only the regions overlapping that range are returned, and
+// with index only the region at that position, each with its index.
+function serveRegions(res, name, entry, query) {
+    const { regions } = entry.index;
+    const result = { file: name, format: entry.format.constructor.id, count: regions.length };
+    // The space the file was parsed in, which the file itself can choose, for
+    // the browser's labels and tooltips of the tiles
+    const space = entry.format.addressSpace;
+    if (space) {
+        result.addressSpace = { space: space.id, bits: space.bits };
+    }
+    // Annotations of JSON files, for the tooltips of the regions they cover
+    if (entry.format.annotations) {
+        result.sourceFormat = entry.format.sourceFormat;
+        result.annotations = entry.format.annotations.map(annotation =>
+            ({ start: '0x' + annotation.start.toString(16), end: '0x' + annotation.end.toString(16), text: annotation.text }));
+    }
+
+    if (query.start !== undefined || query.end !== undefined) {
+        const start = parseInt(query.start, 16);
+        const end = parseInt(query.end, 16);
+        if (isNaN(start) || isNaN(end)) {
+            res.writeHead(400, { 'Content-Type': 'text/plain' });
+            res.end('start and end must be hex addresses');
+            return;
+        }
+        result.regions = entry.index.indexesInRange(start, end).map(i => ({ ...regions[i], index: i }));
+    } else if (query.index !== undefined) {
+        const index = Number(query.index);
+        if (!Number.isInteger(index) || index < 0) {
+            res.writeHead(400, { 'Content-Type': 'text/plain' });
+            res.end('index must be a region number');
+            return;
+        }
+        result.regions = index < regions.length ? [{ ...regions[index], index: index }] : [];
+    } else {
+        result.regions = regions;
+        result.warnings = entry.warnings;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+}
+
+// Rendered tiles kept per parsed file, gzipped.
+const MAX_CACHED_TILES = 64;
+
+// Serve the map pixels of one view of a parsed file: the grid square at the
+// given zoom level containing minAddr (hex), as raw RGBA bytes of
+// MAP.WIDTH x MAP.HEIGHT. The browser draws them with renderMapTile.
+async function serveTile(req, res, entry, query) {
+    const level = query.level === undefined ? 0 : Number(query.level);
+    const address = query.minAddr === undefined ? 0 : parseInt(query.minAddr, 16);
+    const colorMode = query.color === 'resident' ? 'resident' : 'name';
+    const maxLevel = entry.format.getMaxZoomLevel();
+
+    if (!Number.isInteger(level) || level < 0 || level > maxLevel || isNaN(address)) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end(`Expected a level between 0 and ${maxLevel} and a hex minAddr`);
+        return;
+    }
+
+    const zoomState = zoomStateForAddress(level, address);
+    const key = `${level}:${zoomState.minAddr}:${colorMode}`;
+    let tile = entry.tiles.get(key);
+    if (tile) {
+        entry.tiles.delete(key);
+    } else {
+        const pixels = new Uint8ClampedArray(MAP.WIDTH * MAP.HEIGHT * 4);
+        const visible = entry.index.atLevel(level).regionsInRange(zoomState.minAddr, zoomState.maxAddr);
+        renderRegionPixels(pixels, visible, zoomState, colorMode);
+        // Mostly runs of the same color, which compress very well.
+        tile = await gzip(Buffer.from(pixels.buffer));
+        if (entry.tiles.size >= MAX_CACHED_TILES) {
+            entry.tiles.delete(entry.tiles.keys().next().value);
+        }
+    }
+    entry.tiles.set(key, tile);
+
+    const headers = { 'Content-Type': 'application/octet-stream', 'Vary': 'Accept-Encoding' };
+    if (negotiateEncoding(req, ['gzip'])) {
+        headers['Content-Encoding'] = 'gzip';
+        res.writeHead(200, headers);
+        res.end(tile);
+    } else {
+        res.writeHead(200, headers);
+        res.end(await gunzip(tile));
+    }
+}
+
+// Largest data file that can be saved from the browser.
+const MAX_SAVE_BYTES = 64 * 1024 * 1024;
+
+function readRequestBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let length = 0;
+        req.on('data', chunk => {
+            length += chunk.length;
+            if (length > limit) {
+                reject(new RangeError(`Request body is larger than ${limit} bytes`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// Extensions of the files that the editor text can be saved as, so that
+// saving can't replace code or configuration next to the data.
+const SAVE_EXTENSION_PATTERN = /\.(txt|csv|tsv|json)$/i;
+
+// Save text posted from the editor as a data file. The text must parse as
+// one of the supported formats, and an existing file is only replaced when
+// the overwrite parameter is set and it is a data file itself.
+async function saveDataFile(req, res, dataDir, query, inputFiles) {
+    const name = query.name || '';
+    if (!safeFilenamePattern.test(name) || !SAVE_EXTENSION_PATTERN.test(name)) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end(`Invalid file name "${name}", use a .txt, .csv, .tsv or .json name`);
+        return;
+    }
+    if (inputFiles.has(name)) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end(`${name} is a command line file, choose another name`);
+        return;
+    }
+
+    let content;
+    try {
+        content = await readRequestBody(req, MAX_SAVE_BYTES);
+    } catch (error) {
+        res.writeHead(error instanceof RangeError ? 413 : 500, { 'Content-Type': 'text/plain' });
+        res.end(error.message);
+        return;
+    }
+
+    const lines = content.split('\n').filter(line => line.trim());
+    const FormatClass = detectFormat(lines);
+    // The regions may all be in one half of the address space, such as the
+    // kernel half. Both canonical halves at the widest cover all canonical
+    // addresses, so one parse finds them wherever they are.
+    const hasRegions = FormatClass !== null && parseMemoryData(content, null,
+        { addressSpace: 'canonical', addressBits: Math.max(...ADDRESS_WIDTHS) }).regions.length > 0;
+    if (!hasRegions) {
+        res.writeHead(422, { 'Content-Type': 'text/plain' });
+        res.end('The text contains no regions in a supported format');
+        return;
+    }
+    if (FormatClass === DelimitedFormat && !DELIMITED_EXTENSION_PATTERN.test(name)) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Comma or tab separated text must be saved with a .csv or .tsv name');
+        return;
+    }
+
+    const filepath = path.join(dataDir, name);
+    // A gzipped copy is served under the same name, so it counts as the file
+    // being there too; a plain file saved next to it would shadow it.
+    const existing = await resolveDataFile(dataDir, name);
+    if (existing !== null && await detectFileFormat(existing) === null) {
+        res.writeHead(403, { 'Content-Type': 'text/plain' });
+        res.end(`${name} exists and is not a data file`);
+        return;
+    }
+    if (existing !== null && query.overwrite !== '1') {
+        res.writeHead(409, { 'Content-Type': 'text/plain' });
+        res.end(`${name} already exists`);
+        return;
+    }
+    try {
+        // The wx flag fails instead of replacing an existing file.
+        await fs.promises.writeFile(filepath, content, { flag: query.overwrite === '1' ? 'w' : 'wx' });
+    } catch (error) {
+        if (error.code === 'EEXIST') {
+            res.writeHead(409, { 'Content-Type': 'text/plain' });
+            res.end(`${name} already exists`);
+        } else {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end(`Error saving ${name}: ${error.message}`);
+        }
+        return;
+    }
+
+    res.writeHead(201, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ name: name, format: FormatClass.id, size: Buffer.byteLength(content) }));
+}
+
+// Describe a running process for the process picker. Processes whose maps
+// can't be read are still listed, with the reason in the error field.
+async function describeProcess(pid) {
+    const dir = `/proc/${pid}`;
+    const info = { pid: pid, comm: '', cmdline: '', vmSize: null, readable: false, error: null };
+
+    try {
+        info.comm = (await fs.promises.readFile(`${dir}/comm`, 'utf8')).trim();
+        info.cmdline = (await fs.promises.readFile(`${dir}/cmdline`, 'utf8'))
+            .split('\0').join(' ').trim();
+        const status = await fs.promises.readFile(`${dir}/status`, 'utf8');
+        const vmSizeMatch = status.match(/^VmSize:\s+(\d+) kB/m);
+        if (vmSizeMatch) {
+            info.vmSize = parseInt(vmSizeMatch[1]) * 1024;
+        }
+    } catch (error) {
+        // The process exited while we were looking at it.
+        return null;
+    }
+
+    // Opening maps is what checks the ptrace permissions, so actually try it.
+    let handle = null;
+    try {
+        handle = await fs.promises.open(`${dir}/maps`, 'r');
+        await handle.read(Buffer.alloc(1), 0, 1, 0);
+        info.readable = true;
+    } catch (error) {
+        info.error = error.code === 'EACCES' || error.code === 'EPERM' ?
+            'Permission denied' : error.message;
+    } finally {
+        if (handle) await handle.close();
     }
+
+    return info;
+}
+
+async function listProcesses() {
+    const entries = await fs.promises.readdir('/proc');
+    const pids = entries.filter(name => /^\d+$/.test(name)).map(name => parseInt(name));
+    const processes = await Promise.all(pids.map(describeProcess));
+    return processes.filter(info => info !== null).sort((a, b) => a.pid - b.pid);
+}
+
+// Whether a request came from this machine. The process list, maps and
+// pagemaps of local processes are only served to other machines with
+// --allow-processes, as they reveal command lines and memory layouts.
+function isLoopbackRequest(req) {
+    const address = req.socket.remoteAddress || '';
+    return address === '::1' || /^(::ffff:)?127\./.test(address);
 }
 
-function startServer(port = 8080, commandLineFile = null) {
+function serveProcessList(res) {
+    listProcesses().then(processes => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(processes));
+    }, error => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(`Error listing processes: ${error.message}`);
+    });
+}
+
+// Serve /proc/<pid>/maps or smaps of a local process with a clear message
+// when it can't be read.
+function serveProcessMaps(res, pid, file) {
+    const filepath = `/proc/${pid}/${file}`;
+    fs.readFile(filepath, 'utf8', (error, content) => {
+        if (!error) {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end(content);
+        } else if (error.code === 'EACCES' || error.code === 'EPERM') {
+            res.writeHead(403, { 'Content-Type': 'text/plain' });
+            res.end(`Permission denied reading ${filepath}: ` +
+                    'run the server as the same user as the process, or as root');
+        } else if (error.code === 'ENOENT') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end(`No process with pid ${pid}`);
+        } else {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end(`Error loading ${filepath}: ${error.message}`);
+        }
+    });
+}
+
+// Largest range served from /api/pagemap in one request (8 MiB of entries).
+const MAX_PAGEMAP_PAGES = 1024 * 1024;
+
+// Serve the pagemap entries of a process for an address range, in the dump
+// layout understood by PagemapData: magic, then one record of start address,
+// page count and raw entries. Saving the response gives a reusable dump.
+function servePagemap(res, query) {
+    const pid = query.pid || '';
+    const start = Math.floor(parseInt(query.start, 16) / PAGE_SIZE) * PAGE_SIZE;
+    const end = Math.ceil(parseInt(query.end, 16) / PAGE_SIZE) * PAGE_SIZE;
+    const pageCount = (end - start) / PAGE_SIZE;
+
+    if (!/^\d+$/.test(pid) || isNaN(start) || isNaN(end) || end <= start) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Expected pid, start and end (hex) parameters');
+        return;
+    }
+    if (pageCount > MAX_PAGEMAP_PAGES) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end(`At most ${MAX_PAGEMAP_PAGES} pages can be requested at once`);
+        return;
+    }
+    // The pagemap only covers user addresses, whose entries lie at offsets
+    // that are safe integers; kernel addresses would be past them.
+    if (!Number.isSafeInteger(end)) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Pagemaps are only read for user addresses');
+        return;
+    }
+
+    const filepath = `/proc/${pid}/pagemap`;
+    const buffer = Buffer.alloc(8 + 16 + pageCount * 8);
+    buffer.write(PAGEMAP_MAGIC, 0, 'latin1');
+    buffer.writeBigUInt64LE(BigInt(start), 8);
+    buffer.writeBigUInt64LE(BigInt(pageCount), 16);
+
+    fs.open(filepath, 'r', (error, fd) => {
+        if (error) {
+            const denied = error.code === 'EACCES' || error.code === 'EPERM';
+            res.writeHead(denied ? 403 : 404, { 'Content-Type': 'text/plain' });
+            res.end(denied ? `Permission denied reading ${filepath}` : `No process with pid ${pid}`);
+            return;
+        }
+        // Closes the file however the read ends
+        const readDone = (error, bytesRead) => {
+            fs.close(fd, () => {});
+            if (error) {
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+                res.end(`Error reading ${filepath}: ${error.message}`);
+                return;
+            }
+            // A read near the end of the address space can return fewer
+            // entries than asked for; only send the ones that were read.
+            const pagesRead = Math.floor(bytesRead / 8);
+            buffer.writeBigUInt64LE(BigInt(pagesRead), 16);
+            res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+            res.end(buffer.subarray(0, 24 + pagesRead * 8));
+        };
+        // Each page has an 8 byte entry at (address / page size) * 8.
+        try {
+            fs.read(fd, buffer, 24, pageCount * 8, (start / PAGE_SIZE) * 8, readDone);
+        } catch (error) {
+            readDone(error);
+        }
+    });
+}
+
+// Poll a file (typically /proc/<pid>/maps) and push its contents to every
+// connected browser as a Server-Sent Event whenever it changes.
+function createLiveWatcher(filepath, interval) {
+    const clients = new Set();
+    let lastContent = null;
+    let finished = false;
+
+    function send(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    function broadcast(event, data) {
+        for (const res of clients) {
+            send(res, event, data);
+        }
+    }
+
+    function poll() {
+        fs.readFile(filepath, 'utf8', (error, content) => {
+            if (finished) return;
+            if (error) {
+                // The process has most likely exited, so there is nothing
+                // more to watch.
+                finished = true;
+                clearInterval(timer);
+                broadcast('gone', `Cannot read ${filepath}: ${error.message}`);
+                return;
+            }
+            if (content !== lastContent) {
+                lastContent = content;
+                broadcast('maps', content);
+            }
+        });
+    }
+
+    const timer = setInterval(poll, interval);
+    poll();
+
+    return {
+        addClient(req, res) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+            clients.add(res);
+            if (lastContent !== null) {
+                send(res, 'maps', lastContent);
+            }
+            req.on('close', () => clients.delete(res));
+        },
+
+        stop() {
+            finished = true;
+            clearInterval(timer);
+            for (const res of clients) {
+                res.end();
+            }
+            clients.clear();
+        }
+    };
+}
+
+// Render the map with grid and scale key exactly like the desktop browser
+// view, returning a node-canvas canvas. Content is text or, for binary
+// formats such as core dumps, a Buffer. Options are passed on to
+// renderMemoryData, e.g. { colorMode: 'resident' }, and to the input format,
+// e.g. { ipv6Window: '2000::/3' }. The format option forces the input format
+// as in parseMemoryData.
+function renderMapCanvas(content, level = 0, address = 0, options = {}) {
+    // Start color assignment afresh so colors match a fresh page load.
+    resetColors();
+    const { regions, format } = typeof content === 'string' ?
+        parseMemoryData(content, options.format, options) : parseMemoryBuffer(content, options.format, options);
+    return renderRegionsCanvas(regions, format, level, address, options);
+}
+
+// Render regions already parsed in the given format like renderMapCanvas.
+function renderRegionsCanvas(regions, format, level = 0, address = 0, options = {}) {
+    // Only needed for server-side rendering, so load it on first use.
+    const { createCanvas } = require('canvas');
+
+    const maxLevel = format.getMaxZoomLevel();
+    if (!Number.isInteger(level) || level < 0 || level > maxLevel) {
+        throw new RangeError(`Zoom level must be between 0 and ${maxLevel}`);
+    }
+    const zoomState = zoomStateForAddress(level, address);
+
+    const width = MAP.WIDTH + MAP.BORDER_LEFT + MAP.BORDER_RIGHT_DESKTOP;
+    const height = MAP.HEIGHT + MAP.BORDER_TOP + MAP.BORDER_BOTTOM;
+
+    const mapCanvas = createCanvas(MAP.WIDTH, MAP.HEIGHT);
+    renderMemoryData(mapCanvas.getContext('2d'), regions, zoomState, options);
+
+    const backgroundCanvas = createCanvas(width, height);
+    drawBackground(backgroundCanvas.getContext('2d'), format, zoomState);
+
+    // The background has a transparent hole for the map and sits on top of
+    // it, just like the two stacked canvases in the browser.
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(mapCanvas, MAP.BORDER_LEFT, MAP.BORDER_TOP);
+    ctx.drawImage(backgroundCanvas, 0, 0);
+    return canvas;
+}
+
+// Serve a parsed file (see withParsedFile) rendered as a PNG image.
+function serveRenderedPng(res, name, entry, query) {
+    const level = query.level === undefined ? 0 : Number(query.level);
+    const address = query.minAddr === undefined ? 0 : parseInt(query.minAddr, 16);
+
+    if (isNaN(address)) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('minAddr must be a hex address');
+        return;
+    }
+
+    let png;
+    try {
+        const options = { colorMode: query.color === 'resident' ? 'resident' : 'name' };
+        png = renderRegionsCanvas(entry.index.regions, entry.format, level, address, options).toBuffer('image/png');
+    } catch (error) {
+        const status = error instanceof RangeError ? 400 : 500;
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end(`Error rendering ${name}: ${error.message}`);
+        return;
+    }
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(png);
+}
+
+// Render a data file and write the image to disk. The image type follows the
+// output file extension.
+async function exportImage(inputFile, outputFile, level = 0, address = 0, options = {}) {
+    const content = await readDataFile(inputFile);
+    const canvas = renderMapCanvas(content, level, address, options);
+    const mimeType = /\.jpe?g$/i.test(outputFile) ? 'image/jpeg' : 'image/png';
+    await fs.promises.writeFile(outputFile, canvas.toBuffer(mimeType));
+}
+
+// Open a URL in the desktop's web browser, if there is one.
+function openBrowser(address) {
+    const [command, args] = process.platform === 'darwin' ? ['open', [address]] :
+        process.platform === 'win32' ? ['cmd', ['/c', 'start', '', address]] :
+        ['xdg-open', [address]];
+    const child = childProcess.spawn(command, args, { detached: true, stdio: 'ignore' });
+    child.on('error', error => console.error(`Could not open a browser: ${error.message}`));
+    child.unref();
+}
+
+// Options:
+//   port, host    where to listen (default: port 8080 on all interfaces)
+//   files         input files, served as default.txt, default2.txt, ...
+//   format        format id that the input files are parsed as
+//   watchInterval poll interval in ms for watching the input files (0: off)
+//   dataDir       directory of data files offered in the browser, where the
+//                 editor text can be saved too (default: the current
+//                 directory, without saving)
+//   open          open the map in a browser once listening
+//   allowProcesses  serve local processes and their maps to other machines
+//                 too, not just to browsers on this one
+function startServer(options = {}) {
+    const port = options.port === undefined ? 8080 : options.port;
+    const host = options.host || undefined;
+    const inputFiles = inputFileNames(options.files || []);
+    const formatId = options.format || null;
+    const watchInterval = options.watchInterval || 0;
+    const dataDir = path.resolve(options.dataDir || process.cwd());
+    // The current directory is usually this checkout, so only a directory
+    // chosen for data can be written to.
+    const canSave = options.dataDir !== undefined;
+    const allowProcesses = options.allowProcesses || false;
+
+    // In live mode the input files are re-read periodically and changes are
+    // streamed to the browser on /events?file=<name>.
+    const watchers = new Map();
+    if (watchInterval > 0) {
+        for (const [name, filepath] of inputFiles) {
+            watchers.set(name, createLiveWatcher(filepath, watchInterval));
+        }
+    }
+
     const server = http.createServer((req, res) => {
       const parsedUrl = url.parse(req.url, true);
-
-      // Only allow safe filename patterns: letters, numbers, hyphens,
-      // underscores, and a single dot for extension
-      const safeFilenamePattern = /^\/[a-zA-Z0-9_-]+\.[a-zA-Z0-9]+$/;
+      const requestedFile = parsedUrl.pathname.substring(1); // Remove initial slash.
 
       if (parsedUrl.pathname === '/') {
         // Serve HTML page from file.
-        serveFile(res, 'index.html', 'text/html');
+        serveFile(req, res, path.join(__dirname, 'index.html'), 'text/html');
       } else if (parsedUrl.pathname === '/client.js') {
         // Serve client-side JavaScript.
-        serveFile(res, 'client.js', 'application/javascript');
+        serveFile(req, res, path.join(__dirname, 'client.js'), 'application/javascript');
+      } else if (parsedUrl.pathname === '/formats.js') {
+        // Serve input format parsers shared with the server.
+        serveFile(req, res, path.join(__dirname, 'formats.js'), 'application/javascript');
+      } else if (parsedUrl.pathname === '/render.js') {
+        // Serve rendering code shared with the server.
+        serveFile(req, res, path.join(__dirname, 'render.js'), 'application/javascript');
       } else if (parsedUrl.pathname === '/styles.css') {
         // Serve CSS stylesheet.
-        serveFile(res, 'styles.css', 'text/css');
+        serveFile(req, res, path.join(__dirname, 'styles.css'), 'text/css');
       } else if (parsedUrl.pathname === '/favicon.ico') {
         // Serve favicon (actually a PNG file).
-        serveFile(res, 'favicon.ico', 'image/png', null, 404);
-      } else if (parsedUrl.pathname === '/default.txt' && commandLineFile) {
-        // Serve command line file when default.txt is requested
-        serveFile(res, commandLineFile, 'text/plain', 'utf8', 404);
-      } else if (safeFilenamePattern.test(parsedUrl.pathname)) {
+        serveFile(req, res, path.join(__dirname, 'favicon.ico'), 'image/png', 404);
+      } else if (inputFiles.has(requestedFile)) {
+        // Serve a command line file as default.txt, default2.txt, ...
+        serveFile(req, res, inputFiles.get(requestedFile), 'text/plain', 404);
+      } else if (parsedUrl.pathname === '/render.png') {
+        // Render a command line file or data file on the server.
+        withParsedFile(res, dataDir, inputFiles, parsedUrl.query, formatId,
+          entry => serveRenderedPng(res, parsedUrl.query.file, entry, parsedUrl.query));
+      } else if (parsedUrl.pathname === '/api/files' && req.method === 'POST') {
+        // Save the editor text as a data file.
+        if (canSave) {
+          saveDataFile(req, res, dataDir, parsedUrl.query, inputFiles).catch(error => {
+            if (res.headersSent) {
+              res.destroy(error);
+            } else {
+              res.writeHead(500, { 'Content-Type': 'text/plain' });
+              res.end(`Error saving ${parsedUrl.query.name}: ${error.message}`);
+            }
+          });
+        } else {
+          res.writeHead(403, { 'Content-Type': 'text/plain' });
+          res.end('Saving needs a data directory, start the server with --data-dir');
+        }
+      } else if (parsedUrl.pathname === '/api/files') {
+        // List the data files for the sample dropdown.
+        serveFileList(res, dataDir, inputFiles, formatId);
+      } else if (parsedUrl.pathname === '/api/regions') {
+        // Regions of a data file parsed on the server.
+        withParsedFile(res, dataDir, inputFiles, parsedUrl.query, formatId,
+          entry => serveRegions(res, parsedUrl.query.file, entry, parsedUrl.query));
+      } else if (parsedUrl.pathname === '/api/tiles') {
+        // Map pixels of one view of a large file, rendered on the server.
+        withParsedFile(res, dataDir, inputFiles, parsedUrl.query, formatId,
+          entry => serveTile(req, res, entry, parsedUrl.query));
+      } else if ((parsedUrl.pathname === '/api/processes' || parsedUrl.pathname === '/api/pagemap' ||
+                  /^\/proc\//.test(parsedUrl.pathname)) &&
+                 !allowProcesses && !isLoopbackRequest(req)) {
+        res.writeHead(403, { 'Content-Type': 'text/plain' });
+        res.end('Local processes are only shown on this machine, start the server with --allow-processes');
+      } else if (parsedUrl.pathname === '/api/processes') {
+        // List local processes for the process picker.
+        serveProcessList(res);
+      } else if (/^\/proc\/\d+\/s?maps$/.test(parsedUrl.pathname)) {
+        // Serve the maps of a local process picked in the browser.
+        const [, , pid, file] = parsedUrl.pathname.split('/');
+        serveProcessMaps(res, pid, file);
+      } else if (parsedUrl.pathname === '/api/pagemap') {
+        // Page residency of a local process for the page overlay.
+        servePagemap(res, parsedUrl.query);
+      } else if (parsedUrl.pathname === '/events' && watchers.has(parsedUrl.query.file || 'default.txt')) {
+        // Stream updates of a command line file in live mode.
+        watchers.get(parsedUrl.query.file || 'default.txt').addClient(req, res);
+      } else if (safeFilenamePattern.test(requestedFile)) {
         // Serve data files - validate filename with strict pattern matching
-        const requestedFile = parsedUrl.pathname.substring(1); // Remove initial slash.
-
-        serveFile(res, `${requestedFile}`, 'text/plain', 'utf8', 404);
+        serveDataFile(req, res, dataDir, requestedFile);
       } else {
         // 404 for other paths.
         res.writeHead(404, { 'Content-Type': 'text/plain' });
@@ -68,84 +1102,377 @@ function startServer(port = 8080, commandLineFile = null) {
       }
     });
 
-    server.listen(port, () => {
-      console.log(`Memory map server running at http://localhost:${port}/`);
+    server.listen(port, host, () => {
+      const wildcard = !host || host === '0.0.0.0' || host === '::';
+      const base = `http://${wildcard ? 'localhost' : host}:${server.address().port}/`;
+      const suggestions = [];  // [label, url]
+      for (const [name, filepath] of inputFiles) {
+        if (watchers.has(name)) {
+          // Live mode on /proc/<pid>/maps also offers that process's page overlay.
+          const pidMatch = filepath.match(/^\/proc\/(\d+)\/s?maps$/);
+          const pidParam = pidMatch ? `&pid=${pidMatch[1]}` : '';
+          suggestions.push([`📡 Live ${filepath}`, `${base}?file=${name}&live=1${pidParam}`]);
+        } else {
+          suggestions.push([`📁 ${filepath}`, `${base}?file=${name}`]);
+        }
+      }
+      if (suggestions.length === 0) {
+        suggestions.push(['📂 Data files (see "Load Sample...")', base]);
+      }
+
+      console.log(`Memory map server running at ${base}`);
+      console.log(`Serving data files from ${dataDir}`);
       console.log(`\nTry these visualizations:`);
-      if (commandLineFile) {
-        console.log(`📁 Command Line File:   http://localhost:${port}/?file=default.txt`);
-      } else {
-        console.log(`🎮 Chrome Memory Map:    http://localhost:${port}/?file=chrome-maps.txt`);
-        console.log(`🌍 IPv4 GeoIP Data:     http://localhost:${port}/?file=geoip2-ipv4.csv`);
+      for (const [label, address] of suggestions) {
+        console.log(`${label}:  ${address}`);
+      }
+
+      if (options.open) {
+        openBrowser(suggestions[0][1]);
       }
     });
 
+    server.on('close', () => watchers.forEach(watcher => watcher.stop()));
+
     return server;
 }
 
 // CLI interface.
+
+// Command line options. Each can also be given in a JSON config file under
+// its name in camelCase, e.g. "dataDir".
+const CLI_OPTIONS = [
+  { name: 'port', arg: '<n>', type: 'port', description: 'HTTP server port (default: 8080)' },
+  { name: 'host', arg: '<host>', type: 'string', description: 'Address to listen on (default: all interfaces)' },
+  { name: 'data-dir', arg: '<dir>', type: 'path', description: 'Directory of data files offered in the browser, enables saving (default: .)' },
+  { name: 'format', arg: '<id>', type: 'choice', choices: [...FORMATS, ...BINARY_FORMATS].map(formatClass => formatClass.id),
+    description: 'Parse the input files as this format instead of detecting it' },
+  { name: 'watch', type: 'boolean', description: 'Re-read the input files every second and stream changes to the browser' },
+  { name: 'pid', arg: '<pid>', type: 'integer', description: 'Add /proc/<pid>/maps as an input file and watch it' },
+  { name: 'allow-processes', type: 'boolean',
+    description: 'Let other machines list local processes and read their maps (default: this machine only)' },
+  { name: 'open', type: 'boolean', description: 'Open the map in a web browser once the server is running' },
+  { name: 'config', arg: '<file>', type: 'path', description: 'Read options from a JSON config file' },
+  { name: 'export', arg: '<image>', type: 'path', description: 'Write the rendered map (.png or .jpg) to a file and exit' },
+  { name: 'level', arg: '<n>', type: 'integer', description: 'Zoom level of the exported image (default: 0)' },
+  { name: 'addr', arg: '<hex>', type: 'hex', description: 'Address inside the exported zoomed view (default: 0x0)' },
+  { name: 'space', arg: '<space>', type: 'choice', choices: Object.keys(ADDRESS_SPACES),
+    description: 'Part of the 64-bit address space to export (default: user)' },
+  { name: 'bits', arg: '<n>', type: 'integer', description: `Width of the exported address space: ${ADDRESS_WIDTHS.join(', ')} (default: 48)` },
+  { name: 'color', arg: '<mode>', type: 'choice', choices: ['name', 'resident'],
+    description: 'Color exported regions by region name (default) or resident fraction' },
+  { name: 'columns', arg: '<mapping>', type: 'string',
+    description: 'Columns of an exported CSV or TSV file, e.g. start:0;size:1;label:2;type:hex' },
+  { name: 'help', alias: '-h', type: 'boolean', description: 'Show this help and exit' }
+];
+
+// Where --addr is on the map of the exported address space (the start of the
+// map without it), or null if it is outside that space.
+function exportMapAddress(settings) {
+  if (settings.addr === undefined) {
+    return 0;
+  }
+  const space = new AddressSpace(settings.space, settings.bits);
+  const range = space.mapRange(settings.addr, settings.addr + 1n);
+  return range && range.start;
+}
+
+// Options that only make sense together with --export.
+const EXPORT_ONLY_OPTIONS = ['level', 'addr', 'space', 'bits', 'color', 'columns'];
+
+// A mistake on the command line or in the config file.
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function camelCase(name) {
+  return name.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+}
+
+// Check and convert an option value from the command line (always a string)
+// or a config file (any JSON value). Source names the option in errors.
+function convertOptionValue(option, value, source) {
+  const text = typeof value === 'number' ? String(value) : value;
+  switch (option.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw new UsageError(`${source} must be true or false`);
+      }
+      return value;
+    case 'integer':
+    case 'port': {
+      if (typeof text !== 'string' || !/^\d+$/.test(text)) {
+        throw new UsageError(`${source} must be a non-negative integer, not ${JSON.stringify(value)}`);
+      }
+      const number = parseInt(text, 10);
+      if (option.type === 'port' && number > 65535) {
+        throw new UsageError(`${source} must be a port number between 0 and 65535`);
+      }
+      return number;
+    }
+    case 'hex':
+      if (typeof text !== 'string' || !/^(0x)?[0-9a-f]+$/i.test(text)) {
+        throw new UsageError(`${source} must be a hex address, not ${JSON.stringify(value)}`);
+      }
+      // A BigInt, as 64-bit addresses don't fit in a Number
+      return parseHexAddress(text);
+    case 'choice':
+      if (!option.choices.includes(value)) {
+        throw new UsageError(`${source} must be one of ${option.choices.join(', ')}, not ${JSON.stringify(value)}`);
+      }
+      return value;
+    default:
+      if (typeof value !== 'string' || value === '') {
+        throw new UsageError(`${source} must be a non-empty string`);
+      }
+      return value;
+  }
+}
+
+// Parse command line arguments into options, keyed by camelCase name, and
+// input files. Options may be written as "--port 3000" or "--port=3000";
+// everything after "--" is a file.
+function parseCommandLine(args) {
+  const options = {};
+  const files = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') {
+      files.push(...args.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      files.push(arg);
+      continue;
+    }
+
+    const equals = arg.indexOf('=');
+    const flag = equals === -1 ? arg : arg.substring(0, equals);
+    const inlineValue = equals === -1 ? undefined : arg.substring(equals + 1);
+    const option = CLI_OPTIONS.find(candidate => `--${candidate.name}` === flag || candidate.alias === flag);
+    if (!option) {
+      throw new UsageError(`Unknown option ${flag}`);
+    }
+
+    let value;
+    if (option.type === 'boolean') {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`${flag} does not take a value`);
+      }
+      value = true;
+    } else if (inlineValue !== undefined) {
+      value = inlineValue;
+    } else if (i + 1 < args.length) {
+      value = args[++i];
+    } else {
+      throw new UsageError(`${flag} requires a value`);
+    }
+    options[camelCase(option.name)] = convertOptionValue(option, value, flag);
+  }
+
+  return { options, files };
+}
+
+// Read options and files from a JSON config file. Relative paths in it are
+// relative to the config file.
+function loadConfigFile(configFile) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`Cannot read config file ${configFile}: ${error.message}`);
+  }
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    throw new UsageError(`Config file ${configFile} must contain a JSON object`);
+  }
+
+  const baseDir = path.dirname(path.resolve(configFile));
+  const options = {};
+  let files = [];
+  for (const [key, value] of Object.entries(config)) {
+    const source = `"${key}" in ${configFile}`;
+    if (key === 'files') {
+      if (!Array.isArray(value) || !value.every(file => typeof file === 'string')) {
+        throw new UsageError(`${source} must be an array of file names`);
+      }
+      files = value.map(file => path.resolve(baseDir, file));
+      continue;
+    }
+    const option = CLI_OPTIONS.find(candidate => camelCase(candidate.name) === key);
+    if (!option || key === 'config' || key === 'help') {
+      throw new UsageError(`Unknown option ${source}`);
+    }
+    options[key] = convertOptionValue(option, value, source);
+    if (option.type === 'path') {
+      options[key] = path.resolve(baseDir, options[key]);
+    }
+  }
+
+  return { options, files };
+}
+
+// Combine the command line and the config file it names, which the command
+// line overrides, into the settings for main.
+function parseSettings(args) {
+  const commandLine = parseCommandLine(args);
+  const config = commandLine.options.config ?
+    loadConfigFile(commandLine.options.config) : { options: {}, files: [] };
+  const settings = { ...config.options, ...commandLine.options };
+  settings.files = commandLine.files.length > 0 ? commandLine.files : config.files;
+
+  // --pid <pid> watches that process's maps file
+  if (settings.pid !== undefined) {
+    settings.files.unshift(`/proc/${settings.pid}/maps`);
+    settings.watch = true;
+  }
+
+  if (settings.help) {
+    return settings;
+  }
+  if (settings.export === undefined) {
+    const exportOnly = EXPORT_ONLY_OPTIONS.find(name => settings[name] !== undefined);
+    if (exportOnly) {
+      throw new UsageError(`--${exportOnly} only applies with --export`);
+    }
+  } else if (settings.files.length !== 1) {
+    throw new UsageError('--export needs exactly one input file');
+  } else if (settings.bits !== undefined && !ADDRESS_WIDTHS.includes(settings.bits)) {
+    throw new UsageError(`--bits must be one of ${ADDRESS_WIDTHS.join(', ')}`);
+  } else if (settings.addr !== undefined && exportMapAddress(settings) === null) {
+    throw new UsageError(`--addr 0x${settings.addr.toString(16)} is outside the exported address space`);
+  } else if (settings.columns !== undefined) {
+    try {
+      parseColumnMapping(settings.columns);
+    } catch (error) {
+      throw new UsageError(`--columns: ${error.message}`);
+    }
+  }
+  if (settings.dataDir !== undefined && !fs.existsSync(settings.dataDir)) {
+    throw new UsageError(`Data directory ${settings.dataDir} does not exist`);
+  }
+  const missing = settings.files.find(file => !fs.existsSync(file));
+  if (missing) {
+    throw new UsageError(`Input file ${missing} does not exist`);
+  }
+
+  return settings;
+}
+
 function showHelp() {
+  const optionLines = CLI_OPTIONS.map(option => {
+    const flags = [option.alias, `--${option.name}`].filter(Boolean).join(', ');
+    const usage = option.arg ? `${flags} ${option.arg}` : flags;
+    const choices = option.choices ? ` (${option.choices.join(', ')})` : '';
+    return `  ${usage.padEnd(20)} ${option.description}${choices}`;
+  });
+
   console.log(`
 Hilbert Curve Memory Map Generator
 
-Usage: node index.js [filename] [port]
+Usage: node index.js [options] [file...]
+       node index.js --export <image> [--level <n>] [--addr <hex>] [--color <mode>] <file>
+
+Input files are offered in the browser as default.txt, default2.txt and so on.
+
+Options:
+${optionLines.join('\n')}
 
-Arguments:
-  filename     File to map (optional)
-  port         HTTP server port (default: 8080)
+A config file holds a JSON object with the options in camelCase and the input
+files, with paths relative to the config file. Command line options win:
+  { "port": 3000, "dataDir": "maps", "watch": true, "files": ["/proc/123/maps"] }
 
 Features:
-- Maps 48-bit virtual address space (256 TiB) or 32-bit IPv4 space
+- Maps 48-bit virtual address space (256 TiB), the kernel half of 64-bit
+  address space or both canonical halves, or 32-bit IPv4 space
 - 1024x1024 pixel output using Hilbert curve mapping
 - Supports multiple input formats:
   * Memory ranges: startAddr endAddr regionName
   * /proc/pid/maps format
+  * /proc/pid/smaps format, with resident memory statistics
+  * Windows VMMap exports (text or CSV) and WinDbg !address output
+  * macOS vmmap output and Linux pmap -X / -XX tables
+  * GDB info proc mappings and LLDB memory region --all output
+  * JSON regions with metadata and annotations, as exported from the browser
+  * Other CSV or TSV files, with a chosen or guessed column for each role
   * IPv4 GeoIP CSV format
+  * ELF core dumps
+  * ELF executables and shared objects (section layout)
 
 Examples:
-  node index.js                    # Start server on port 8080
-  node index.js /proc/123/maps     # Map specific file on port 8080
-  node index.js chrome-maps.txt    # Map chrome-maps.txt on port 8080
-  node index.js 3000               # Start server on port 3000
-  node index.js /proc/123/maps 3000 # Map file on port 3000
+  node index.js                          # Start server on port 8080
+  node index.js /proc/123/maps           # Map specific file on port 8080
+  node index.js --port 3000 chrome-maps.txt
+  node index.js --host 127.0.0.1 --open  # Local only, and open a browser
+  node index.js before.txt after.txt     # Two files to compare
+  node index.js --pid 123                # Live view of process 123
+  node index.js --watch --format maps dump.log
+  node index.js --data-dir ~/maps        # Offer the files in ~/maps
+  node index.js --config memory-map.json
+  node index.js --export out.png --level 2 --addr 0x7f0000000000 maps.txt
+  node index.js --export kernel.png --space kernel --level 1 --addr 0xffffffff80000000 kernel-maps.txt
 
 After starting, visit the suggested URLs to try different visualizations.
   `);
 }
 
 function main() {
-  const args = process.argv.slice(2);
+  let settings;
+  try {
+    settings = parseSettings(process.argv.slice(2));
+  } catch (error) {
+    if (!(error instanceof UsageError)) {
+      throw error;
+    }
+    console.error(`Error: ${error.message}`);
+    console.error('Run "node index.js --help" for usage.');
+    process.exit(1);
+  }
 
-  if (args.length > 0 && (args[0] === '--help' || args[0] === '-h')) {
+  if (settings.help) {
     showHelp();
     return;
   }
 
-  let filename = null;
-  let port = 8080;
-
-  // Parse arguments - could be filename, port, or both
-  if (args.length === 1) {
-    // Single argument - could be filename or port
-    const arg = args[0];
-    const parsedPort = parseInt(arg);
-    if (isNaN(parsedPort)) {
-      // Not a number, treat as filename
-      filename = arg;
-    } else {
-      // Is a number, treat as port
-      port = parsedPort;
-    }
-  } else if (args.length === 2) {
-    // Two arguments - filename and port
-    filename = args[0];
-    port = parseInt(args[1]) || 8080;
+  // Batch mode: --export <image> renders the input file and exits
+  if (settings.export !== undefined) {
+    const inputFile = settings.files[0];
+    exportImage(inputFile, settings.export, settings.level || 0, exportMapAddress(settings), {
+      colorMode: settings.color || 'name',
+      format: settings.format || null,
+      addressSpace: settings.space,
+      addressBits: settings.bits,
+      columns: settings.columns
+    }).then(() => {
+      console.log(`Wrote ${settings.export}`);
+    }, error => {
+      console.error(`Error exporting ${inputFile}: ${error.message}`);
+      process.exit(1);
+    });
+    return;
   }
 
-  startServer(port, filename);
+  const server = startServer({
+    port: settings.port,
+    host: settings.host,
+    files: settings.files,
+    format: settings.format,
+    watchInterval: settings.watch ? 1000 : 0,
+    dataDir: settings.dataDir,
+    open: settings.open,
+    allowProcesses: settings.allowProcesses
+  });
+  server.on('error', error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
 }
 
 if (require.main === module) {
   main();
 }
 
-module.exports = { startServer };
+module.exports = { startServer, renderMapCanvas, exportImage };
@@ -0,0 +1,623 @@
+/*
+ * Hilbert Curve Memory Map Generator - rendering
+ *
+ * Copyright (c) 2025 Cloudflare, Inc.
+ *
+ * Licensed under the MIT License - see LICENSE file for details
+ */
+
+/*
+Hilbert curve mapping and drawing of the map, grid lines and scale key onto a
+2D canvas context. Shared by the browser and the server so that images
+rendered on either side are identical.
+*/
+
+// Layout constants
+const MAP = {
+    WIDTH: 1024,              // Memory map canvas width
+    HEIGHT: 1024,             // Memory map canvas height
+    BORDER_TOP: 100,              // Top border/margin
+    BORDER_BOTTOM: 100,           // Bottom border/margin  
+    BORDER_LEFT: 100,             // Left border/margin
+    BORDER_RIGHT_DESKTOP: 450,    // Right border/margin on desktop
+    BORDER_RIGHT_MOBILE: 100,     // Right border/margin on mobile
+    KEY_OFFSET: 50,               // Offset for legend from map edge
+    ADDRESS_SIZE: Math.pow(2, 48), // Addresses along the Hilbert curve, see MAP_ADDRESS_BITS
+};
+
+class ZoomState {
+    constructor(level = 0, minAddr = 0, maxAddr = MAP.ADDRESS_SIZE, x24 = 0, y24 = 0) {
+        this.level = level;         // Current zoom level (0 = full view)
+        this.minAddr = minAddr;     // Lowest address in current view
+        this.maxAddr = maxAddr;     // Highest address in current view (256 TiB)
+
+        // Calculate how wide the 1024x1024 canvas is in 2^24 space at this zoom level
+        const zoomFactor = this.getZoomFactor();
+        const canvas24Width = 1024 / zoomFactor;
+        
+        // Round down to align with the canvas-sized grid squares
+        const roundedX24 = Math.floor(x24 / canvas24Width) * canvas24Width;
+        const roundedY24 = Math.floor(y24 / canvas24Width) * canvas24Width;
+
+        this.offsetX = roundedX24;     // X offset in 2^24 coordinate system
+        this.offsetY = roundedY24;     // Y offset in 2^24 coordinate system
+    }
+
+    // Check if this zoom state equals another
+    equals(other) {
+        return this.level === other.level &&
+               this.minAddr === other.minAddr &&
+               this.maxAddr === other.maxAddr &&
+               this.offsetX === other.offsetX &&
+               this.offsetY === other.offsetY;
+    }
+
+    // Get the zoom factor for coordinate scaling
+    getZoomFactor() {
+        const baseZoomFactor = Math.pow(2, 24 - 10); // 2^14 = 16384
+        const levelZoomFactor = Math.pow(8, this.level);
+        return levelZoomFactor / baseZoomFactor;
+    }
+
+    // Reset to default state - returns new ZoomState object
+    reset() {
+        return new ZoomState(0, 0, MAP.ADDRESS_SIZE, 0, 0);
+    }
+
+    toString() {
+        const minHex = '0x' + this.minAddr.toString(16);
+        const maxHex = '0x' + this.maxAddr.toString(16);
+        return `ZoomState(level=${this.level}, ${minHex}-${maxHex}, offset=${this.offsetX},${this.offsetY})`;
+    }
+
+    addressSize() { return this.maxAddr - this.minAddr; }
+}
+
+// Zoom state at the given level for the grid square containing an address.
+function zoomStateForAddress(level, address) {
+    const addressRange = MAP.ADDRESS_SIZE / Math.pow(64, level);
+    const minAddr = Math.floor(address / addressRange) * addressRange;
+    const [x24, y24] = hilbertIndexToXY(minAddr);
+    return new ZoomState(level, minAddr, minAddr + addressRange, x24, y24);
+}
+
+function xyToHilbertIndex(x, y) {
+    const n = 0x1000000; // 2^24 = 16777216
+    let index = 0;
+
+    for (let s = n >>> 1; s > 0; s = Math.floor(s / 2)) {
+        let rx = (x & s) > 0 ? 1 : 0;
+        let ry = (y & s) > 0 ? 1 : 0;
+        index += s * s * ((3 * rx) ^ ry);
+
+        if (ry === 0) {
+            if (rx === 1) {
+                x = n - 1 - x;
+                y = n - 1 - y;
+            }
+            [x, y] = [y, x];
+        }
+    }
+
+    return index;
+}
+
+function hilbertIndexToXY(index, order = 24) {
+    const n = 1 << order;
+    let x = 0, y = 0;
+    let t = index;
+
+    for (let s = 1; s < n; s <<= 1) {
+        const rx = 1 & (t >>> 1);
+        const ry = 1 & (t ^ rx);
+
+        if (ry === 0) {
+            if (rx === 1) {
+                x = s - 1 - x;
+                y = s - 1 - y;
+            }
+            [x, y] = [y, x];
+        }
+
+        x += s * rx;
+        y += s * ry;
+        t = Math.floor(t / 4);
+    }
+
+    return [x, y];
+}
+
+function addressToCanvasCoordinates(address, zoomStateParam) {
+    // Get coordinates in 2^24 coordinate system
+    const [x24, y24] = hilbertIndexToXY(address);
+    
+    // Scale from 2^24 to 1024 and apply zoom offset
+    const zoomFactor = zoomStateParam.getZoomFactor();
+    const scaledX = Math.floor((x24 - zoomStateParam.offsetX) * zoomFactor);
+    const scaledY = Math.floor((y24 - zoomStateParam.offsetY) * zoomFactor);
+    
+    return { x: scaledX, y: scaledY, toString: function() { return "(" + this.x + "," + this.y + ")"; } }
+}
+
+function findAddressAtPixel(mapX, mapY, zoomStateParam) {
+    // Convert 1024x1024 coordinates to 2^24 coordinate system and apply zoom offsets
+    const zoomFactor = zoomStateParam.getZoomFactor();
+
+    const x24 = zoomStateParam.offsetX + mapX / zoomFactor;
+    const y24 = zoomStateParam.offsetY + mapY / zoomFactor;
+
+    // Check bounds in the 2^24 coordinate system
+    const maxCoord24 = Math.pow(2, 24) - 1;
+    if (x24 < 0 || x24 > maxCoord24 || y24 < 0 || y24 > maxCoord24) return null;
+
+    // Calculate address using 2^24 Hilbert mapping
+    const hilbertIndex24 = xyToHilbertIndex(x24, y24);
+    const address = hilbertIndex24; // Each Hilbert index maps to 1 byte in 48-bit space
+
+    return address;
+}
+
+function drawBackground(ctx, format, zoomStateParam) {
+    const minAddr = zoomStateParam.minAddr;
+    const maxAddr = zoomStateParam.maxAddr;
+    const addressRange = maxAddr - minAddr;
+    const bytesPerPixel = addressRange / (MAP.WIDTH * MAP.HEIGHT);
+
+    // Light gray background for entire canvas
+    ctx.fillStyle = '#F0B060';
+    ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+
+    // Create transparent hole for the map area using composite operation
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.fillRect(MAP.BORDER_LEFT, MAP.BORDER_TOP, MAP.WIDTH, MAP.HEIGHT);
+    ctx.globalCompositeOperation = 'source-over';
+
+    // Draw grid lines on background canvas with margin offsets
+    drawGridLines(ctx, zoomStateParam, MAP.BORDER_LEFT, MAP.BORDER_TOP);
+    
+    // Draw scale key
+    drawScaleKey(ctx, format, zoomStateParam.level, bytesPerPixel, minAddr, maxAddr);
+}
+
+// Colors of the residency heat map, from untouched to fully resident.
+const HEAT_COLORS = [
+    { r: 40, g: 60, b: 200 },
+    { r: 240, g: 220, b: 40 },
+    { r: 220, g: 40, b: 30 }
+];
+
+// Regions without memory statistics in the residency heat map.
+const NO_RESIDENCY_COLOR = { r: 64, g: 64, b: 64, a: 255 };
+
+function heatColor(fraction) {
+    const position = Math.min(Math.max(fraction, 0), 1) * (HEAT_COLORS.length - 1);
+    const index = Math.min(Math.floor(position), HEAT_COLORS.length - 2);
+    const t = position - index;
+    const from = HEAT_COLORS[index];
+    const to = HEAT_COLORS[index + 1];
+
+    return {
+        r: Math.round(from.r + (to.r - from.r) * t),
+        g: Math.round(from.g + (to.g - from.g) * t),
+        b: Math.round(from.b + (to.b - from.b) * t),
+        a: 255
+    };
+}
+
+// Brightness of the dark stripes over regions that are not in a core dump,
+// and of the dark squares over reserved but uncommitted Windows memory.
+const HATCH_SHADE = 0.35;
+
+// Color of a region in the given color mode: 'name' uses the color assigned
+// to the region's name, 'resident' shades by the fraction that is resident.
+function getRegionColor(region, colorMode) {
+    if (colorMode !== 'resident') {
+        return region.color;
+    }
+    if (!region.memory || region.memory.rss === undefined) {
+        return NO_RESIDENCY_COLOR;
+    }
+    return heatColor(region.memory.rss / region.memory.size);
+}
+
+// Draw the regions visible in the given zoom state, followed by the grid lines.
+function renderMemoryData(ctx, regions, zoomStateParam, options = {}) {
+    // Create image data for the memory canvas
+    const imageData = ctx.createImageData(MAP.WIDTH, MAP.HEIGHT);
+    renderRegionPixels(imageData.data, regions, zoomStateParam, options.colorMode);
+
+    if (regions.length === 0) {
+        // Put the empty (black) image data and return
+        ctx.putImageData(imageData, 0, 0);
+        return;
+    }
+
+    finishMapImage(ctx, imageData, zoomStateParam, options);
+}
+
+// Draw a map whose pixels were rendered elsewhere, such as a tile from the
+// server, with the same overlays and grid lines as renderMemoryData.
+function renderMapTile(ctx, pixels, zoomStateParam, options = {}) {
+    const imageData = ctx.createImageData(MAP.WIDTH, MAP.HEIGHT);
+    imageData.data.set(pixels);
+    finishMapImage(ctx, imageData, zoomStateParam, options);
+}
+
+function finishMapImage(ctx, imageData, zoomStateParam, options) {
+    // Let overlays such as the page residency draw over the region colors
+    for (const overlay of options.overlays || []) {
+        overlay(imageData.data, zoomStateParam);
+    }
+
+    // Apply the image data to canvas
+    ctx.putImageData(imageData, 0, 0);
+    
+    // Draw grid lines on top of the memory data
+    drawGridLines(ctx, zoomStateParam);
+}
+
+// Fill RGBA pixel data of the map size with opaque black and the colors of
+// the regions visible in the given zoom state. Needs no canvas, so the server
+// can render tiles with it.
+function renderRegionPixels(data, regions, zoomStateParam, colorMode = 'name') {
+    const totalPixels = MAP.WIDTH * MAP.HEIGHT;
+    const minAddr = zoomStateParam.minAddr;
+    const maxAddr = zoomStateParam.maxAddr;
+    const addressRange = maxAddr - minAddr;
+    const bytesPerPixel = addressRange / totalPixels;
+
+    // Initialize all pixels to opaque black (R=0, G=0, B=0, A=255)
+    for (let i = 3; i < data.length; i += 4) {
+        data[i] = 255; // Set alpha channel to opaque
+    }
+
+    // Filter ranges to only those that overlap with current view
+    const visibleRanges = regions.filter(range =>
+        range.end > minAddr && range.start < maxAddr
+    );
+
+    // Process each visible memory range
+    visibleRanges.forEach(range => {
+        const { r, g, b, a } = getRegionColor(range, colorMode);
+
+        // Segments missing from a core dump get dark diagonal stripes and
+        // reserved memory a checkerboard
+        const hatched = range.dumped === false;
+        const checkered = range.reserved === true;
+
+        // Calculate pixel range for this memory range in current view
+        const startAddr = Math.max(range.start, minAddr);
+        const endAddr = Math.min(range.end, maxAddr);
+
+        // Fill pixels for this memory range
+        for (let address = startAddr; address < endAddr; address += bytesPerPixel) {
+            const coords = addressToCanvasCoordinates(address, zoomStateParam);
+
+            if (coords.x >= 0 && coords.x < MAP.WIDTH &&
+                coords.y >= 0 && coords.y < MAP.HEIGHT) {
+                const dataIndex = (coords.y * MAP.WIDTH + coords.x) * 4;
+                const shade = (hatched && ((coords.x + coords.y) & 4)) ||
+                    (checkered && ((coords.x ^ coords.y) & 2)) ? HATCH_SHADE : 1;
+
+                data[dataIndex] = r * shade;     // Red
+                data[dataIndex + 1] = g * shade; // Green
+                data[dataIndex + 2] = b * shade; // Blue
+                data[dataIndex + 3] = a;         // Alpha
+            }
+        }
+    });
+}
+
+// Regions sorted by start address, indexed for finding the ones in an
+// address range without looking at all of them. Regions may overlap.
+class RegionIndex {
+    constructor(regions) {
+        this.regions = regions;
+        this.levels = new Map(); // Zoom level to RegionIndex of the regions drawn there
+
+        // Highest end address of the regions up to each index, which never
+        // decreases and so can be searched like the start addresses.
+        this.maxEnds = new Float64Array(regions.length);
+        let maxEnd = 0;
+        regions.forEach((region, i) => {
+            maxEnd = Math.max(maxEnd, region.end);
+            this.maxEnds[i] = maxEnd;
+        });
+    }
+
+    // Indexes of the regions overlapping [start, end), in order.
+    indexesInRange(start, end) {
+        // Binary search for the first region that could reach start
+        let low = 0;
+        let high = this.regions.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (this.maxEnds[mid] > start) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+
+        const indexes = [];
+        for (let i = low; i < this.regions.length && this.regions[i].start < end; i++) {
+            if (this.regions[i].end > start) {
+                indexes.push(i);
+            }
+        }
+        return indexes;
+    }
+
+    regionsInRange(start, end) {
+        return this.indexesInRange(start, end).map(i => this.regions[i]);
+    }
+
+    // The regions that decide the pixels at a zoom level. A region within a
+    // single pixel is left out when the next region starts in the same pixel,
+    // as that one is drawn over it, so a view of millions of tiny regions
+    // draws at most about one region per pixel.
+    atLevel(level) {
+        if (!this.levels.has(level)) {
+            const bytesPerPixel = MAP.ADDRESS_SIZE / Math.pow(64, level) / (MAP.WIDTH * MAP.HEIGHT);
+            const pixelOf = address => Math.floor(address / bytesPerPixel);
+            const drawn = this.regions.filter((region, i) => {
+                const next = this.regions[i + 1];
+                return !next || pixelOf(region.start) !== pixelOf(region.end - 1) ||
+                    pixelOf(next.start) !== pixelOf(region.start);
+            });
+            this.levels.set(level, new RegionIndex(drawn));
+        }
+        return this.levels.get(level);
+    }
+}
+
+// The page overlay needs at least one pixel per page.
+const PAGEMAP_MAX_BYTES_PER_PIXEL = 4096;
+
+function isPagemapVisible(zoomStateParam) {
+    return zoomStateParam.addressSize() / (MAP.WIDTH * MAP.HEIGHT) <= PAGEMAP_MAX_BYTES_PER_PIXEL;
+}
+
+// Overlay per-page presence on the region colors: absent pages are darkened
+// and swapped out pages are tinted magenta. Present pages keep their color.
+// States are 0 (absent), 1 (present) and 2 (swapped) as in PagemapData.
+function drawPagemapOverlay(data, zoomStateParam, pagemap) {
+    if (!isPagemapVisible(zoomStateParam)) return;
+
+    const { minAddr, maxAddr } = zoomStateParam;
+    const bytesPerPixel = (maxAddr - minAddr) / (MAP.WIDTH * MAP.HEIGHT);
+    const pageSize = PAGEMAP_MAX_BYTES_PER_PIXEL;
+
+    for (const record of pagemap.recordsInRange(minAddr, maxAddr)) {
+        const firstPage = Math.max(0, Math.floor((minAddr - record.start) / pageSize));
+        const lastPage = Math.min(record.states.length, Math.ceil((maxAddr - record.start) / pageSize));
+
+        for (let page = firstPage; page < lastPage; page++) {
+            const state = record.states[page];
+            if (state === 1) continue;
+
+            const pageStart = record.start + page * pageSize;
+            for (let address = pageStart; address < pageStart + pageSize; address += bytesPerPixel) {
+                const coords = addressToCanvasCoordinates(address, zoomStateParam);
+                if (coords.x < 0 || coords.x >= MAP.WIDTH || coords.y < 0 || coords.y >= MAP.HEIGHT) continue;
+
+                const dataIndex = (coords.y * MAP.WIDTH + coords.x) * 4;
+                if (state === 2) {
+                    data[dataIndex] = (data[dataIndex] + 255) >> 1;
+                    data[dataIndex + 1] = data[dataIndex + 1] >> 1;
+                    data[dataIndex + 2] = (data[dataIndex + 2] + 255) >> 1;
+                } else {
+                    data[dataIndex] = data[dataIndex] * 0.35;
+                    data[dataIndex + 1] = data[dataIndex + 1] * 0.35;
+                    data[dataIndex + 2] = data[dataIndex + 2] * 0.35;
+                }
+            }
+        }
+    }
+}
+
+// Overlay live heap allocations, as map ranges sorted by start, by
+// lightening the region colors under them, so that they show up within the
+// mappings they were made in.
+function drawAllocationOverlay(data, zoomStateParam, ranges) {
+    const { minAddr, maxAddr } = zoomStateParam;
+    const bytesPerPixel = (maxAddr - minAddr) / (MAP.WIDTH * MAP.HEIGHT);
+    let lastIndex = -1;
+
+    for (const range of ranges) {
+        if (range.start >= maxAddr) break;
+        if (range.end <= minAddr) continue;
+
+        const startAddr = Math.max(range.start, minAddr);
+        const endAddr = Math.min(range.end, maxAddr);
+        for (let address = startAddr; address < endAddr; address += bytesPerPixel) {
+            const coords = addressToCanvasCoordinates(address, zoomStateParam);
+            if (coords.x < 0 || coords.x >= MAP.WIDTH || coords.y < 0 || coords.y >= MAP.HEIGHT) continue;
+
+            // Many small allocations share a pixel, which is lightened once
+            const dataIndex = (coords.y * MAP.WIDTH + coords.x) * 4;
+            if (dataIndex === lastIndex) continue;
+            lastIndex = dataIndex;
+            data[dataIndex] = (data[dataIndex] + 255) >> 1;
+            data[dataIndex + 1] = (data[dataIndex + 1] + 255) >> 1;
+            data[dataIndex + 2] = (data[dataIndex + 2] + 255) >> 1;
+        }
+    }
+}
+
+function drawGridLines(ctx, zoomStateParam, offsetX = 0, offsetY = 0) {
+    const tbSize = 128; // 128x128 pixel squares
+    const subSize = 16; // 16x16 pixel sub-squares (128/8 = 16)
+    
+    // Helper function to draw a single line segment with appropriate style
+    function drawLineSegment(startX, startY, endX, endY, isSubGrid) {
+        // Set up style based on connectivity and grid level
+        if (isSubGrid) {
+          ctx.lineWidth = 1;
+          ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)'; // Lighter color for sub-grid
+        } else {
+          ctx.lineWidth = 3;
+          ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        }
+        
+        // Draw the segment with optional offset
+        ctx.beginPath();
+        ctx.moveTo(startX + offsetX, startY + offsetY);
+        ctx.lineTo(endX + offsetX, endY + offsetY);
+        ctx.stroke();
+    }
+    
+    // Helper function to check if two adjacent squares are adjacent in memory
+    function areSquaresAdjacentInMemory(x1, y1, x2, y2, squareSize) {
+        
+        // Find addresses in each square.
+        const addr1 = findAddressAtPixel(x1, y1, zoomStateParam);
+        const addr2 = findAddressAtPixel(x2, y2, zoomStateParam);
+        
+        if (addr1 === null || addr2 === null) {
+            return true; // Default to light if we can't determine
+        }
+        
+        // Calculate the memory size of one square of the given size
+        const { minAddr, maxAddr } = zoomStateParam;
+        const bytesPerPixel = (maxAddr - minAddr) / (MAP.WIDTH * MAP.HEIGHT);
+        const bytesPerSquare = bytesPerPixel * squareSize * squareSize;
+        
+        // Round addresses down to square boundaries
+        const roundedAddr1 = Math.floor(addr1 / bytesPerSquare) * bytesPerSquare;
+        const roundedAddr2 = Math.floor(addr2 / bytesPerSquare) * bytesPerSquare;
+        
+        // Check if the rounded addresses are exactly one square apart
+        const addressDiff = Math.abs(roundedAddr1 - roundedAddr2);
+        const isAdjacent = addressDiff === bytesPerSquare;
+
+        return isAdjacent;
+    }
+    
+    // Draw vertical sub-grid lines
+    for (let i = 0; i <= MAP.WIDTH; i += subSize) {
+        // Check each segment of the vertical sub-grid line
+        for (let j = 0; j < MAP.HEIGHT; j += subSize) {
+            let isSubGrid = i % tbSize !== 0;
+            const leftSquareX = i - subSize;
+            const rightSquareX = i;
+            const squareY = j;
+            
+            const isAdjacent   = areSquaresAdjacentInMemory(leftSquareX, squareY, rightSquareX, squareY, subSize);
+            if (!isSubGrid) {
+                const isAdjacentHi = areSquaresAdjacentInMemory(leftSquareX, squareY, rightSquareX, squareY, tbSize);
+                if (isAdjacentHi) isSubGrid = true;
+            }
+            
+            if (!isAdjacent) drawLineSegment(i, j, i, j + subSize, isSubGrid);
+        }
+    }
+    
+    // Draw horizontal sub-grid lines
+    for (let i = 0; i <= MAP.HEIGHT; i += subSize) {
+        // Check each segment of the horizontal sub-grid line
+        for (let j = 0; j < MAP.WIDTH; j += subSize) {
+            let isSubGrid = i % tbSize !== 0;
+            const squareX = j;
+            const topSquareY = i - subSize;
+            const bottomSquareY = i;
+            
+            // Check if sub-squares above and below this line are adjacent in memory
+            const isAdjacent   = areSquaresAdjacentInMemory(squareX, topSquareY, squareX, bottomSquareY, subSize);
+            if (!isSubGrid) {
+                const isAdjacentHi = areSquaresAdjacentInMemory(squareX, topSquareY, squareX, bottomSquareY, tbSize);
+                if (isAdjacentHi) isSubGrid = true;
+            }
+            
+            // Draw this segment using the helper function (isSubGrid = true)
+            if (!isAdjacent) drawLineSegment(j, i, j + subSize, i, isSubGrid);
+        }
+    }
+    
+    // Reset line dash for other drawing
+    ctx.setLineDash([]);
+    
+    // If we have offsets, this is being drawn on the background canvas, so punch out the hole again
+    if (offsetX > 0 || offsetY > 0) {
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.fillStyle = 'black';
+        ctx.fillRect(offsetX, offsetY, MAP.WIDTH, MAP.HEIGHT);
+        ctx.globalCompositeOperation = 'source-over';
+    }
+}
+
+function drawScaleKey(ctx, format, level, bytesPerPixel, minAddr, maxAddr) {
+    const keyX = MAP.BORDER_LEFT + MAP.WIDTH + MAP.KEY_OFFSET;
+    const keyY = MAP.BORDER_TOP + 100;
+
+    // Set text style
+    ctx.fillStyle = '#000000';
+    ctx.font = '16px Arial';
+
+    // Memory range above Scale
+    ctx.fillText(format.formatRangeLabel(minAddr, maxAddr), keyX, keyY - 20);
+
+    // Title
+    ctx.fillText('Scale:', keyX, keyY);
+
+    // Get format-specific size labels
+    const sizes = format.getSizeKeyLabels();
+
+    let yOffset = 30;
+    ctx.font = '14px Arial';
+
+    for (const size of sizes) {
+        const pixels = size.bytes / bytesPerPixel;
+        const squareSize = Math.sqrt(pixels);
+
+        if (squareSize >= 4 && pixels <= 16384) {
+            ctx.fillStyle = '#808080';
+            ctx.fillRect(keyX, keyY + yOffset, squareSize, squareSize);
+            ctx.fillStyle = '#000000';
+            ctx.fillText(`${size.name} (${Math.round(pixels)} px)`, keyX + squareSize + 10, keyY + yOffset + squareSize/2 + 5);
+
+            yOffset += squareSize + 10;
+        }
+    }
+
+    // Additional info
+    ctx.font = '12px Arial';
+
+    // Each dotted square is 128x128 pixels
+    const squareSize = 128;
+    const bytesPerSquare = bytesPerPixel * squareSize * squareSize;
+
+    ctx.fillText(format.formatPixelLabel(bytesPerPixel), keyX, keyY + yOffset + 20);
+    ctx.fillText(format.formatSquareLabel(bytesPerSquare), keyX, keyY + yOffset + 40);
+
+    if (level > 0) {
+        const currentRange = maxAddr - minAddr;
+        ctx.fillText(format.formatZoomedViewLabel(currentRange), keyX, keyY + yOffset + 60);
+        ctx.fillText(`Zoom level: ${level}`, keyX, keyY + yOffset + 80);
+    } else {
+        ctx.fillText(`Zoom level: ${level}`, keyX, keyY + yOffset + 60);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAP,
+        ZoomState,
+        zoomStateForAddress,
+        xyToHilbertIndex,
+        hilbertIndexToXY,
+        addressToCanvasCoordinates,
+        findAddressAtPixel,
+        drawBackground,
+        getRegionColor,
+        renderMemoryData,
+        renderMapTile,
+        renderRegionPixels,
+        RegionIndex,
+        isPagemapVisible,
+        drawPagemapOverlay,
+        drawAllocationOverlay,
+        drawGridLines,
+        drawScaleKey
+    };
+}
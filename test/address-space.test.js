@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AddressSpace, IPv4GeolocationFormat, parseMemoryData } = require('../formats.js');
+
+test('the map zooms deeper for wider address spaces, up to level 4', () => {
+    assert.deepStrictEqual([32, 39].map(bits => new AddressSpace('user', bits).maxZoomLevel()), [2, 3]);
+    // At level 4 a pixel is 16 map addresses, the most the map resolves, so
+    // the widest spaces stop there however many bytes a pixel still covers.
+    assert.deepStrictEqual([47, 48, 57].map(bits => new AddressSpace('user', bits).maxZoomLevel()), [4, 4, 4]);
+    assert.throws(() => new AddressSpace('user', 40), RangeError);
+    assert.throws(() => new AddressSpace('middle', 48), RangeError);
+});
+
+test('the kernel half and both canonical halves map real addresses', () => {
+    const kernel = new AddressSpace('kernel', 48);
+    const range = kernel.mapRange(0xffff888000000000n, 0xffff888000001000n);
+    assert.deepStrictEqual(range, { start: 0x888000000000, end: 0x888000001000 });
+    assert.strictEqual(kernel.addressAt(range.start), 0xffff888000000000n);
+    assert.strictEqual(kernel.mapRange(0x1000n, 0x2000n), null);
+
+    // The user half is the lower half of the map and the kernel half the upper
+    const canonical = new AddressSpace('canonical', 48);
+    assert.strictEqual(canonical.mapRange(0x1000n, 0x2000n).start, 0x1000);
+    assert.strictEqual(canonical.mapRange(0xffff800000000000n, 0xffff800000001000n).start, 2 ** 47);
+    assert.strictEqual(canonical.endAddressAt(2 ** 47), 0x800000000000n);
+});
+
+test('maps of narrow spaces scale addresses up to the map and leave out the rest', () => {
+    const parsed = parseMemoryData('8048000-8049000 r-xp 00000000 08:01 1 /bin/app\n7f0000000000-7f0000001000 rw-p 00000000 00:00 0\n',
+        null, { addressBits: 32 });
+    assert.strictEqual(parsed.regions.length, 1);
+    assert.deepStrictEqual([parsed.regions[0].start, parsed.regions[0].end], [0x8048000 * 65536, 0x8049000 * 65536]);
+    assert.strictEqual(parsed.format.getMaxZoomLevel(), 2);
+});
+
+test('IPv4 networks are placed through a 32-bit address space', () => {
+    const format = new IPv4GeolocationFormat();
+    const [australia] = format.parseLines(['network,geoname_id,a,b,c,country_name', '1.0.0.0/24,1,1,,0,Australia']);
+    assert.strictEqual(format.addressSpace.bits, 32);
+    assert.deepStrictEqual([australia.start, australia.end], [0x01000000 * 65536, 0x01000100 * 65536]);
+    assert.strictEqual(format.formatRangeLabel(australia.start, australia.end), '1.0.0.0/24');
+    assert.strictEqual(format.getMaxZoomLevel(), 2);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AllocationTrace, AddressSpace } = require('../formats.js');
+
+const TRACE = `timestamp,op,address,size,stack
+1.0,malloc,0x7f0000001000,64,3
+2.0,free,0x7f0000001000,0
+1.5,malloc,0x7f0000002000,4096,4
+# comment
+2.5,calloc,0x7f0000003000,0x100
+bad line
+3.0,free,0x7f0000009000
+`;
+
+test('allocation traces skip the header and report bad lines', () => {
+    const trace = AllocationTrace.parse(TRACE);
+    assert.deepStrictEqual(trace.events.map(event => [event.time, event.op, event.address, event.size, event.stack]), [
+        [1.0, 'alloc', 0x7f0000001000n, 64n, '3'],
+        [1.5, 'alloc', 0x7f0000002000n, 4096n, '4'],
+        [2.0, 'free', 0x7f0000001000n, 0n, null],
+        [2.5, 'alloc', 0x7f0000003000n, 0x100n, null],
+        [3.0, 'free', 0x7f0000009000n, 0n, null]
+    ]);
+    assert.deepStrictEqual(trace.warnings.map(warning => [warning.line, warning.text]), [[7, 'bad line']]);
+});
+
+test('seeking replays events forwards and backwards', () => {
+    const trace = AllocationTrace.parse(TRACE);
+    assert.strictEqual(trace.time, null);
+
+    trace.seek(2);
+    assert.strictEqual(trace.time, 1.5);
+    assert.deepStrictEqual([...trace.live.keys()], [0x7f0000001000n, 0x7f0000002000n]);
+    assert.strictEqual(trace.liveBytes, 4160n);
+
+    // The free of an address never allocated in the trace is ignored
+    trace.seek(5);
+    assert.deepStrictEqual([...trace.live.keys()], [0x7f0000002000n, 0x7f0000003000n]);
+    assert.strictEqual(trace.liveBytes, 4352n);
+
+    trace.seek(1);
+    assert.deepStrictEqual([...trace.live.keys()], [0x7f0000001000n]);
+    assert.strictEqual(trace.liveBytes, 64n);
+});
+
+test('live allocations are placed on the map of an address space', () => {
+    const trace = AllocationTrace.parse(TRACE);
+    trace.seek(2);
+    const space = new AddressSpace('user', 48);
+    assert.deepStrictEqual(trace.liveRanges(space).map(range => [range.start, range.end]),
+        [[0x7f0000001000, 0x7f0000001040], [0x7f0000002000, 0x7f0000003000]]);
+
+    // User addresses aren't in the kernel half
+    assert.deepStrictEqual(trace.liveRanges(new AddressSpace('kernel', 48)), []);
+});
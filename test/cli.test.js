@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { request } = require('./helpers.js');
+
+const INDEX = path.join(__dirname, '..', 'index.js');
+const MAPS = '00400000-00452000 r-xp 00000000 08:02 173521 /usr/bin/dbus-daemon\n';
+
+function run(args, options = {}) {
+    return childProcess.spawnSync(process.execPath, [INDEX, ...args], { encoding: 'utf8', timeout: 10000, ...options });
+}
+
+// Start the server with the given arguments, call check with the URL it
+// reports and stop it again.
+async function withCommandLineServer(args, options, check) {
+    const child = childProcess.spawn(process.execPath, [INDEX, ...args], options);
+    try {
+        const base = await new Promise((resolve, reject) => {
+            let output = '';
+            child.stdout.setEncoding('utf8');
+            child.stdout.on('data', chunk => {
+                output += chunk;
+                const match = output.match(/running at (http:\S+)\//);
+                if (match) resolve(match[1]);
+            });
+            child.on('exit', code => reject(new Error(`Exited with ${code}: ${output}`)));
+        });
+        await check(base);
+    } finally {
+        child.kill();
+    }
+}
+
+async function withTempDir(check) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    try {
+        await check(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+}
+
+test('--help lists every option', () => {
+    const result = run(['--help']);
+    assert.strictEqual(result.status, 0);
+    for (const flag of ['--port <n>', '--host', '--data-dir', '--open', '--format', '--watch', '--config', '--pid',
+        '--allow-processes', '--export']) {
+        assert.ok(result.stdout.includes(flag), flag);
+    }
+});
+
+test('invalid options are reported with a non-zero exit', () => {
+    for (const [args, message] of [
+        [['--bogus'], 'Unknown option --bogus'],
+        [['--port'], '--port requires a value'],
+        [['--port', '70000'], 'must be a port number'],
+        [['--port', 'abc'], 'must be a non-negative integer'],
+        [['--open=yes'], '--open does not take a value'],
+        [['--format', 'nonsense'], 'must be one of'],
+        [['--level', '2', 'sample.txt'], '--level only applies with --export'],
+        [['--export', 'out.png'], '--export needs exactly one input file'],
+        [['--data-dir', '/nonexistent/maps'], 'Data directory /nonexistent/maps does not exist'],
+        [['missing-file.txt'], 'Input file missing-file.txt does not exist'],
+        [['--config', '/nonexistent.json'], 'Cannot read config file']
+    ]) {
+        const result = run(args);
+        assert.strictEqual(result.status, 1, args.join(' '));
+        assert.ok(result.stderr.includes(message), `${args.join(' ')}: ${result.stderr}`);
+        assert.match(result.stderr, /--help/);
+    }
+});
+
+test('a file named like a port is opened as a file', async () => {
+    await withTempDir(async dir => {
+        fs.writeFileSync(path.join(dir, '3000'), MAPS);
+        await withCommandLineServer(['--port', '0', '--host', '127.0.0.1', '3000'], { cwd: dir }, async base => {
+            assert.strictEqual((await request(`${base}/default.txt`)).body.toString(), MAPS);
+        });
+    });
+});
+
+test('a config file gives options and files relative to it', async () => {
+    await withTempDir(async dir => {
+        fs.mkdirSync(path.join(dir, 'maps'));
+        fs.writeFileSync(path.join(dir, 'maps', 'saved.txt'), MAPS);
+        fs.writeFileSync(path.join(dir, 'input.txt'), '1000 2000 heap\n');
+        fs.writeFileSync(path.join(dir, 'config.json'),
+            JSON.stringify({ port: 0, host: '127.0.0.1', dataDir: 'maps', files: ['input.txt'] }));
+
+        await withCommandLineServer(['--config', path.join(dir, 'config.json')], {}, async base => {
+            assert.strictEqual((await request(`${base}/default.txt`)).body.toString(), '1000 2000 heap\n');
+            assert.strictEqual((await request(`${base}/saved.txt`)).body.toString(), MAPS);
+        });
+
+        fs.writeFileSync(path.join(dir, 'bad.json'), '[1, 2]');
+        const result = run(['--config', path.join(dir, 'bad.json')]);
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /must contain a JSON object/);
+    });
+});
+
+test('a port in use is reported with a non-zero exit', async () => {
+    await withCommandLineServer(['--port', '0', '--host', '127.0.0.1'], {}, async base => {
+        const port = new URL(base).port;
+        const result = run(['--port', port, '--host', '127.0.0.1']);
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /EADDRINUSE/);
+    });
+});
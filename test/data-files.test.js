@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { withServer, request } = require('./helpers.js');
+
+const MAPS = '00400000-00452000 r-xp 00000000 08:02 173521 /usr/bin/dbus-daemon\n';
+const CSV = 'start,end,label\n0x1000,0x2000,heap\n';
+
+test('only files in a supported format are listed and served', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-files-'));
+    fs.writeFileSync(path.join(dataDir, 'maps.txt'), MAPS);
+    fs.writeFileSync(path.join(dataDir, 'heap.csv'), CSV);
+    fs.writeFileSync(path.join(dataDir, 'notes.md'), 'Remember the milk, eggs and bread\n');
+    fs.writeFileSync(path.join(dataDir, 'heap.txt'), CSV);
+    try {
+        await withServer({ dataDir }, async base => {
+            const listed = JSON.parse((await request(`${base}/api/files`)).body);
+            assert.deepStrictEqual(listed.map(file => [file.name, file.format]).sort(),
+                [['heap.csv', 'csv'], ['maps.txt', 'maps']]);
+
+            assert.strictEqual((await request(`${base}/heap.csv`)).status, 200);
+            assert.strictEqual((await request(`${base}/notes.md`)).status, 404);
+            assert.strictEqual((await request(`${base}/heap.txt`)).status, 404);
+            assert.strictEqual((await request(`${base}/api/regions?file=notes.md`)).status, 404);
+
+            const saved = await request(`${base}/api/files?name=other.txt`, { method: 'POST', body: CSV });
+            assert.strictEqual(saved.status, 400);
+        });
+    } finally {
+        fs.rmSync(dataDir, { recursive: true });
+    }
+});
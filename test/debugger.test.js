@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { GdbMappingsFormat, LldbRegionsFormat, detectFormat } = require('../formats.js');
+const { ranges } = require('./helpers.js');
+
+test('GDB mappings with permissions are named like maps regions', () => {
+    const lines = `
+(gdb) info proc mappings
+process 12345
+Mapped address spaces:
+
+          Start Addr           End Addr       Size     Offset  Perms  objfile
+      0x555555554000     0x555555556000     0x2000        0x0  r--p   /usr/bin/cat
+      0x7ffff7fc1000     0x7ffff7fc5000     0x4000        0x0  rw-p
+      0x7ffffffde000     0x7ffffffff000    0x21000        0x0  rw-p   [stack]
+  0xffffffffff600000 0xffffffffff601000     0x1000        0x0  --xp   [vsyscall]
+(gdb) continue
+`.split('\n').filter(line => line.trim());
+    assert.strictEqual(detectFormat(lines), GdbMappingsFormat);
+
+    const format = new GdbMappingsFormat();
+    const warnings = [];
+    const regions = format.parseLines(lines, warnings);
+    assert.deepStrictEqual(warnings, []);
+    assert.deepStrictEqual(ranges(format, regions),
+        ['555555554000-555555556000', '7ffff7fc1000-7ffff7fc5000', '7ffffffde000-7ffffffff000']);
+    assert.deepStrictEqual(regions.map(region => region.name),
+        ['/usr/bin/cat {r--}', 'unnamed-7fff {rw-}', '[stack] {rw-}']);
+});
+
+test('GDB mappings without a permissions column keep object file names with spaces', () => {
+    const lines = [
+        '          Start Addr           End Addr       Size     Offset objfile',
+        '      0x555555554000     0x555555556000     0x2000        0x0 /usr/bin/cat',
+        '      0x7ffff7dd3000     0x7ffff7dfc000    0x29000        0x0 /lib/x86_64-linux-gnu/ld 2.31.so'
+    ];
+    const format = new GdbMappingsFormat();
+    assert.deepStrictEqual(format.parseLines(lines).map(region => region.name),
+        ['/usr/bin/cat', '/lib/x86_64-linux-gnu/ld 2.31.so']);
+});
+
+test('LLDB memory regions skip unmapped ranges and LLDB\'s own messages', () => {
+    const lines = `
+(lldb) memory region --all
+[0x0000000000000000-0x0000555555554000) ---
+[0x0000555555554000-0x0000555555556000) r-- /usr/bin/cat PT_LOAD[0]
+[0x0000555555556000-0x000055555555a000) r-x /usr/bin/cat PT_LOAD[1]
+Modified memory (dirty) page list provided, 2 entries.
+[0x00007ffff7fc7000-0x00007ffff7fc9000) rw-
+[0x00007ffffffde000-0x00007ffffffff000) rw- [stack]
+[0xffffffffff601000-0xffffffffffffffff) ---
+`.split('\n').filter(line => line.trim());
+    assert.strictEqual(detectFormat(lines), LldbRegionsFormat);
+
+    const format = new LldbRegionsFormat();
+    const warnings = [];
+    const regions = format.parseLines(lines, warnings);
+    assert.deepStrictEqual(warnings, []);
+    assert.deepStrictEqual(ranges(format, regions), [
+        '555555554000-555555556000', '555555556000-55555555a000',
+        '7ffff7fc7000-7ffff7fc9000', '7ffffffde000-7ffffffff000'
+    ]);
+    assert.deepStrictEqual(regions.map(region => region.name),
+        ['/usr/bin/cat {r--}', '/usr/bin/cat {r-x}', 'unnamed-7fff {rw-}', '[stack] {rw-}']);
+});
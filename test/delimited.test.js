@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DelimitedFormat, parseColumnMapping, formatColumnMapping, detectFormat } = require('../formats.js');
+const { ranges } = require('./helpers.js');
+
+test('column roles are guessed from the header', () => {
+    const lines = [
+        'start_address,end_address,name,colour,owner',
+        '0x7f0000000000,0x7f0000100000,heap,#ff0000,alice',
+        '7f0000200000,7f0000300000,stack,,bob',
+        'bad,row,x'
+    ];
+    assert.strictEqual(detectFormat(lines), DelimitedFormat);
+
+    const format = new DelimitedFormat();
+    const warnings = [];
+    const regions = format.parseLines(lines, warnings);
+    assert.strictEqual(formatColumnMapping(format.columns), 'start:0;end:1;label:2;color:3;fields:4;type:hex');
+    assert.deepStrictEqual(ranges(format, regions), ['7f0000000000-7f0000100000', '7f0000200000-7f0000300000']);
+    assert.deepStrictEqual(regions.map(region => region.name), ['heap', 'stack']);
+    assert.deepStrictEqual(regions[0].color, { r: 255, g: 0, b: 0, a: 255 });
+    assert.deepStrictEqual(regions[1].fields, [{ name: 'owner', value: 'bob' }]);
+    assert.deepStrictEqual(warnings.map(warning => warning.index), [3]);
+});
+
+test('IPv4 networks in a TSV file include their last address', () => {
+    const lines = ['network\tcountry\tasn', '1.0.0.0/24\tAustralia\t13335', '8.8.8.0/24\tUS\t15169'];
+    const format = new DelimitedFormat();
+    const regions = format.parseLines(lines);
+    assert.deepStrictEqual(ranges(format, regions), ['1000000-1000100', '8080800-8080900']);
+    assert.deepStrictEqual(regions.map(region => region.name), ['Australia', 'US']);
+});
+
+test('files without a header are read as start, end and label', () => {
+    const lines = ['1000,2000,foo,extra', '3000,4000,bar,more'];
+    const format = new DelimitedFormat();
+    const regions = format.parseLines(lines);
+    assert.deepStrictEqual(ranges(format, regions), ['1000-2000', '3000-4000']);
+    assert.deepStrictEqual(regions[0].fields, [{ name: 'Column 4', value: 'extra' }]);
+});
+
+test('a given column mapping overrides the guess', () => {
+    const format = new DelimitedFormat({ columns: 'start:0;end:1;label:2;type:decimal' });
+    const regions = format.parseLines(['1000,2000,foo,extra']);
+    assert.deepStrictEqual(ranges(format, regions), ['3e8-7d0']);
+    assert.deepStrictEqual(regions[0].fields, []);
+});
+
+test('column mappings round-trip through their text form', () => {
+    const text = 'start:0;size:1;label:2;fields:3.4;type:hex';
+    const mapping = parseColumnMapping(text);
+    assert.deepStrictEqual(mapping,
+        { start: 0, end: null, size: 1, label: 2, color: null, fields: [3, 4], type: 'hex' });
+    assert.strictEqual(formatColumnMapping(mapping), text);
+    assert.throws(() => parseColumnMapping('end:1'), RangeError);
+});
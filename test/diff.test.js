@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffRegions, parseMemoryData, DIFF_COLORS } = require('../formats.js');
+
+const BEFORE = `
+555555554000-555555556000 r--p 00000000 08:01 1234 /usr/bin/cat
+555555556000-55555555a000 r-xp 00002000 08:01 1234 /usr/bin/cat
+555555756000-555555777000 rw-p 00000000 00:00 0 [heap]
+7ffff7dd3000-7ffff7dfc000 r-xp 00000000 08:01 42 /lib/ld.so
+7ffffffde000-7ffffffff000 rw-p 00000000 00:00 0 [stack]
+`;
+
+const AFTER = `
+555555554000-555555556000 r--p 00000000 08:01 1234 /usr/bin/cat
+555555556000-55555555a000 r--p 00002000 08:01 1234 /usr/bin/cat
+555555756000-555555797000 rw-p 00000000 00:00 0 [heap]
+7ffff7a00000-7ffff7a21000 rw-p 00000000 00:00 0 /dev/zero
+7ffffffbe000-7ffffffff000 rw-p 00000000 00:00 0 [stack]
+`;
+
+// The status of each region of a diff by name.
+function statuses(diff) {
+    return diff.regions.map(region => `${region.name}: ${region.diff.status}`);
+}
+
+test('regions are matched by base name and start or end address', () => {
+    const diff = diffRegions(parseMemoryData(BEFORE).regions, parseMemoryData(AFTER).regions);
+    assert.deepStrictEqual(statuses(diff), [
+        '/usr/bin/cat {r--}: unchanged',
+        '/usr/bin/cat {r--}: permissions',
+        '[heap] {rw-}: resized',
+        '/dev/zero {rw-}: added',
+        '/lib/ld.so {r-x}: removed',
+        '[stack] {rw-}: resized'
+    ]);
+    assert.deepStrictEqual(diff.regions.map(region => region.color),
+        ['unchanged', 'permissions', 'resized', 'added', 'removed', 'resized'].map(status => DIFF_COLORS[status]));
+
+    // The stack grew down, so it was matched by its end
+    const stack = diff.regions[5];
+    assert.strictEqual(stack.diff.after.start, stack.diff.before.start - 0x20000);
+    assert.strictEqual(stack.diff.before.end, stack.diff.after.end);
+});
+
+test('the summary lists bytes gained and lost by base name, largest first', () => {
+    const diff = diffRegions(parseMemoryData(BEFORE).regions, parseMemoryData(AFTER).regions);
+    assert.deepStrictEqual(diff.summary, [
+        { name: '/lib/ld.so', gained: 0, lost: 0x29000 },
+        { name: '/dev/zero', gained: 0x21000, lost: 0 },
+        { name: '[heap]', gained: 0x20000, lost: 0 },
+        { name: '[stack]', gained: 0x20000, lost: 0 }
+    ]);
+});
+
+test('identical maps have no changes', () => {
+    const { regions } = parseMemoryData(BEFORE);
+    const diff = diffRegions(regions, regions);
+    assert.ok(diff.regions.every(region => region.diff.status === 'unchanged'));
+    assert.deepStrictEqual(diff.summary, []);
+});
@@ -0,0 +1,162 @@
+// The ELF files are built here, with only the headers the parsers read.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ElfCoreFormat, ElfLayoutFormat, detectBinaryFormat, parseMemoryBuffer } = require('../formats.js');
+const { ranges } = require('./helpers.js');
+
+const PT_LOAD = 1;
+const PT_NOTE = 4;
+const NT_FILE = 0x46494c45;
+
+// A little-endian ELF64 file of a type, with program headers of
+// { type, flags, vaddr, filesz, memsz } and optionally a note descriptor
+// (for the PT_NOTE segment) and sections of { name, type, flags, addr, size }.
+function buildElf({ type, segments, note = null, sections = [] }) {
+    const chunks = [];
+    let length = 64 + segments.length * 56;
+    const append = bytes => {
+        const offset = length;
+        chunks.push(bytes);
+        length += bytes.length;
+        return offset;
+    };
+
+    let noteOffset = 0;
+    if (note) {
+        const header = Buffer.alloc(20);
+        header.writeUInt32LE(5, 0);
+        header.writeUInt32LE(note.length, 4);
+        header.writeUInt32LE(NT_FILE, 8);
+        header.write('CORE', 12);
+        noteOffset = append(Buffer.concat([header, note]));
+    }
+
+    // Sections are at file offsets equal to their addresses, after the null
+    // section and followed by the section names.
+    let sectionTable = 0;
+    let sectionCount = 0;
+    if (sections.length > 0) {
+        const names = Buffer.from(['', ...sections.map(section => section.name), '.shstrtab'].join('\0') + '\0');
+        const namesOffset = append(names);
+        const all = [
+            { name: '', type: 0, flags: 0, addr: 0n, offset: 0, size: 0 },
+            ...sections.map(section => ({ ...section, offset: Number(section.addr) })),
+            { name: '.shstrtab', type: 3, flags: 0, addr: 0n, offset: namesOffset, size: names.length }
+        ];
+        const table = Buffer.alloc(all.length * 64);
+        let nameOffset = 0;
+        all.forEach((section, i) => {
+            const o = i * 64;
+            table.writeUInt32LE(nameOffset, o);
+            table.writeUInt32LE(section.type, o + 4);
+            table.writeBigUInt64LE(BigInt(section.flags), o + 8);
+            table.writeBigUInt64LE(section.addr, o + 16);
+            table.writeBigUInt64LE(BigInt(section.offset), o + 24);
+            table.writeBigUInt64LE(BigInt(section.size), o + 32);
+            nameOffset += Buffer.byteLength(section.name) + 1;
+        });
+        sectionTable = append(table);
+        sectionCount = all.length;
+    }
+
+    const header = Buffer.alloc(64);
+    header.write('\x7fELF', 0, 'latin1');
+    header[4] = 2; // 64-bit
+    header[5] = 1; // Little-endian
+    header[6] = 1;
+    header.writeUInt16LE(type, 16);
+    header.writeBigUInt64LE(64n, 32);
+    header.writeBigUInt64LE(BigInt(sectionTable), 40);
+    header.writeUInt16LE(64, 52);
+    header.writeUInt16LE(56, 54);
+    header.writeUInt16LE(segments.length, 56);
+    header.writeUInt16LE(64, 58);
+    header.writeUInt16LE(sectionCount, 60);
+    header.writeUInt16LE(Math.max(sectionCount - 1, 0), 62); // .shstrtab
+
+    const programHeaders = Buffer.alloc(segments.length * 56);
+    segments.forEach((segment, i) => {
+        const o = i * 56;
+        programHeaders.writeUInt32LE(segment.type, o);
+        programHeaders.writeUInt32LE(segment.flags || 0, o + 4);
+        programHeaders.writeBigUInt64LE(BigInt(segment.type === PT_NOTE ? noteOffset : 0), o + 8);
+        programHeaders.writeBigUInt64LE(segment.vaddr || 0n, o + 16);
+        programHeaders.writeBigUInt64LE(BigInt(segment.type === PT_NOTE ? note.length + 20 : segment.filesz), o + 32);
+        programHeaders.writeBigUInt64LE(BigInt(segment.type === PT_NOTE ? 0 : segment.memsz), o + 40);
+    });
+    return new Uint8Array(Buffer.concat([header, programHeaders, ...chunks]));
+}
+
+// The NT_FILE note descriptor for files of { start, end, pageOffset, path }.
+function mappedFilesNote(files) {
+    const table = Buffer.alloc(16 + files.length * 24);
+    table.writeBigUInt64LE(BigInt(files.length), 0);
+    table.writeBigUInt64LE(4096n, 8);
+    files.forEach((file, i) => {
+        table.writeBigUInt64LE(file.start, 16 + i * 24);
+        table.writeBigUInt64LE(file.end, 24 + i * 24);
+        table.writeBigUInt64LE(BigInt(file.pageOffset), 32 + i * 24);
+    });
+    const names = Buffer.from(files.map(file => file.path + '\0').join(''));
+    const note = Buffer.concat([table, names]);
+    return Buffer.concat([note, Buffer.alloc((4 - note.length % 4) % 4)]);
+}
+
+test('core dump segments are named after the files they map', () => {
+    const core = buildElf({
+        type: 4,
+        note: mappedFilesNote([{ start: 0x555555554000n, end: 0x555555556000n, pageOffset: 1, path: '/usr/bin/cat' }]),
+        segments: [
+            { type: PT_NOTE },
+            { type: PT_LOAD, flags: 5, vaddr: 0x555555554000n, filesz: 0x1000, memsz: 0x2000 },
+            { type: PT_LOAD, flags: 6, vaddr: 0x7ffffffde000n, filesz: 0, memsz: 0x21000 }
+        ]
+    });
+    assert.strictEqual(detectBinaryFormat(core), ElfCoreFormat);
+
+    const format = new ElfCoreFormat();
+    const regions = format.parseBuffer(core);
+    assert.deepStrictEqual(ranges(format, regions), ['555555554000-555555556000', '7ffffffde000-7ffffffff000']);
+    assert.deepStrictEqual(regions.map(region => region.name), ['/usr/bin/cat {r-x}', 'unnamed-7fff {rw-}']);
+    assert.deepStrictEqual(regions.map(region => region.dumped), [true, false]);
+    assert.strictEqual(regions[0].dumpedSize, 0x1000);
+    assert.deepStrictEqual(regions[0].mappedFile, { path: '/usr/bin/cat', offset: 0x1000 });
+    assert.strictEqual(format.formatListing(regions),
+        '555555554000-555555556000 r-xp 00001000 00:00 0 /usr/bin/cat\n' +
+        '7ffffffde000-7ffffffff000 rw-p 00000000 00:00 0\n');
+});
+
+const SHARED_OBJECT = buildElf({
+    type: 3,
+    segments: [{ type: PT_LOAD, flags: 5, vaddr: 0n, filesz: 0x3000, memsz: 0x3000 }],
+    sections: [
+        { name: '.text', type: 1, flags: 0x6, addr: 0x1000n, size: 0x800 },
+        { name: '.bss', type: 8, flags: 0x3, addr: 0x2000n, size: 0x100 },
+        { name: '.comment', type: 1, flags: 0, addr: 0n, size: 0x20 }
+    ]
+});
+
+test('the layout of a shared object shows its allocated sections within the segment', () => {
+    assert.strictEqual(detectBinaryFormat(SHARED_OBJECT), ElfLayoutFormat);
+
+    const format = new ElfLayoutFormat();
+    const regions = format.parseBuffer(SHARED_OBJECT);
+    assert.deepStrictEqual(regions.map(region => region.name),
+        ['[LOAD] {r-x}', '.text {r-x}', '[LOAD] {r-x}', '.bss {r-x}', '[LOAD] {r-x}']);
+    assert.deepStrictEqual(ranges(format, regions), ['0-1000', '1000-1800', '1800-2000', '2000-2100', '2100-3000']);
+    assert.deepStrictEqual(regions[1].section, { name: '.text', type: 'PROGBITS', flags: 'AX', offset: 0x1000, segment: 0 });
+    assert.strictEqual(regions[3].section.type, 'NOBITS');
+});
+
+test('a shared object can be moved to where a maps file shows it loaded', () => {
+    const format = new ElfLayoutFormat();
+    const base = format.addressSpace.mapRange(0x7ffff7dd3000n, 0x7ffff7dd3001n).start;
+    const regions = format.parseBuffer(SHARED_OBJECT, base);
+    assert.deepStrictEqual(ranges(format, regions.slice(0, 2)), ['7ffff7dd3000-7ffff7dd4000', '7ffff7dd4000-7ffff7dd4800']);
+
+    // Parsing through parseMemoryBuffer detects the format from the bytes
+    const parsed = parseMemoryBuffer(SHARED_OBJECT);
+    assert.strictEqual(parsed.format.constructor, ElfLayoutFormat);
+    assert.strictEqual(parsed.regions.length, 5);
+});
@@ -0,0 +1,41 @@
+// Shared by the checks in test/.
+
+const http = require('http');
+const { once } = require('events');
+const { startServer } = require('../index.js');
+
+// Real start and end addresses of the regions of a format, as hex strings.
+function ranges(format, regions) {
+    const space = format.addressSpace;
+    return regions.map(region =>
+        `${space.addressAt(region.start).toString(16)}-${space.endAddressAt(region.end).toString(16)}`);
+}
+
+// Start the server with the given startServer options on a free port of the
+// loopback address, call check with its base URL and stop it again.
+async function withServer(options, check) {
+    const server = startServer({ port: 0, host: '127.0.0.1', ...options });
+    await once(server, 'listening');
+    try {
+        await check(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        server.closeAllConnections();
+        server.close();
+    }
+}
+
+// Make a request without any of fetch's decoding, resolving to its status,
+// headers and body as a Buffer.
+function request(url, { method = 'GET', headers = {}, body = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, { method, headers }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+module.exports = { ranges, withServer, request };
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    IPv6GeolocationFormat, parseIPv6Address, formatIPv6Address, parseIPv6CIDR, detectFormat
+} = require('../formats.js');
+
+const LINES = [
+    'network,geoname_id,registered_country_geoname_id,represented_country_geoname_id,is_anonymous_proxy,country_name',
+    '2001:200::/32,1,1,,0,Japan',
+    '2a00:1450::/32,2,2,,0,Ireland',
+    'garbage'
+];
+
+// The regions of a format that came from the data, without the auto regions.
+function dataRegions(format, lines, warnings) {
+    return format.parseLines(lines, warnings)
+        .filter(region => !region.name.startsWith('Auto: '))
+        .map(region => [region.name, region.network, region.start, region.end]);
+}
+
+test('IPv6 networks are placed by their top 48 bits by default', () => {
+    assert.strictEqual(detectFormat(LINES), IPv6GeolocationFormat);
+
+    const warnings = [];
+    assert.deepStrictEqual(dataRegions(new IPv6GeolocationFormat(), LINES, warnings), [
+        ['Japan', '2001:200::/32', 0x200102000000, 0x200102010000],
+        ['Ireland', '2a00:1450::/32', 0x2a0014500000, 0x2a0014510000]
+    ]);
+    assert.deepStrictEqual(warnings.map(warning => warning.index), [3]);
+});
+
+test('a prefix window shows the 48 bits after the prefix', () => {
+    // Ireland is outside the window and left out
+    assert.deepStrictEqual(dataRegions(new IPv6GeolocationFormat({ ipv6Window: '2001::/16' }), LINES), [
+        ['Japan', '2001:200::/32', 0x20000000000, 0x20100000000]
+    ]);
+    assert.throws(() => new IPv6GeolocationFormat({ ipv6Window: '2001:db8::/96' }), RangeError);
+});
+
+test('IPv6 addresses parse and format in their usual forms', () => {
+    assert.strictEqual(parseIPv6Address('2001:db8::1'), 0x20010db8000000000000000000000001n);
+    assert.strictEqual(parseIPv6Address('::ffff:192.0.2.1'), 0xffffc0000201n);
+    assert.strictEqual(parseIPv6Address('1::2::3'), null);
+    assert.strictEqual(formatIPv6Address(0x20010db8000000000000000000000001n), '2001:db8::1');
+    assert.deepStrictEqual(parseIPv6CIDR('2001:db8::/32'), { start: 0x20010db8n << 96n, prefixLength: 32 });
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { JsonFormat, Region, formatRegionsJson, parseMemoryData, detectFormat } = require('../formats.js');
+
+const JSON_TEXT = `{
+  "version": 1,
+  "format": "smaps",
+  "addressSpace": { "space": "kernel", "bits": 48 },
+  "regions": [
+    { "start": "0xffff888000000000", "end": "0xffff888000200000", "name": "direct map",
+      "color": "#10203080", "metadata": { "memory": { "size": 2097152, "rss": 4096, "pss": "lots" }, "node": 0 } },
+    { "start": 4096, "end": 0 },
+    { "start": "0xffffffff81000000", "end": "0xffffffff82000000",
+      "metadata": { "__proto__": { "polluted": true }, "dumped": "yes", "note": "<b>hot</b>" } }
+  ],
+  "annotations": [{ "start": "0xffff888000001000", "text": "Leak?" }]
+}`;
+
+test('JSON regions are read in the file\'s address space', () => {
+    const lines = JSON_TEXT.split('\n');
+    assert.strictEqual(detectFormat(lines), JsonFormat);
+
+    const format = new JsonFormat();
+    const warnings = [];
+    const regions = format.parseLines(lines, warnings);
+    assert.strictEqual(format.addressSpace.id, 'kernel');
+    assert.strictEqual(format.sourceFormat, 'smaps');
+    assert.deepStrictEqual(regions.map(region => format.addressSpace.formatRange(region.start, region.end)), [
+        '0xffff888000000000 - 0xffff888000200000',
+        '0xffffffff81000000 - 0xffffffff82000000'
+    ]);
+    assert.deepStrictEqual(regions.map(region => region.name), ['direct map', 'unnamed']);
+    assert.deepStrictEqual(warnings.map(warning => warning.message),
+        ['region 1: invalid addresses or range outside the address space shown']);
+
+    assert.deepStrictEqual(regions[0].color, { r: 0x10, g: 0x20, b: 0x30, a: 0x80 });
+    assert.deepStrictEqual(format.annotations, [{ start: 0xffff888000001000n, end: 0xffff888000001001n, text: 'Leak?' }]);
+    assert.match(format.formatTooltip(regions[0]), /Leak\?/);
+});
+
+test('JSON metadata is kept apart from the region\'s own properties', () => {
+    const format = new JsonFormat();
+    const [heap, text] = format.parseLines(JSON_TEXT.split('\n'));
+
+    // Only the known memory statistics that are byte counts are restored
+    assert.deepStrictEqual(heap.memory, { size: 2097152, rss: 4096 });
+    assert.deepStrictEqual(heap.metadata, { node: 0 });
+
+    assert.strictEqual(Object.getPrototypeOf(text), Region.prototype);
+    assert.strictEqual(text.polluted, undefined);
+    assert.strictEqual(text.dumped, undefined);
+    assert.strictEqual(text.metadata.dumped, 'yes');
+    assert.ok(Object.hasOwn(text.metadata, '__proto__'));
+
+    const tooltip = format.formatTooltip(text);
+    assert.match(tooltip, /note: &lt;b&gt;hot&lt;\/b&gt;/);
+    assert.doesNotMatch(tooltip, /<b>/);
+});
+
+test('exported JSON reads back to the same JSON', () => {
+    const parsed = parseMemoryData(JSON_TEXT);
+    const exported = formatRegionsJson(parsed.regions, parsed.format);
+    const data = JSON.parse(exported);
+    assert.strictEqual(data.format, 'smaps');
+    assert.deepStrictEqual(data.addressSpace, { space: 'kernel', bits: 48 });
+    assert.strictEqual(data.regions[0].color, '#10203080');
+    assert.deepStrictEqual(data.regions[0].metadata, { node: 0, memory: { size: 2097152, rss: 4096 } });
+
+    const reparsed = parseMemoryData(exported);
+    assert.strictEqual(formatRegionsJson(reparsed.regions, reparsed.format), exported);
+});
+
+test('regions of other formats export with their real addresses and statistics', () => {
+    const parsed = parseMemoryData('7f0000000000-7f0000002000 rw-p 00000000 00:00 0 [heap]\nSize: 8 kB\nRss: 4 kB\n');
+    const data = JSON.parse(formatRegionsJson(parsed.regions, parsed.format));
+    assert.strictEqual(data.format, 'smaps');
+    assert.strictEqual(data.regions[0].start, '0x7f0000000000');
+    assert.strictEqual(data.regions[0].end, '0x7f0000002000');
+    assert.deepStrictEqual(data.regions[0].metadata.memory, { size: 8192, rss: 4096 });
+
+    const reparsed = parseMemoryData(JSON.stringify(data));
+    assert.deepStrictEqual(reparsed.regions[0].memory, { size: 8192, rss: 4096 });
+});
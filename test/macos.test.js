@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MacOSVmmapFormat, PmapFormat, detectFormat } = require('../formats.js');
+const { ranges } = require('./helpers.js');
+
+const VMMAP = `
+Virtual Memory Map of process 1234 (Safari)
+==== Non-writable regions for process 1234
+REGION TYPE                    START - END         [ VSIZE  RSDNT  DIRTY   SWAP] PRT/MAX SHRMOD PURGE    REGION DETAIL
+__TEXT                      102a4c000-102a50000    [   16K    16K     0K     0K] r-x/r-x SM=COW          /Applications/Safari.app/Contents/MacOS/Safari
+==== Writable regions for process 1234
+REGION TYPE                    START - END         [ VSIZE  RSDNT  DIRTY   SWAP] PRT/MAX SHRMOD PURGE    REGION DETAIL
+MALLOC_TINY                 7fa5c8400000-7fa5c8500000 [ 1024K   64K   64K    8K] rw-/rwx SM=PRV          MallocHelperZone_0x102a8c000
+MALLOC_NANO (reserved)      600008000000-600020000000 [384.0M     0K     0K     0K] rw-/rwx SM=NUL          reserved VM address space (unallocated)
+garbage line
+==== Legend
+`.split('\n').filter(line => line.trim());
+
+test('macOS vmmap regions keep their type, statistics and reservation', () => {
+    assert.strictEqual(detectFormat(VMMAP), MacOSVmmapFormat);
+
+    const format = new MacOSVmmapFormat();
+    const warnings = [];
+    const regions = format.parseLines(VMMAP, warnings);
+    assert.deepStrictEqual(ranges(format, regions),
+        ['102a4c000-102a50000', '7fa5c8400000-7fa5c8500000', '600008000000-600020000000']);
+    assert.deepStrictEqual(regions.map(region => region.name),
+        ['/Applications/Safari.app/Contents/MacOS/Safari {r-x}', 'MALLOC_TINY {rw-}', 'MALLOC_NANO {rw-}']);
+    assert.deepStrictEqual(regions[1].memory, { size: 1048576, rss: 65536, dirty: 65536, swap: 8192 });
+    assert.deepStrictEqual(regions[1].macos,
+        { type: 'MALLOC_TINY', maxProtection: 'rwx', sharing: 'PRV', detail: 'MallocHelperZone_0x102a8c000' });
+    assert.deepStrictEqual(regions.map(region => region.reserved), [false, false, true]);
+
+    // Only the line that looks like neither a region nor vmmap's own text
+    assert.strictEqual(warnings.length, 1);
+    assert.strictEqual(VMMAP[warnings[0].index], 'garbage line');
+});
+
+const PMAP_X = `
+12345:   /usr/bin/foo --arg
+         Address Perm   Offset Device    Inode   Size  Rss  Pss Pss_Dirty Swap Mapping
+    55d4c1a00000 r--p 00000000  08:01  1234567     28   28   28         0    0 foo
+    55d4c1a07000 rw-p 00000000  00:00        0    132   12   12        12    4
+    7ffc8a7fe000 rw-p 00000000  00:00        0    132   12   12        12    0 [stack]
+                                               ==== ==== ==== ========= ====
+                                                292   52   52        24    4 KB
+`.split('\n').filter(line => line.trim());
+
+test('pmap -X tables give sizes and statistics in kilobytes', () => {
+    assert.strictEqual(detectFormat(PMAP_X), PmapFormat);
+
+    const format = new PmapFormat();
+    const warnings = [];
+    const regions = format.parseLines(PMAP_X, warnings);
+    assert.deepStrictEqual(warnings, []);
+    assert.deepStrictEqual(ranges(format, regions),
+        ['55d4c1a00000-55d4c1a07000', '55d4c1a07000-55d4c1a28000', '7ffc8a7fe000-7ffc8a81f000']);
+    assert.deepStrictEqual(regions.map(region => region.name), ['foo {r--}', 'unnamed-55d4 {rw-}', '[stack] {rw-}']);
+    assert.deepStrictEqual(regions[1].memory, { size: 135168, rss: 12288, pss: 12288, pssDirty: 12288, swap: 4096 });
+});
+
+test('pmap -XX tables skip the VmFlags column and keep mappings with spaces', () => {
+    const lines = [
+        '         Address Perm   Offset Device    Inode  Size KernelPageSize MMUPageSize  Rss  Pss Private_Dirty Swap VmFlags                 Mapping',
+        '    55d4c1a00000 r--p 00000000  08:01  1234567    28              4           4   28   28             0    0 rd mr mw me dw sd      foo bar.so'
+    ];
+    const format = new PmapFormat();
+    const regions = format.parseLines(lines);
+    assert.deepStrictEqual(regions.map(region => region.name), ['foo bar.so {r--}']);
+    assert.deepStrictEqual(regions[0].memory, { size: 28672, rss: 28672, pss: 28672, privateDirty: 0, swap: 0 });
+});
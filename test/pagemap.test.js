@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { PAGEMAP_MAGIC } = require('../formats.js');
+const { withServer, request } = require('./helpers.js');
+
+// The stack of this process, as hex start and end addresses.
+function ownStack() {
+    const line = fs.readFileSync('/proc/self/maps', 'utf8').split('\n').find(line => line.endsWith('[stack]'));
+    return line.split(' ')[0].split('-');
+}
+
+test('the pagemap of a range is served as a dump record', { skip: !fs.existsSync('/proc/self/pagemap') }, async () => {
+    await withServer({}, async base => {
+        const [start, end] = ownStack();
+        const response = await request(`${base}/api/pagemap?pid=${process.pid}&start=${start}&end=${end}`);
+        assert.strictEqual(response.status, 200);
+        const pages = (parseInt(end, 16) - parseInt(start, 16)) / 4096;
+        assert.strictEqual(response.body.length, 24 + pages * 8);
+        assert.strictEqual(response.body.toString('latin1', 0, 8), PAGEMAP_MAGIC);
+        assert.strictEqual(response.body.readBigUInt64LE(8), BigInt(parseInt(start, 16)));
+        assert.strictEqual(response.body.readBigUInt64LE(16), BigInt(pages));
+    });
+});
+
+test('kernel and malformed pagemap ranges are refused', async () => {
+    await withServer({}, async base => {
+        const kernel = await request(`${base}/api/pagemap?pid=${process.pid}&start=ffffffffffff0000&end=ffffffffffff1000`);
+        assert.strictEqual(kernel.status, 400);
+        assert.strictEqual(kernel.body.toString(), 'Pagemaps are only read for user addresses');
+
+        for (const query of ['pid=x&start=0&end=1000', `pid=${process.pid}&start=2000&end=1000`,
+            `pid=${process.pid}&start=0&end=100000000000`]) {
+            assert.strictEqual((await request(`${base}/api/pagemap?${query}`)).status, 400, query);
+        }
+
+        // The server is still up
+        assert.strictEqual((await request(`${base}/api/pagemap?pid=999999999&start=0&end=1000`)).status, 404);
+    });
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFormat } = require('../formats.js');
+const { withServer, request, ranges } = require('./helpers.js');
+
+async function getJson(url) {
+    const response = await request(url);
+    assert.strictEqual(response.status, 200, response.body.toString());
+    return JSON.parse(response.body);
+}
+
+test('the regions come with the address space they were parsed in', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'regions-'));
+    fs.writeFileSync(path.join(dataDir, 'maps.txt'),
+        '00400000-00452000 r-xp 00000000 08:02 173521 /usr/bin/dbus-daemon\n');
+    fs.writeFileSync(path.join(dataDir, 'hosts.csv'), 'first,last,owner\n10.0.0.0,10.255.255.255,private\n');
+    try {
+        await withServer({ dataDir }, async base => {
+            const maps = await getJson(`${base}/api/regions?file=maps.txt`);
+            assert.deepStrictEqual(maps.addressSpace, { space: 'user', bits: 48 });
+            assert.strictEqual(maps.count, 1);
+
+            const kernel = await getJson(`${base}/api/regions?file=maps.txt&space=kernel&bits=39&index=0`);
+            assert.deepStrictEqual(kernel.addressSpace, { space: 'kernel', bits: 39 });
+
+            const hosts = await getJson(`${base}/api/regions?file=hosts.csv&index=0`);
+            assert.strictEqual(hosts.format, 'csv');
+            assert.deepStrictEqual(hosts.addressSpace, { space: 'user', bits: 32 });
+            assert.strictEqual(hosts.regions[0].name, 'private');
+        });
+    } finally {
+        fs.rmSync(dataDir, { recursive: true });
+    }
+});
+
+test('a tiled JSON file keeps its address space, metadata and annotations', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'regions-'));
+    fs.writeFileSync(path.join(dataDir, 'kernel.json'), JSON.stringify({
+        version: 1,
+        format: 'maps',
+        addressSpace: { space: 'kernel', bits: 48 },
+        regions: [{ start: '0xffffffff81000000', end: '0xffffffff82000000', name: 'text', metadata: { module: 'vmlinux' } }],
+        annotations: [{ start: '0xffffffff81000000', text: 'entry point' }]
+    }));
+    try {
+        await withServer({ dataDir }, async base => {
+            const info = await getJson(`${base}/api/regions?file=kernel.json&index=0`);
+            assert.deepStrictEqual(info.addressSpace, { space: 'kernel', bits: 48 });
+            assert.strictEqual(info.sourceFormat, 'maps');
+            assert.deepStrictEqual(info.annotations,
+                [{ start: '0xffffffff81000000', end: '0xffffffff81000001', text: 'entry point' }]);
+
+            // Built as the browser builds it for tiles
+            const format = new JsonFormat({ addressSpace: info.addressSpace.space, addressBits: info.addressSpace.bits });
+            format.annotations = info.annotations.map(annotation =>
+                ({ start: BigInt(annotation.start), end: BigInt(annotation.end), text: annotation.text }));
+            const [region] = info.regions;
+            assert.deepStrictEqual(ranges(format, [region]), ['ffffffff81000000-ffffffff82000000']);
+            assert.deepStrictEqual(region.metadata, { module: 'vmlinux' });
+            const tooltip = format.formatTooltip(region);
+            assert.match(tooltip, /module: vmlinux/);
+            assert.match(tooltip, /entry point/);
+        });
+    } finally {
+        fs.rmSync(dataDir, { recursive: true });
+    }
+});
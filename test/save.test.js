@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { withServer, request } = require('./helpers.js');
+
+const MAPS = '00400000-00452000 r-xp 00000000 08:02 173521 /usr/bin/dbus-daemon\n';
+
+function save(base, name, body, overwrite) {
+    return request(`${base}/api/files?name=${name}${overwrite ? '&overwrite=1' : ''}`, { method: 'POST', body });
+}
+
+test('saving creates data files and only replaces them with overwrite', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'save-'));
+    fs.writeFileSync(path.join(dataDir, 'big.txt.gz'), zlib.gzipSync(MAPS));
+    fs.writeFileSync(path.join(dataDir, 'notes.txt'), 'Not a memory map\n');
+    try {
+        await withServer({ dataDir }, async base => {
+            const created = await save(base, 'new.txt', MAPS);
+            assert.strictEqual(created.status, 201);
+            assert.deepStrictEqual(JSON.parse(created.body), { name: 'new.txt', format: 'maps', size: MAPS.length });
+            assert.strictEqual((await save(base, 'new.txt', MAPS)).status, 409);
+            assert.strictEqual((await save(base, 'new.txt', MAPS, true)).status, 201);
+
+            // The gzipped copy is the file being there as well
+            assert.strictEqual((await save(base, 'big.txt', MAPS)).status, 409);
+            assert.ok(!fs.existsSync(path.join(dataDir, 'big.txt')));
+
+            assert.strictEqual((await save(base, 'notes.txt', MAPS, true)).status, 403);
+            assert.strictEqual((await save(base, 'other.txt', 'no regions here')).status, 422);
+            assert.strictEqual((await save(base, 'script.js', MAPS)).status, 400);
+        });
+    } finally {
+        fs.rmSync(dataDir, { recursive: true });
+    }
+});
+
+test('saving needs a data directory', async () => {
+    await withServer({}, async base => {
+        assert.strictEqual((await save(base, 'new.txt', MAPS)).status, 403);
+    });
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { withServer, request } = require('./helpers.js');
+
+const MAPS = '00400000-00452000 r-xp 00000000 08:02 173521 /usr/bin/dbus-daemon\n'.repeat(100);
+
+async function withDataFiles(check) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'serve-file-'));
+    fs.writeFileSync(path.join(dataDir, 'maps.txt'), MAPS);
+    fs.writeFileSync(path.join(dataDir, 'big.txt.gz'), zlib.gzipSync(MAPS));
+    try {
+        await withServer({ dataDir }, check);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true });
+    }
+}
+
+test('each encoding of a file has its own ETag', async () => {
+    await withDataFiles(async base => {
+        const plain = await request(`${base}/maps.txt`);
+        const gzip = await request(`${base}/maps.txt`, { headers: { 'Accept-Encoding': 'gzip' } });
+        const brotli = await request(`${base}/maps.txt`, { headers: { 'Accept-Encoding': 'gzip, br' } });
+
+        assert.strictEqual(plain.body.toString(), MAPS);
+        assert.strictEqual(plain.headers['content-encoding'], undefined);
+        assert.strictEqual(zlib.gunzipSync(gzip.body).toString(), MAPS);
+        assert.strictEqual(gzip.headers['content-encoding'], 'gzip');
+        assert.strictEqual(zlib.brotliDecompressSync(brotli.body).toString(), MAPS);
+        assert.strictEqual(brotli.headers['content-encoding'], 'br');
+
+        for (const response of [plain, gzip, brotli]) {
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.headers.vary, 'Accept-Encoding');
+        }
+        assert.strictEqual(gzip.headers.etag, plain.headers.etag.replace(/"$/, '-gz"'));
+        assert.strictEqual(brotli.headers.etag, plain.headers.etag.replace(/"$/, '-br"'));
+    });
+});
+
+test('a file is only not modified for the tag of the same encoding', async () => {
+    await withDataFiles(async base => {
+        const { headers } = await request(`${base}/maps.txt`, { headers: { 'Accept-Encoding': 'gzip' } });
+
+        const cached = await request(`${base}/maps.txt`,
+            { headers: { 'Accept-Encoding': 'gzip', 'If-None-Match': headers.etag } });
+        assert.strictEqual(cached.status, 304);
+        assert.strictEqual(cached.headers.etag, headers.etag);
+        assert.strictEqual(cached.body.length, 0);
+
+        const other = await request(`${base}/maps.txt`, { headers: { 'If-None-Match': headers.etag } });
+        assert.strictEqual(other.status, 200);
+        assert.strictEqual(other.body.toString(), MAPS);
+
+        const since = await request(`${base}/maps.txt`, { headers: { 'If-Modified-Since': headers['last-modified'] } });
+        assert.strictEqual(since.status, 304);
+    });
+});
+
+test('ranges are served uncompressed', async () => {
+    await withDataFiles(async base => {
+        const plain = await request(`${base}/maps.txt`);
+        const range = await request(`${base}/maps.txt`, { headers: { 'Accept-Encoding': 'gzip', Range: 'bytes=9-16' } });
+        assert.strictEqual(range.status, 206);
+        assert.strictEqual(range.body.toString(), MAPS.slice(9, 17));
+        assert.strictEqual(range.headers['content-range'], `bytes 9-16/${MAPS.length}`);
+        assert.strictEqual(range.headers['content-encoding'], undefined);
+        assert.strictEqual(range.headers.etag, plain.headers.etag);
+
+        const last = await request(`${base}/maps.txt`, { headers: { Range: 'bytes=-5' } });
+        assert.strictEqual(last.body.toString(), MAPS.slice(-5));
+
+        const past = await request(`${base}/maps.txt`, { headers: { Range: `bytes=${MAPS.length}-` } });
+        assert.strictEqual(past.status, 416);
+        assert.strictEqual(past.headers['content-range'], `bytes */${MAPS.length}`);
+    });
+});
+
+test('a gzipped file is sent as is or decompressed', async () => {
+    await withDataFiles(async base => {
+        const gzip = await request(`${base}/big.txt`, { headers: { 'Accept-Encoding': 'gzip' } });
+        assert.strictEqual(gzip.headers['content-encoding'], 'gzip');
+        assert.strictEqual(zlib.gunzipSync(gzip.body).toString(), MAPS);
+        assert.match(gzip.headers.etag, /-gz"$/);
+
+        const plain = await request(`${base}/big.txt`, { headers: { 'Accept-Encoding': 'br', Range: 'bytes=0-9' } });
+        assert.strictEqual(plain.status, 200);
+        assert.strictEqual(plain.headers['content-encoding'], undefined);
+        assert.strictEqual(plain.headers['accept-ranges'], 'none');
+        assert.strictEqual(plain.body.toString(), MAPS);
+        assert.strictEqual(gzip.headers.etag, plain.headers.etag.replace(/"$/, '-gz"'));
+    });
+});
@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { MAP } = require('../render.js');
+const { withServer, request } = require('./helpers.js');
+
+const MAPS = '00400000-00452000 r-xp 00000000 08:02 173521 /usr/bin/dbus-daemon\n' +
+    '7f0000000000-7f0000021000 rw-p 00000000 00:00 0 [heap]\n';
+
+// Files for the input files of a server, removed after the check.
+async function withFiles(contents, check) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-'));
+    const files = contents.map((content, i) => {
+        const filepath = path.join(dir, `input${i}.txt`);
+        fs.writeFileSync(filepath, content);
+        return filepath;
+    });
+    try {
+        await check(files);
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+}
+
+// Read Server-Sent Events from a response. Each call of the returned function
+// resolves to the next { event, data }.
+function eventReader(res) {
+    const events = [];
+    const waiting = [];
+    let buffered = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => {
+        buffered += chunk;
+        let end;
+        while ((end = buffered.indexOf('\n\n')) >= 0) {
+            const block = buffered.slice(0, end);
+            buffered = buffered.slice(end + 2);
+            const event = { event: block.match(/^event: (.*)$/m)[1], data: JSON.parse(block.match(/^data: (.*)$/m)[1]) };
+            if (waiting.length > 0) {
+                waiting.shift()(event);
+            } else {
+                events.push(event);
+            }
+        }
+    });
+    return () => events.length > 0 ? Promise.resolve(events.shift()) : new Promise(resolve => waiting.push(resolve));
+}
+
+test('command line files are served as default.txt, default2.txt and so on', async () => {
+    await withFiles([MAPS, '1000 2000 heap\n'], async files => {
+        await withServer({ files }, async base => {
+            assert.strictEqual((await request(`${base}/default.txt`)).body.toString(), MAPS);
+            assert.strictEqual((await request(`${base}/default2.txt`)).body.toString(), '1000 2000 heap\n');
+            assert.strictEqual((await request(`${base}/default3.txt`)).status, 404);
+
+            const listed = JSON.parse((await request(`${base}/api/files`)).body);
+            const names = listed.map(file => file.name);
+            assert.ok(names.includes('default.txt') && names.includes('default2.txt'), names.join());
+        });
+    });
+});
+
+test('a forced format applies to the command line files', async () => {
+    await withFiles([MAPS], async files => {
+        await withServer({ files, format: 'ranges' }, async base => {
+            const info = JSON.parse((await request(`${base}/api/regions?file=default.txt&index=0`)).body);
+            assert.strictEqual(info.format, 'ranges');
+        });
+    });
+});
+
+test('live mode streams the changes of a watched file', async () => {
+    await withFiles([MAPS], async ([file]) => {
+        await withServer({ files: [file], watchInterval: 20 }, async base => {
+            const res = await new Promise(resolve => http.get(`${base}/events?file=default.txt`, resolve));
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res.headers['content-type'], 'text/event-stream');
+            const nextEvent = eventReader(res);
+            assert.deepStrictEqual(await nextEvent(), { event: 'maps', data: MAPS });
+
+            fs.appendFileSync(file, '7fff00000000-7fff00021000 rw-p 00000000 00:00 0 [stack]\n');
+            const changed = await nextEvent();
+            assert.strictEqual(changed.event, 'maps');
+            assert.match(changed.data, /\[stack\]/);
+
+            fs.unlinkSync(file);
+            assert.strictEqual((await nextEvent()).event, 'gone');
+        });
+    });
+});
+
+test('there are no events without live mode', async () => {
+    await withFiles([MAPS], async files => {
+        await withServer({ files }, async base => {
+            assert.strictEqual((await request(`${base}/events?file=default.txt`)).status, 404);
+        });
+    });
+});
+
+test('the regions can be queried by range and by index', async () => {
+    await withFiles([MAPS], async files => {
+        await withServer({ files }, async base => {
+            const all = JSON.parse((await request(`${base}/api/regions?file=default.txt`)).body);
+            assert.strictEqual(all.format, 'maps');
+            assert.strictEqual(all.count, 2);
+            assert.strictEqual(all.regions.length, 2);
+            assert.deepStrictEqual(all.warnings, []);
+
+            const heap = JSON.parse((await request(`${base}/api/regions?file=default.txt&start=7f0000000000&end=7f0000001000`)).body);
+            assert.deepStrictEqual(heap.regions.map(region => [region.index, region.name]), [[1, '[heap] {rw-}']]);
+
+            const first = JSON.parse((await request(`${base}/api/regions?file=default.txt&index=0`)).body);
+            assert.strictEqual(first.regions[0].index, 0);
+            const past = JSON.parse((await request(`${base}/api/regions?file=default.txt&index=5`)).body);
+            assert.deepStrictEqual(past.regions, []);
+
+            assert.strictEqual((await request(`${base}/api/regions?file=default.txt&start=xyz&end=1`)).status, 400);
+            assert.strictEqual((await request(`${base}/api/regions?file=default.txt&index=-1`)).status, 400);
+            assert.strictEqual((await request(`${base}/api/regions?file=../index.js`)).status, 400);
+            assert.strictEqual((await request(`${base}/api/regions?file=missing.txt`)).status, 404);
+        });
+    });
+});
+
+test('tiles are the map pixels of a view', async () => {
+    await withFiles([MAPS], async files => {
+        await withServer({ files }, async base => {
+            const plain = await request(`${base}/api/tiles?file=default.txt&level=0`);
+            assert.strictEqual(plain.status, 200);
+            assert.strictEqual(plain.body.length, MAP.WIDTH * MAP.HEIGHT * 4);
+            assert.ok(plain.body.some(byte => byte !== 0));
+
+            const gzipped = await request(`${base}/api/tiles?file=default.txt&level=0`,
+                { headers: { 'Accept-Encoding': 'gzip' } });
+            assert.strictEqual(gzipped.headers['content-encoding'], 'gzip');
+            assert.deepStrictEqual(zlib.gunzipSync(gzipped.body), plain.body);
+
+            const zoomed = await request(`${base}/api/tiles?file=default.txt&level=1&minAddr=7f0000000000`);
+            assert.strictEqual(zoomed.status, 200);
+
+            assert.strictEqual((await request(`${base}/api/tiles?file=default.txt&level=99`)).status, 400);
+            assert.strictEqual((await request(`${base}/api/tiles?file=default.txt&minAddr=xyz`)).status, 400);
+        });
+    });
+});
+
+test('local processes are only shown to this machine unless allowed', async t => {
+    // The server must be reached through an address other than loopback.
+    const external = Object.values(os.networkInterfaces()).flat()
+        .find(address => address.family === 'IPv4' && !address.internal);
+    if (!external) {
+        t.skip('no network address other than loopback');
+        return;
+    }
+    const ownMaps = `/proc/${process.pid}/maps`;
+
+    for (const allowProcesses of [false, true]) {
+        await withServer({ host: '0.0.0.0', allowProcesses }, async base => {
+            const remote = base.replace('127.0.0.1', external.address);
+            for (const pathname of ['/api/processes', ownMaps, `/api/pagemap?pid=${process.pid}&start=0&end=1000`]) {
+                const response = await request(remote + pathname);
+                if (allowProcesses) {
+                    assert.notStrictEqual(response.status, 403, pathname);
+                } else {
+                    assert.strictEqual(response.status, 403, pathname);
+                    assert.match(response.body.toString(), /--allow-processes/);
+                }
+            }
+
+            const local = await request(base + ownMaps);
+            assert.strictEqual(local.status, 200);
+            assert.match(local.body.toString(), /\[stack\]/);
+        });
+    }
+});
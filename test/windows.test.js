@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { WinDbgAddressFormat, VMMapFormat, detectFormat } = require('../formats.js');
+const { ranges } = require('./helpers.js');
+
+const WINDBG = `
+  BaseAddress      EndAddress+1        RegionSize     Type       State                 Protect             Usage
+--------------------------------------------------------------------------------------------------------------------------
++        0\`00000000        0\`7ffe0000        0\`7ffe0000             MEM_FREE    PAGE_NOACCESS                      Free
++       b1\`f7c00000       b1\`f7dfc000        0\`001fc000 MEM_PRIVATE MEM_RESERVE                                    Stack      [~0; 1d8c.2a4c]
+        b1\`f7dfc000       b1\`f7dff000        0\`00003000 MEM_PRIVATE MEM_COMMIT  PAGE_READWRITE | PAGE_GUARD        Stack      [~0; 1d8c.2a4c]
+      7ff6\`e1a51000     7ff6\`e1a78000        0\`00027000 MEM_IMAGE   MEM_COMMIT  PAGE_EXECUTE_READ                  Image      [notepad; "C:\\Windows\\System32\\notepad.exe"]
+`.split('\n').filter(line => line.trim());
+
+test('WinDbg !address output is detected and free ranges are skipped', () => {
+    assert.strictEqual(detectFormat(WINDBG), WinDbgAddressFormat);
+
+    const format = new WinDbgAddressFormat();
+    const warnings = [];
+    const regions = format.parseLines(WINDBG, warnings);
+    assert.deepStrictEqual(warnings, []);
+    assert.deepStrictEqual(ranges(format, regions),
+        ['b1f7c00000-b1f7dfc000', 'b1f7dfc000-b1f7dff000', '7ff6e1a51000-7ff6e1a78000']);
+    assert.deepStrictEqual(regions.map(region => region.name),
+        ['Stack {---}', 'Stack {rw-}', 'C:\\Windows\\System32\\notepad.exe {r-x}']);
+    assert.strictEqual(regions[0].reserved, true);
+    assert.deepStrictEqual(regions[1].windows, {
+        type: 'Private', state: 'Commit', protect: 'PAGE_READWRITE | PAGE_GUARD',
+        usage: 'Stack', details: '~0; 1d8c.2a4c'
+    });
+});
+
+const VMMAP_TSV = [
+    'Address\tType\tSize\tCommitted\tPrivate\tTotal WS\tPrivate WS\tShareable WS\tShared WS\tLocked WS\tBlocks\tProtection\tDetails',
+    '0000000000010000\tShareable\t64 K\t64 K\t\t4 K\t\t4 K\t4 K\t\t1\tRead/Write\t',
+    '0000000000020000\tFree\t64 K\t\t\t\t\t\t\t\t\t\t',
+    '000000B1F7C00000\tStack\t2,048 K\t12 K\t12 K\t8 K\t8 K\t\t\t\t3\tRead/Write/Guard\tThread ID: 10828',
+    '  000000B1F7C00000\tStack\t2,036 K\t\t\t\t\t\t\t\t\tReserved\t',
+    '  000000B1F7DFD000\tStack\t12 K\t12 K\t12 K\t8 K\t8 K\t\t\t\t\tRead/Write\t'
+];
+
+test('VMMap text export uses the blocks of a region and skips free ranges', () => {
+    assert.strictEqual(detectFormat(VMMAP_TSV), VMMapFormat);
+
+    const format = new VMMapFormat();
+    const regions = format.parseLines(VMMAP_TSV);
+    assert.deepStrictEqual(ranges(format, regions),
+        ['10000-20000', 'b1f7c00000-b1f7dfd000', 'b1f7dfd000-b1f7e00000']);
+    assert.deepStrictEqual(regions.map(region => region.name), ['Shareable {rw-}', 'Stack {---}', 'Stack {rw-}']);
+    assert.strictEqual(regions[1].reserved, true);
+    assert.strictEqual(regions[2].windows.details, 'Thread ID: 10828');
+});
+
+test('VMMap CSV export parses like the text export', () => {
+    const csv = VMMAP_TSV.map(line => line.split('\t').map(field => `"${field}"`).join(','));
+    assert.strictEqual(detectFormat(csv), VMMapFormat);
+
+    const format = new VMMapFormat();
+    assert.deepStrictEqual(ranges(format, format.parseLines(csv)),
+        ['10000-20000', 'b1f7c00000-b1f7dfd000', 'b1f7dfd000-b1f7e00000']);
+});